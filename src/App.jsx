@@ -1,10 +1,15 @@
-import { Routes, Route } from 'react-router-dom';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import ErrorBoundary from './components/ErrorBoundary';
+import { DatasetProvider } from './context/DatasetContext';
+import { SettingsProvider } from './context/SettingsContext';
 import { ConstellationProvider, useConstellationContext } from './context/ConstellationContext';
 import ConstellationMap from './components/ConstellationMap';
 import { MetroMap } from './components/ConstellationMap';
 import ViewToggle from './components/shared/ViewToggle';
+import DatasetMenu from './components/shared/DatasetMenu';
+import SettingsMenu from './components/shared/SettingsMenu';
+import { ROUTE_PATTERNS } from './utils/routeState';
 
 /**
  * MainView - Handles the toggle between Timeline and Constellation views
@@ -14,10 +19,23 @@ function MainView() {
     viewMode,
     setViewMode,
     isTransitioning,
+    isKnownRoute,
+    viewport,
+    setViewport,
+    filters,
+    filterPresetName,
+    setFilters,
     selectedPhilosopher,
-    setSelectedPhilosopher
+    setSelectedPhilosopher,
+    selectedConcept,
+    setSelectedConcept
   } = useConstellationContext();
 
+  // Unknown view names (e.g. "/galaxy") fall back to the default view
+  if (!isKnownRoute) {
+    return <Navigate to="/" replace />;
+  }
+
   return (
     <div className={`main-view ${isTransitioning ? 'transitioning' : ''}`} data-view={viewMode}>
       {/* Transition Overlay */}
@@ -28,7 +46,10 @@ function MainView() {
         viewMode={viewMode}
         onToggle={setViewMode}
         isTransitioning={isTransitioning}
-      />
+      >
+        <DatasetMenu />
+        <SettingsMenu />
+      </ViewToggle>
 
       {/* View Container */}
       <div className="view-container">
@@ -36,17 +57,29 @@ function MainView() {
           <HomePage
             selectedPhilosopher={selectedPhilosopher}
             onPhilosopherSelect={setSelectedPhilosopher}
+            selectedConcept={selectedConcept}
+            onConceptSelect={setSelectedConcept}
           />
         )}
         {viewMode === 'constellation' && (
           <ConstellationMap
             selectedPhilosopher={selectedPhilosopher}
             onPhilosopherSelect={setSelectedPhilosopher}
+            selectedConcept={selectedConcept}
+            onConceptSelect={setSelectedConcept}
+            viewport={viewport}
+            onViewportChange={setViewport}
+            filters={filters}
+            filterPresetName={filterPresetName}
+            onFiltersChange={setFilters}
           />
         )}
         {viewMode === 'metro' && (
           <MetroMap
+            selectedPhilosopher={selectedPhilosopher}
             onPhilosopherSelect={setSelectedPhilosopher}
+            selectedConcept={selectedConcept}
+            onConceptSelect={setSelectedConcept}
           />
         )}
       </div>
@@ -60,12 +93,19 @@ function MainView() {
 function App() {
   return (
     <ErrorBoundary>
-      <ConstellationProvider>
-        <Routes>
-          <Route path="/" element={<MainView />} />
-          <Route path="/vqm-philosophy-explorer/" element={<MainView />} />
-        </Routes>
-      </ConstellationProvider>
+      <SettingsProvider>
+        <DatasetProvider>
+          <ConstellationProvider>
+            <Routes>
+              {/* Every route renders the same view; the context reads the URL */}
+              {ROUTE_PATTERNS.map(pattern => (
+                <Route key={pattern} path={pattern} element={<MainView />} />
+              ))}
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </ConstellationProvider>
+        </DatasetProvider>
+      </SettingsProvider>
     </ErrorBoundary>
   );
 }
@@ -5,22 +5,19 @@
  */
 
 import React, { useState, useMemo, memo } from 'react';
-import { parseBirthDeath, formatYear } from '../../utils/yearParser';
-import timelineEvents from '../../pages/timelineEvents.json';
+import { parseLifespan, getCurrentYear } from '../../utils/yearParser';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useDataset } from '../../context/DatasetContext';
+import { useEras } from '../../hooks/useEras';
 import './ComparePanel.css';
 
-const ERA_COLORS = {
-    'Ancient & Classical Thought': '#d4a574',
-    'Medieval & Renaissance Philosophy': '#4a90d9',
-    'The Age of Reason & Enlightenment': '#f5a623',
-    '19th Century Philosophy': '#e74c3c',
-    'Contemporary Thought': '#9b59b6'
-};
-
 const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
     const [philosopherA, setPhilosopherA] = useState(initialPhilosopher || null);
     const [philosopherB, setPhilosopherB] = useState(null);
     const [searchQuery, setSearchQuery] = useState('');
+    const { philosophers: timelineEvents } = useDataset();
+    const { formatYear, formatYearText } = useYearFormat();
+    const { getEraColor } = useEras();
 
     // Reset when initial philosopher changes
     React.useEffect(() => {
@@ -37,7 +34,7 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
         return timelineEvents
             .filter(p => p.id !== philosopherA?.id && p.title.toLowerCase().includes(query))
             .slice(0, 8);
-    }, [searchQuery, philosopherA]);
+    }, [searchQuery, philosopherA, timelineEvents]);
 
     // Concept analysis
     const conceptAnalysis = useMemo(() => {
@@ -65,20 +62,32 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
         return null;
     }, [philosopherA, philosopherB]);
 
-    // Temporal overlap
+    // Temporal overlap (unknown unless both births and deaths are known;
+    // the living count as alive up to this year)
     const temporalOverlap = useMemo(() => {
         if (!philosopherA || !philosopherB) return null;
 
-        const a = parseBirthDeath(philosopherA);
-        const b = parseBirthDeath(philosopherB);
+        const currentYear = getCurrentYear();
+        const lifespanA = parseLifespan(philosopherA);
+        const lifespanB = parseLifespan(philosopherB);
+        const toPresent = { year: currentYear, earliest: currentYear, latest: currentYear };
+        const deathA = lifespanA.isLiving ? toPresent : lifespanA.death;
+        const deathB = lifespanB.isLiving ? toPresent : lifespanB.death;
+        const dates = [lifespanA.birth, deathA, lifespanB.birth, deathB];
+        if (dates.some(date => !date)) return { isKnown: false };
 
-        const overlapStart = Math.max(a.birth, b.birth);
-        const overlapEnd = Math.min(a.death, b.death);
+        const overlapStart = Math.max(lifespanA.birth.year, lifespanB.birth.year);
+        const overlapEnd = Math.min(deathA.year, deathB.year);
         const overlapYears = overlapEnd - overlapStart;
 
         return {
-            a, b,
+            isKnown: true,
+            // Both still alive, so the overlap is still growing
+            isOngoing: lifespanA.isLiving && lifespanB.isLiving,
+            // Any uncertain date makes the figures approximate
+            isApproximate: dates.some(date => date.earliest !== date.latest),
             overlap: overlapYears > 0 ? overlapYears : 0,
+            gap: overlapYears > 0 ? 0 : -overlapYears,
             overlapStart: overlapYears > 0 ? overlapStart : null,
             overlapEnd: overlapYears > 0 ? overlapEnd : null
         };
@@ -86,8 +95,8 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
 
     if (!isOpen) return null;
 
-    const colorA = philosopherA ? ERA_COLORS[philosopherA.era] || '#8b5cf6' : '#8b5cf6';
-    const colorB = philosopherB ? ERA_COLORS[philosopherB.era] || '#8b5cf6' : '#8b5cf6';
+    const colorA = getEraColor(philosopherA?.era);
+    const colorB = getEraColor(philosopherB?.era);
 
     const renderPhilosopherColumn = (philosopher, color, label) => {
         if (!philosopher) return null;
@@ -96,7 +105,7 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
                 <div className="compare-era-bar" style={{ backgroundColor: color }} />
                 <span className="compare-label">{label}</span>
                 <h3 className="compare-name">{philosopher.title}</h3>
-                <p className="compare-year">{philosopher.fullYear || philosopher.year}</p>
+                <p className="compare-year">{formatYearText(philosopher.fullYear || philosopher.year)}</p>
                 <p className="compare-era-name">{philosopher.era}</p>
                 <blockquote className="compare-summary">"{philosopher.summary}"</blockquote>
 
@@ -157,9 +166,9 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
                                                     className="compare-search-item"
                                                     onClick={() => { setPhilosopherB(p); setSearchQuery(''); }}
                                                 >
-                                                    <span className="search-item-dot" style={{ backgroundColor: ERA_COLORS[p.era] || '#8b5cf6' }} />
+                                                    <span className="search-item-dot" style={{ backgroundColor: getEraColor(p.era) }} />
                                                     <span>{p.title}</span>
-                                                    <span className="search-item-year">{p.year}</span>
+                                                    <span className="search-item-year">{formatYearText(p.year)}</span>
                                                 </button>
                                             ))
                                     ) : (
@@ -169,9 +178,9 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
                                                 className="compare-search-item"
                                                 onClick={() => { setPhilosopherB(p); setSearchQuery(''); }}
                                             >
-                                                <span className="search-item-dot" style={{ backgroundColor: ERA_COLORS[p.era] || '#8b5cf6' }} />
+                                                <span className="search-item-dot" style={{ backgroundColor: getEraColor(p.era) }} />
                                                 <span>{p.title}</span>
-                                                <span className="search-item-year">{p.year}</span>
+                                                <span className="search-item-year">{formatYearText(p.year)}</span>
                                             </button>
                                         ))
                                     )}
@@ -236,14 +245,18 @@ const ComparePanel = ({ isOpen, onClose, initialPhilosopher }) => {
                                 <div className="compare-section">
                                     <h4 className="compare-section-title">Timeline</h4>
                                     <div className="compare-timeline-info">
-                                        {temporalOverlap.overlap > 0 ? (
+                                        {!temporalOverlap.isKnown ? (
+                                            <p className="overlap-text">
+                                                Their birth and death dates aren't both known
+                                            </p>
+                                        ) : temporalOverlap.overlap > 0 ? (
                                             <p className="overlap-text">
-                                                Overlapped for <strong>{temporalOverlap.overlap} years</strong>
-                                                {' '}({formatYear(temporalOverlap.overlapStart)} - {formatYear(temporalOverlap.overlapEnd)})
+                                                Overlapped for <strong>{temporalOverlap.isApproximate && 'about '}{temporalOverlap.overlap} years</strong>
+                                                {' '}({formatYear(temporalOverlap.overlapStart)} - {temporalOverlap.isOngoing ? 'present' : formatYear(temporalOverlap.overlapEnd)})
                                             </p>
                                         ) : (
                                             <p className="overlap-text">
-                                                No temporal overlap ({Math.abs(temporalOverlap.a.death - temporalOverlap.b.birth)} years apart)
+                                                No temporal overlap ({temporalOverlap.isApproximate && 'about '}{temporalOverlap.gap} years apart)
                                             </p>
                                         )}
                                     </div>
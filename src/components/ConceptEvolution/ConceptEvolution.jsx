@@ -5,19 +5,12 @@
  */
 
 import React, { useState, useMemo, memo } from 'react';
-import { parseYear, formatYear } from '../../utils/yearParser';
-import timelineEvents from '../../pages/timelineEvents.json';
-import philosophyConcepts from '../../pages/philosophyConcepts.json';
+import { parseYear } from '../../utils/yearParser';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useDataset } from '../../context/DatasetContext';
+import { useEras } from '../../hooks/useEras';
 import './ConceptEvolution.css';
 
-const ERA_COLORS = {
-    'Ancient & Classical Thought': '#d4a574',
-    'Medieval & Renaissance Philosophy': '#4a90d9',
-    'The Age of Reason & Enlightenment': '#f5a623',
-    '19th Century Philosophy': '#e74c3c',
-    'Contemporary Thought': '#9b59b6'
-};
-
 const CATEGORY_COLORS = {
     'Core Branches': '#8b5cf6',
     'Metaphysical Concepts': '#d4a574',
@@ -30,6 +23,9 @@ const CATEGORY_COLORS = {
 const ConceptEvolution = ({ isOpen, onClose, initialConcept, onPhilosopherSelect }) => {
     const [selectedConcept, setSelectedConcept] = useState(initialConcept || null);
     const [hoveredPhilosopher, setHoveredPhilosopher] = useState(null);
+    const { philosophers: timelineEvents, concepts: philosophyConcepts } = useDataset();
+    const { formatYearText } = useYearFormat();
+    const { getEraColor } = useEras();
 
     React.useEffect(() => {
         if (initialConcept) setSelectedConcept(initialConcept);
@@ -47,7 +43,7 @@ const ConceptEvolution = ({ isOpen, onClose, initialConcept, onPhilosopherSelect
             }
         });
         return map;
-    }, []);
+    }, [timelineEvents, philosophyConcepts]);
 
     // All concepts sorted by number of philosophers
     const allConcepts = useMemo(() => {
@@ -127,7 +123,7 @@ const ConceptEvolution = ({ isOpen, onClose, initialConcept, onPhilosopherSelect
                                 {conceptData.philosophers.map((philosopher, index) => {
                                     const year = parseYear(philosopher.year);
                                     const left = toPercent(year);
-                                    const color = ERA_COLORS[philosopher.era] || '#8b5cf6';
+                                    const color = getEraColor(philosopher.era);
                                     const isHovered = hoveredPhilosopher === philosopher.id;
 
                                     return (
@@ -148,14 +144,14 @@ const ConceptEvolution = ({ isOpen, onClose, initialConcept, onPhilosopherSelect
                                             />
                                             <div className={`evo-node-label ${index % 2 === 0 ? 'above' : 'below'}`}>
                                                 <span className="evo-node-name">{philosopher.title}</span>
-                                                <span className="evo-node-year">{philosopher.year}</span>
+                                                <span className="evo-node-year">{formatYearText(philosopher.year)}</span>
                                             </div>
 
                                             {/* Hover detail */}
                                             {isHovered && (
                                                 <div className="evo-node-detail">
                                                     <strong>{philosopher.title}</strong>
-                                                    <span>{philosopher.year}</span>
+                                                    <span>{formatYearText(philosopher.year)}</span>
                                                     <p>{philosopher.summary}</p>
                                                 </div>
                                             )}
@@ -0,0 +1,270 @@
+/**
+ * ConceptMatrix Component
+ * Heatmap of concept × concept co-occurrence
+ * Clicking a cell lists the philosophers who hold both concepts
+ */
+
+import React, { useState, useMemo, useEffect, memo } from 'react';
+import {
+    MATRIX_ORDERS,
+    buildCoOccurrenceMatrix,
+    normalizedCoOccurrence,
+    sortMatrixConcepts,
+    getCoHolders
+} from '../../utils/conceptMatrix';
+import { getConnectionColor } from '../../utils/connectionBuilder';
+import { useDataset } from '../../context/DatasetContext';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import './ConceptMatrix.css';
+
+const CELL_SIZE = 16;
+const LABEL_WIDTH = 170;
+const HEADER_HEIGHT = 130;
+
+const formatConcept = (name) => name.replace(/([A-Z])/g, ' $1').trim();
+
+const ConceptMatrix = ({ isOpen, onClose, onHighlight, onPhilosopherSelect }) => {
+    const { philosophers, concepts } = useDataset();
+    const { formatYearText } = useYearFormat();
+    const [normalized, setNormalized] = useState(false);
+    const [order, setOrder] = useState('category');
+    const [hoveredCell, setHoveredCell] = useState(null);
+    const [selectedCell, setSelectedCell] = useState(null);
+
+    const matrix = useMemo(() => buildCoOccurrenceMatrix(philosophers, concepts), [philosophers, concepts]);
+
+    const orderedIndices = useMemo(() => sortMatrixConcepts(matrix.concepts, order), [matrix, order]);
+
+    // Cell value in the current mode
+    const valueOf = (a, b) => (normalized ? normalizedCoOccurrence(matrix, a, b) : matrix.counts[a][b]);
+
+    // Strongest off-diagonal value, for the colour scale
+    const maxValue = useMemo(() => {
+        let max = 0;
+        matrix.counts.forEach((row, a) => {
+            row.forEach((count, b) => {
+                if (a === b) return;
+                max = Math.max(max, normalized ? normalizedCoOccurrence(matrix, a, b) : count);
+            });
+        });
+        return max;
+    }, [matrix, normalized]);
+
+    const byId = useMemo(() => new Map(philosophers.map(p => [p.id, p])), [philosophers]);
+
+    const selectedPair = selectedCell
+        ? [matrix.concepts[selectedCell.row].name, matrix.concepts[selectedCell.col].name]
+        : null;
+    const selectedHolders = selectedPair
+        ? getCoHolders(matrix, selectedPair[0], selectedPair[1]).map(id => byId.get(id)).filter(Boolean)
+        : [];
+
+    // A new dataset invalidates the selected cell
+    useEffect(() => {
+        setSelectedCell(null);
+        setHoveredCell(null);
+    }, [matrix]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    const size = orderedIndices.length * CELL_SIZE;
+    const status = hoveredCell || selectedCell;
+
+    const describe = ({ row, col }) => {
+        const a = matrix.concepts[row];
+        const b = matrix.concepts[col];
+        if (row === col) return `${formatConcept(a.name)}: held by ${a.count} philosophers`;
+        const shared = matrix.counts[row][col];
+        return `${formatConcept(a.name)} × ${formatConcept(b.name)}: ${shared} shared `
+            + `(${Math.round(normalizedCoOccurrence(matrix, row, col) * 100)}% of holders of either)`;
+    };
+
+    return (
+        <div className="matrix-overlay" onClick={onClose}>
+            <div className="matrix-panel" onClick={e => e.stopPropagation()}>
+                <header className="matrix-header">
+                    <h2 className="matrix-title">Concept Co-occurrence</h2>
+                    <p className="matrix-subtitle">Which ideas travel together?</p>
+                    <button className="matrix-close" onClick={onClose} aria-label="Close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </header>
+
+                <div className="matrix-controls">
+                    <div className="matrix-chips" role="group" aria-label="Values">
+                        <button className={`matrix-chip ${!normalized ? 'active' : ''}`} onClick={() => setNormalized(false)}>
+                            Counts
+                        </button>
+                        <button className={`matrix-chip ${normalized ? 'active' : ''}`} onClick={() => setNormalized(true)}>
+                            Normalized
+                        </button>
+                    </div>
+                    <div className="matrix-chips" role="group" aria-label="Order">
+                        {Object.entries(MATRIX_ORDERS).map(([value, label]) => (
+                            <button
+                                key={value}
+                                className={`matrix-chip ${order === value ? 'active' : ''}`}
+                                onClick={() => setOrder(value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="matrix-status">
+                        {status ? describe(status) : 'Hover a cell to compare two concepts, click to list their philosophers'}
+                    </p>
+                </div>
+
+                <div className="matrix-body">
+                    <div className="matrix-scroll">
+                        <svg
+                            className="matrix-svg"
+                            width={LABEL_WIDTH + size + 10}
+                            height={HEADER_HEIGHT + size + 10}
+                            onMouseLeave={() => setHoveredCell(null)}
+                        >
+                            {/* Column labels */}
+                            {orderedIndices.map((conceptIndex, position) => {
+                                const concept = matrix.concepts[conceptIndex];
+                                const isActive = status && (status.col === conceptIndex || status.row === conceptIndex);
+                                return (
+                                    <text
+                                        key={`col-${concept.name}`}
+                                        className={`matrix-label ${isActive ? 'active' : ''}`}
+                                        transform={`translate(${LABEL_WIDTH + position * CELL_SIZE + CELL_SIZE / 2}, ${HEADER_HEIGHT - 6}) rotate(-55)`}
+                                    >
+                                        {formatConcept(concept.name)}
+                                    </text>
+                                );
+                            })}
+
+                            {orderedIndices.map((row, rowPosition) => {
+                                const concept = matrix.concepts[row];
+                                const y = HEADER_HEIGHT + rowPosition * CELL_SIZE;
+                                const isActive = status && (status.row === row || status.col === row);
+                                return (
+                                    <g key={`row-${concept.name}`}>
+                                        {/* Row label with category colour */}
+                                        <text
+                                            className={`matrix-label ${isActive ? 'active' : ''}`}
+                                            x={LABEL_WIDTH - 10}
+                                            y={y + CELL_SIZE / 2}
+                                            textAnchor="end"
+                                            dominantBaseline="middle"
+                                        >
+                                            {formatConcept(concept.name)}
+                                            <title>{concept.category}</title>
+                                        </text>
+                                        <rect
+                                            x={LABEL_WIDTH - 6}
+                                            y={y + 1}
+                                            width={3}
+                                            height={CELL_SIZE - 2}
+                                            fill={getConnectionColor(concept.category)}
+                                        />
+
+                                        {orderedIndices.map((col, colPosition) => {
+                                            const value = valueOf(row, col);
+                                            const intensity = maxValue > 0 ? Math.min(1, value / maxValue) : 0;
+                                            const isDiagonal = row === col;
+                                            const isSelected = selectedCell?.row === row && selectedCell?.col === col;
+                                            const fill = isDiagonal
+                                                ? 'rgba(255, 255, 255, 0.08)'
+                                                : value > 0
+                                                    ? `rgba(245, 158, 11, ${0.12 + 0.88 * intensity})`
+                                                    : 'rgba(255, 255, 255, 0.025)';
+                                            return (
+                                                <g
+                                                    key={col}
+                                                    className="matrix-cell"
+                                                    onMouseEnter={() => setHoveredCell({ row, col })}
+                                                    onClick={() => setSelectedCell(isSelected ? null : { row, col })}
+                                                >
+                                                    <rect
+                                                        x={LABEL_WIDTH + colPosition * CELL_SIZE}
+                                                        y={y}
+                                                        width={CELL_SIZE - 1}
+                                                        height={CELL_SIZE - 1}
+                                                        rx={2}
+                                                        fill={fill}
+                                                        stroke={isSelected ? '#fff' : 'none'}
+                                                        strokeWidth={1.5}
+                                                    />
+                                                    {!normalized && !isDiagonal && value > 0 && (
+                                                        <text
+                                                            className={`matrix-cell-value ${intensity > 0.55 ? 'dark' : ''}`}
+                                                            x={LABEL_WIDTH + colPosition * CELL_SIZE + (CELL_SIZE - 1) / 2}
+                                                            y={y + (CELL_SIZE - 1) / 2}
+                                                            textAnchor="middle"
+                                                            dominantBaseline="central"
+                                                        >
+                                                            {value}
+                                                        </text>
+                                                    )}
+                                                </g>
+                                            );
+                                        })}
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    </div>
+
+                    <aside className="matrix-detail">
+                        {selectedPair ? (
+                            <>
+                                <h3>
+                                    {selectedPair[0] === selectedPair[1]
+                                        ? formatConcept(selectedPair[0])
+                                        : `${formatConcept(selectedPair[0])} + ${formatConcept(selectedPair[1])}`}
+                                </h3>
+                                <p className="matrix-detail-count">
+                                    {selectedHolders.length === 1 ? '1 philosopher' : `${selectedHolders.length} philosophers`}
+                                </p>
+                                <ul className="matrix-holders">
+                                    {selectedHolders.map(philosopher => (
+                                        <li key={philosopher.id}>
+                                            <button onClick={() => onPhilosopherSelect?.(philosopher)}>
+                                                {philosopher.title}
+                                                <span>{formatYearText(philosopher.year)}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                                {selectedHolders.length > 0 && (
+                                    <button
+                                        className="matrix-highlight-btn"
+                                        onClick={() => onHighlight?.({
+                                            concepts: [...new Set(selectedPair)],
+                                            ids: selectedHolders.map(p => p.id)
+                                        })}
+                                    >
+                                        Highlight on map
+                                    </button>
+                                )}
+                            </>
+                        ) : (
+                            <p className="matrix-detail-empty">
+                                Select a cell to see who holds both concepts.
+                            </p>
+                        )}
+                    </aside>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default memo(ConceptMatrix);
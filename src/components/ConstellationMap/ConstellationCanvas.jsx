@@ -6,6 +6,8 @@
 
 import React, { memo, forwardRef } from 'react';
 import StarNode, { StarDefs } from './StarNode';
+import { useEras } from '../../hooks/useEras';
+import { hexToRgb, DEFAULT_ERA_COLOR } from '../../utils/eras';
 
 /**
  * Background stars for atmosphere
@@ -56,7 +58,7 @@ BackgroundStars.displayName = 'BackgroundStars';
 /**
  * Era region backgrounds (subtle colored regions)
  */
-const EraRegions = memo(({ positions, canvasSize, selectedEras }) => {
+const EraRegions = memo(({ positions, canvasSize, selectedEras, eraDefinitions }) => {
     // Group positions by era
     const eraGroups = React.useMemo(() => {
         const groups = {};
@@ -69,16 +71,8 @@ const EraRegions = memo(({ positions, canvasSize, selectedEras }) => {
         return groups;
     }, [positions]);
 
-    const eraBaseColors = {
-        ancient: '212, 165, 116',
-        medieval: '74, 144, 217',
-        enlightenment: '245, 166, 35',
-        '19th': '231, 76, 60',
-        contemporary: '155, 89, 182'
-    };
-
     const getEraFill = (era) => {
-        const rgb = eraBaseColors[era] || '255, 255, 255';
+        const rgb = hexToRgb(eraDefinitions[era]?.color || DEFAULT_ERA_COLOR);
         const hasFilter = selectedEras && selectedEras.size > 0;
         const isSelected = selectedEras && selectedEras.has(era);
 
@@ -130,12 +124,16 @@ const ConstellationCanvas = forwardRef(({
     onStarHover,
     onStarLeave,
     onStarClick,
+    onStarDragStart,
+    draggingStarId = null,
+    starSizes = null,
     onCanvasClick,
     children, // For constellation lines, search overlays, etc.
     className = '',
     isLoaded = true
 }, ref) => {
     const { width, height } = canvasSize;
+    const { eras, eraDefinitions } = useEras();
 
     return (
         <svg
@@ -157,7 +155,7 @@ const ConstellationCanvas = forwardRef(({
             }}
         >
             {/* SVG Definitions (gradients, filters) */}
-            <StarDefs />
+            <StarDefs eras={eras} />
 
             {/* Additional defs for background effects */}
             <defs>
@@ -200,7 +198,12 @@ const ConstellationCanvas = forwardRef(({
                 <BackgroundStars count={80} />
 
                 {/* Era region highlights */}
-                <EraRegions positions={positions} canvasSize={canvasSize} selectedEras={selectedEras} />
+                <EraRegions
+                    positions={positions}
+                    canvasSize={canvasSize}
+                    selectedEras={selectedEras}
+                    eraDefinitions={eraDefinitions}
+                />
 
                 {/* Constellation lines and other children go here */}
                 {children}
@@ -213,6 +216,7 @@ const ConstellationCanvas = forwardRef(({
                             position={pos}
                             philosopher={pos.philosopher}
                             era={pos.era}
+                            color={eraDefinitions[pos.era]?.color}
                             type={pos.type || pos.philosopher?.type || 'major'}
                             isHovered={hoveredStarId === pos.id}
                             isSelected={selectedStarId === pos.id}
@@ -220,6 +224,10 @@ const ConstellationCanvas = forwardRef(({
                             onHover={onStarHover}
                             onLeave={onStarLeave}
                             onClick={onStarClick}
+                            onDragStart={onStarDragStart}
+                            isDragging={draggingStarId === pos.id}
+                            baseRadius={starSizes?.get(pos.id) ?? null}
+                            uncertainty={pos.uncertainty ?? 0}
                             scale={transform.scale}
                         />
                     ))}
@@ -0,0 +1,139 @@
+/**
+ * ConstellationExport Component
+ * Button + popover that saves the constellation SVG as a standalone SVG or PNG
+ * Whatever is on screen is exported: era filter, highlighted concept,
+ * influence arrows and (optionally) the current zoom
+ */
+
+import React, { memo, useState, useCallback, useEffect, useRef } from 'react';
+import { createStandaloneSvg, serializeSvg, svgToPngBlob } from '../../utils/svgExport';
+import { downloadBlob, downloadText } from '../../utils/fileExport';
+
+// PNG sizes offered, as multiples of the canvas size
+const PNG_SCALES = [1, 2, 3, 4];
+
+// Matches the .constellation-map-container background gradient
+const EXPORT_BACKGROUND = [
+    ['0%', '#0a0a12'],
+    ['30%', '#0d1117'],
+    ['70%', '#10141c'],
+    ['100%', '#0d1117']
+];
+
+const ConstellationExport = ({ svgRef, canvasSize }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [format, setFormat] = useState('svg');
+    const [pngScale, setPngScale] = useState(2);
+    const [wholeMap, setWholeMap] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState(null);
+    const popoverRef = useRef(null);
+
+    // Close on outside click
+    useEffect(() => {
+        if (!isOpen) return;
+        const handlePointerDown = (e) => {
+            if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handlePointerDown);
+        return () => document.removeEventListener('mousedown', handlePointerDown);
+    }, [isOpen]);
+
+    const handleExport = useCallback(async () => {
+        const svg = svgRef.current;
+        if (!svg) return;
+
+        setIsExporting(true);
+        setError(null);
+        try {
+            const standalone = createStandaloneSvg(svg, {
+                background: EXPORT_BACKGROUND,
+                transformClone: wholeMap
+                    ? (clone) => clone.querySelector('.transform-group')?.setAttribute('transform', 'translate(0, 0) scale(1)')
+                    : undefined
+            });
+            const svgText = serializeSvg(standalone);
+            const baseName = `constellation-${new Date().toISOString().slice(0, 10)}`;
+
+            if (format === 'svg') {
+                downloadText(svgText, `${baseName}.svg`, 'image/svg+xml');
+            } else {
+                const width = Math.round(canvasSize.width * pngScale);
+                const height = Math.round(canvasSize.height * pngScale);
+                downloadBlob(await svgToPngBlob(svgText, width, height), `${baseName}.png`);
+            }
+            setIsOpen(false);
+        } catch (err) {
+            console.error('Export failed:', err);
+            setError(err.message);
+        } finally {
+            setIsExporting(false);
+        }
+    }, [svgRef, canvasSize, format, pngScale, wholeMap]);
+
+    return (
+        <div className="export-control" ref={popoverRef}>
+            <button
+                className={`export-toggle-btn ${isOpen ? 'active' : ''}`}
+                onClick={() => setIsOpen(open => !open)}
+                aria-label="Export image"
+                aria-expanded={isOpen}
+                title="Export as SVG or PNG"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <path d="M12 3v12" />
+                    <path d="M7 10l5 5 5-5" />
+                    <path d="M5 21h14" />
+                </svg>
+            </button>
+
+            {isOpen && (
+                <div className="export-popover" role="dialog" aria-label="Export image">
+                    <div className="export-format">
+                        {['svg', 'png'].map(option => (
+                            <button
+                                key={option}
+                                className={`export-format-btn ${format === option ? 'active' : ''}`}
+                                onClick={() => setFormat(option)}
+                            >
+                                {option.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+
+                    {format === 'png' && (
+                        <label className="export-option">
+                            <span>Resolution</span>
+                            <select value={pngScale} onChange={e => setPngScale(Number(e.target.value))}>
+                                {PNG_SCALES.map(scale => (
+                                    <option key={scale} value={scale}>
+                                        {scale}× ({Math.round(canvasSize.width * scale)} × {Math.round(canvasSize.height * scale)})
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+
+                    <label className="export-option export-option-inline">
+                        <input
+                            type="checkbox"
+                            checked={wholeMap}
+                            onChange={e => setWholeMap(e.target.checked)}
+                        />
+                        <span>Whole map (ignore zoom)</span>
+                    </label>
+
+                    {error && <p className="export-error">{error}</p>}
+
+                    <button className="export-download-btn" onClick={handleExport} disabled={isExporting}>
+                        {isExporting ? 'Exporting...' : `Download ${format.toUpperCase()}`}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default memo(ConstellationExport);
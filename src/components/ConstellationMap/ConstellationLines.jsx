@@ -35,6 +35,7 @@ const generateFlowingPath = (x1, y1, x2, y2, curveOffset = 0.2) => {
 
 /**
  * Single constellation line component
+ * A forming line (history playback) draws in from its start when it mounts
  */
 const ConstellationLine = memo(({
     connection,
@@ -42,6 +43,7 @@ const ConstellationLine = memo(({
     endPos,
     isHighlighted,
     isHovered,
+    isForming = false,
     opacity = 1,
     index = 0
 }) => {
@@ -82,13 +84,14 @@ const ConstellationLine = memo(({
 
             {/* Main line - solid for better smoothness */}
             <path
-                className={`constellation-line ${isHighlighted ? 'highlighted' : ''} ${isHovered ? 'hovered' : ''}`}
+                className={`constellation-line ${isHighlighted ? 'highlighted' : ''} ${isHovered ? 'hovered' : ''} ${isForming ? 'playback-line-draw' : ''}`}
                 d={path}
                 fill="none"
                 stroke={isHighlighted || isHovered ? color : 'rgba(139, 92, 246, 0.5)'}
                 strokeWidth={strokeWidth}
                 strokeLinecap="round"
                 strokeLinejoin="round"
+                pathLength={isForming ? 1 : undefined}
                 opacity={baseOpacity * opacity}
                 style={{
                     transition: 'stroke 0.3s ease, stroke-width 0.3s ease, opacity 0.3s ease'
@@ -145,12 +148,17 @@ ConstellationLine.displayName = 'ConstellationLine';
 
 /**
  * Single influence arrow component (dashed line with arrowhead)
+ * A traced arrow is drawn solid and animates in from its start; a forming
+ * arrow (history playback) pulses once when it mounts
  */
 const InfluenceLine = memo(({
     connection,
     startPos,
     endPos,
     isHighlighted,
+    isTraced = false,
+    traceStep = null,
+    isForming = false,
     opacity = 1,
     index = 0
 }) => {
@@ -161,13 +169,14 @@ const InfluenceLine = memo(({
         curveDirection
     );
 
-    const baseOpacity = isHighlighted ? 0.8 : 0.25;
-    const strokeWidth = isHighlighted ? 2 : 1.2;
+    const isEmphasized = isHighlighted || isTraced;
+    const baseOpacity = isTraced ? 1 : isHighlighted ? 0.8 : 0.25;
+    const strokeWidth = isTraced ? 2.5 : isHighlighted ? 2 : 1.2;
     const color = '#f59e0b'; // amber for influence
 
     return (
-        <g className="influence-line-group">
-            {isHighlighted && (
+        <g className={`influence-line-group ${isTraced ? 'traced' : ''}`}>
+            {isEmphasized && (
                 <path
                     d={path}
                     fill="none"
@@ -178,20 +187,32 @@ const InfluenceLine = memo(({
                     style={{ filter: 'blur(4px)' }}
                 />
             )}
+            {isForming && (
+                <path
+                    className="playback-influence-pulse"
+                    d={path}
+                    fill="none"
+                    stroke={color}
+                    strokeLinecap="round"
+                    style={{ pointerEvents: 'none' }}
+                />
+            )}
             <path
+                className={isTraced ? 'influence-trace-path' : undefined}
                 d={path}
                 fill="none"
                 stroke={color}
                 strokeWidth={strokeWidth}
                 strokeLinecap="round"
-                strokeDasharray="6 4"
+                strokeDasharray={isTraced ? undefined : '6 4'}
+                pathLength={isTraced ? 1 : undefined}
                 markerEnd="url(#influence-arrow)"
                 opacity={baseOpacity * opacity}
                 style={{
                     transition: 'stroke-width 0.3s ease, opacity 0.3s ease'
                 }}
             />
-            {isHighlighted && (
+            {isEmphasized && (
                 <g className="influence-label">
                     <rect
                         x={(startPos.x + endPos.x) / 2 - 35}
@@ -215,7 +236,7 @@ const InfluenceLine = memo(({
                             letterSpacing: '0.5px'
                         }}
                     >
-                        influenced
+                        {isTraced ? `step ${traceStep}` : 'influenced'}
                     </text>
                 </g>
             )}
@@ -232,10 +253,12 @@ const ConstellationLines = memo(({
     connections,
     influenceConnections = [],
     showInfluences = false,
+    tracedPath = null,
     positions,
     highlightedConcept = null,
     highlightedPhilosopherId = null,
     hoveredConcept = null,
+    isPlayback = false,
     opacity = 1
 }) => {
     // Create position lookup map
@@ -252,6 +275,9 @@ const ConstellationLines = memo(({
 
                 if (!startPos || !endPos) return null;
 
+                // Only links with both ends inside the year range
+                if (startPos.inYearRange === false || endPos.inYearRange === false) return null;
+
                 // Check opacity - don't show connections for hidden philosophers
                 const startOpacity = startPos.opacity ?? 1;
                 const endOpacity = endPos.opacity ?? 1;
@@ -288,14 +314,38 @@ const ConstellationLines = memo(({
             });
     }, [connections, positionMap, highlightedConcept, highlightedPhilosopherId, hoveredConcept]);
 
+    // Steps of the traced lineage revealed so far ({ ids, step } → edges)
+    const tracedInfluences = useMemo(() => {
+        if (!tracedPath) return [];
+        const { ids, step } = tracedPath;
+        return ids.slice(0, step).map((fromId, i) => {
+            const startPos = positionMap.get(fromId);
+            const endPos = positionMap.get(ids[i + 1]);
+            if (!startPos || !endPos) return null;
+            return { id: `influence-${fromId}-${ids[i + 1]}`, startPos, endPos, traceStep: i + 1 };
+        }).filter(Boolean);
+    }, [tracedPath, positionMap]);
+
+    // Stars reached by the trace so far
+    const tracedNodes = useMemo(() => {
+        if (!tracedPath) return [];
+        return tracedPath.ids
+            .slice(0, tracedPath.step + 1)
+            .map((id, i) => ({ id, pos: positionMap.get(id), order: i }))
+            .filter(node => node.pos);
+    }, [tracedPath, positionMap]);
+
     // Process influence connections
     const processedInfluences = useMemo(() => {
         if (!showInfluences) return [];
+        const tracedIds = new Set(tracedInfluences.map(conn => conn.id));
         return influenceConnections
+            .filter(connection => !tracedIds.has(connection.id))
             .map((connection, index) => {
                 const startPos = positionMap.get(connection.from);
                 const endPos = positionMap.get(connection.to);
                 if (!startPos || !endPos) return null;
+                if (startPos.inYearRange === false || endPos.inYearRange === false) return null;
                 const startOpacity = startPos.opacity ?? 1;
                 const endOpacity = endPos.opacity ?? 1;
                 const connectionOpacity = Math.min(startOpacity, endOpacity);
@@ -306,7 +356,7 @@ const ConstellationLines = memo(({
                 return { ...connection, startPos, endPos, isHighlighted, connectionOpacity, index };
             })
             .filter(Boolean);
-    }, [showInfluences, influenceConnections, positionMap, highlightedPhilosopherId]);
+    }, [showInfluences, influenceConnections, tracedInfluences, positionMap, highlightedPhilosopherId]);
 
     return (
         <g className="constellation-lines-layer">
@@ -340,6 +390,7 @@ const ConstellationLines = memo(({
                     endPos={conn.endPos}
                     isHighlighted={conn.isHighlighted}
                     isHovered={conn.isHovered}
+                    isForming={isPlayback}
                     opacity={opacity * conn.connectionOpacity}
                     index={conn.index}
                 />
@@ -353,10 +404,38 @@ const ConstellationLines = memo(({
                     startPos={conn.startPos}
                     endPos={conn.endPos}
                     isHighlighted={conn.isHighlighted}
+                    isForming={isPlayback}
                     opacity={opacity * conn.connectionOpacity}
                     index={conn.index}
                 />
             ))}
+
+            {/* Traced lineage: arrows mount one step at a time so each draws in turn */}
+            {tracedNodes.map(node => (
+                <circle
+                    key={`trace-node-${node.id}`}
+                    className="influence-trace-node"
+                    cx={node.pos.x}
+                    cy={node.pos.y}
+                    r={node.order === 0 ? 24 : 20}
+                    fill="none"
+                    stroke="#f59e0b"
+                    strokeWidth={node.order === 0 ? 2 : 1.5}
+                    opacity={0.85}
+                    style={{ pointerEvents: 'none' }}
+                />
+            ))}
+            {tracedInfluences.map(conn => (
+                <InfluenceLine
+                    key={`trace-${conn.id}`}
+                    connection={conn}
+                    startPos={conn.startPos}
+                    endPos={conn.endPos}
+                    isTraced
+                    traceStep={conn.traceStep}
+                    opacity={opacity}
+                />
+            ))}
         </g>
     );
 });
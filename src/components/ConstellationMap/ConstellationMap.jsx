@@ -9,18 +9,37 @@ import ConstellationCanvas from './ConstellationCanvas';
 import ConstellationLines from './ConstellationLines';
 import ZoomControls from './ZoomControls';
 import EraFilterBar from './EraFilterBar';
+import FilterPresets from './FilterPresets';
 import TelescopeSearch from './TelescopeSearch';
 import PhilosopherPanel from './PhilosopherPanel';
 import TimelineAxis from './TimelineAxis';
+import ConstellationExport from './ConstellationExport';
 import { useZoomPan } from '../../hooks/useZoomPan';
 import { useTimeFilter } from '../../hooks/useTimeFilter';
-import { computeStarPositions } from '../../utils/constellationLayout';
+import { useLayoutWorker } from '../../hooks/useLayoutWorker';
+import { useAnimatedPositions } from '../../hooks/useAnimatedPositions';
+import { useDraggableStars } from '../../hooks/useDraggableStars';
+import { useFilterPresets } from '../../hooks/useFilterPresets';
+import { useHistoryPlayback } from '../../hooks/useHistoryPlayback';
+import { useTourPlayer } from '../../hooks/useTourPlayer';
+import { useTimeScale } from '../../hooks/useTimeScale';
+import { LAYOUT_KINDS } from '../../utils/layoutTasks';
+import { yearToX } from '../../utils/constellationLayout';
 import { buildConstellations, buildInfluenceConnections } from '../../utils/connectionBuilder';
-import timelineEvents from '../../pages/timelineEvents.json';
-import philosophyConcepts from '../../pages/philosophyConcepts.json';
+import { formatViewport } from '../../utils/routeState';
+import { isSameFilterState } from '../../utils/filterState';
+import { GRAPH_NETWORKS, computeNetworkMetrics } from '../../utils/graphMetrics';
+import { resolveTour } from '../../utils/tours';
+import { useDataset } from '../../context/DatasetContext';
 import LifetimeOverlap from '../LifetimeOverlap/LifetimeOverlap';
 import ComparePanel from '../ComparePanel/ComparePanel';
 import ConceptEvolution from '../ConceptEvolution/ConceptEvolution';
+import InfluencePath from '../InfluencePath/InfluencePath';
+import InfluenceRanking from '../InfluenceRanking/InfluenceRanking';
+import ConceptMatrix from '../ConceptMatrix/ConceptMatrix';
+import EraChord from '../EraChord/EraChord';
+import HistoryPlayback from '../HistoryPlayback/HistoryPlayback';
+import TourPlayer from '../TourPlayer/TourPlayer';
 import '../../css/ConstellationMap.css';
 
 // Default canvas size (will be responsive)
@@ -29,10 +48,24 @@ const DEFAULT_CANVAS_SIZE = { width: 1600, height: 900 };
 /**
  * ConstellationMap - Main constellation view component
  */
-const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
+const ConstellationMap = ({
+    onPhilosopherSelect,
+    selectedPhilosopher,
+    selectedConcept = null,
+    onConceptSelect,
+    viewport = null,
+    onViewportChange,
+    filters = null,
+    filterPresetName = null,
+    onFiltersChange
+}) => {
+    // Active dataset
+    const { philosophers: timelineEvents, concepts: philosophyConcepts, eras, datasetName } = useDataset();
+
     // Canvas size state
     const [canvasSize, setCanvasSize] = useState(DEFAULT_CANVAS_SIZE);
     const containerRef = useRef(null);
+    const canvasRef = useRef(null);
 
     // Loading and entrance animation state
     const [isLoaded, setIsLoaded] = useState(false);
@@ -43,8 +76,8 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
     const [selectedStarId, setSelectedStarId] = useState(
         selectedPhilosopher?.id || null
     );
-    const [panelData, setPanelData] = useState(null);
-    const [isPanelOpen, setIsPanelOpen] = useState(false);
+    const [panelData, setPanelData] = useState(selectedPhilosopher || null);
+    const [isPanelOpen, setIsPanelOpen] = useState(Boolean(selectedPhilosopher));
 
     // Zoom/pan state from custom hook
     const {
@@ -55,60 +88,134 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
         zoomOut,
         resetTransform,
         zoomToPoint,
+        setTransform,
         isAnimating
     } = useZoomPan({
         minZoom: 0.3,
         maxZoom: 4
     });
 
-    // Era filter state
+    // Era, concept and year filter state (starting from the URL)
     const {
         selectedEras,
         toggleEra,
-        clearEras,
         filteredPhilosophers,
         visibleCount,
         totalCount,
         hasActiveFilter,
         eraDefinitions,
         showMinor,
-        toggleShowMinor
-    } = useTimeFilter(timelineEvents);
+        toggleShowMinor,
+        selectedConcepts,
+        toggleConcept,
+        yearRange,
+        setYearRange,
+        isSweeping,
+        toggleSweep,
+        filterState,
+        applyFilterState,
+        clearFilters
+    } = useTimeFilter(timelineEvents, filters);
+
+    // Star positions are computed in the layout worker; stars glide to new positions
+    const timeScale = useTimeScale(timelineEvents);
+    const { layout: computedStarPositions } = useLayoutWorker(LAYOUT_KINDS.CONSTELLATION, timelineEvents, canvasSize, {
+        timeScale: timeScale.type,
+        eras
+    });
+    const animatedStarPositions = useAnimatedPositions(computedStarPositions);
+
+    // Stars the user dragged keep their own Y position (saved per dataset)
+    const {
+        applyOverrides,
+        startDrag,
+        draggingId,
+        isClickAfterDrag,
+        resetLayout,
+        hasOverrides
+    } = useDraggableStars(datasetName, canvasSize);
 
-    // Compute star positions based on canvas size
     const baseStarPositions = useMemo(() => {
-        return computeStarPositions(timelineEvents, canvasSize);
-    }, [canvasSize]);
+        return applyOverrides(animatedStarPositions);
+    }, [applyOverrides, animatedStarPositions]);
+
+    // Philosophers picked from the concept matrix or a search query ({ label, ids })
+    const [mapHighlight, setMapHighlight] = useState(null);
 
-    // Merge star positions with time filter opacity
+    // History playback: stars appear once the playhead reaches their year
+    const playback = useHistoryPlayback(timeScale.domain);
+    const playhead = playback.isActive ? playback.playhead : null;
+
+    // Time filter results by philosopher id
+    const filteredById = useMemo(
+        () => new Map(filteredPhilosophers.map(p => [p.id, p])),
+        [filteredPhilosophers]
+    );
+
+    // Merge star positions with time filter opacity (and dim stars outside a highlight)
     const starPositions = useMemo(() => {
+        const highlightedIds = mapHighlight ? new Set(mapHighlight.ids) : null;
         return baseStarPositions.map(pos => {
-            const filtered = filteredPhilosophers.find(p => p.id === pos.id);
+            const filtered = filteredById.get(pos.id);
+            const opacity = playhead !== null && pos.year > playhead ? 0 : filtered?.opacity ?? 1;
             return {
                 ...pos,
-                opacity: filtered?.opacity ?? 1,
-                isVisible: filtered?.isVisible ?? true
+                opacity: highlightedIds && !highlightedIds.has(pos.id) ? opacity * 0.15 : opacity,
+                isVisible: filtered?.isVisible ?? true,
+                inYearRange: filtered?.inYearRange ?? true
             };
         });
-    }, [baseStarPositions, filteredPhilosophers]);
+    }, [baseStarPositions, filteredById, mapHighlight, playhead]);
+
+    // Philosophers born so far in playback
+    const bornCount = useMemo(() => {
+        if (playhead === null) return 0;
+        return baseStarPositions.filter(pos => pos.year <= playhead).length;
+    }, [baseStarPositions, playhead]);
 
     // Create concept map for showing connections
     const conceptsMap = useMemo(() => {
         return new Map(philosophyConcepts.map(c => [c.concept, c]));
-    }, []);
+    }, [philosophyConcepts]);
 
     // Build constellation connections
     const connections = useMemo(() => {
         return buildConstellations(timelineEvents, philosophyConcepts);
-    }, []);
+    }, [timelineEvents, philosophyConcepts]);
 
     // Build influence connections
     const influenceConnections = useMemo(() => {
         return buildInfluenceConnections(timelineEvents);
-    }, []);
+    }, [timelineEvents]);
+
+    // Toggle for showing influence arrows (part of the shareable filters)
+    const [showInfluences, setShowInfluences] = useState(Boolean(filters?.showInfluences));
+
+    // Everything a filter preset or link captures
+    const currentFilters = useMemo(() => ({ ...filterState, showInfluences }), [filterState, showInfluences]);
+
+    // Named presets saved in this browser
+    const { presets, savePreset, deletePreset } = useFilterPresets();
+
+    const applyFilters = useCallback((next) => {
+        applyFilterState(next);
+        setShowInfluences(Boolean(next?.showInfluences));
+    }, [applyFilterState]);
+
+    const handleApplyPreset = useCallback((preset) => {
+        applyFilters(preset.filters);
+        onFiltersChange?.(preset.filters, preset.name);
+    }, [applyFilters, onFiltersChange]);
 
-    // Toggle for showing influence arrows
-    const [showInfluences, setShowInfluences] = useState(false);
+    const handleSavePreset = useCallback((name) => {
+        savePreset(name, currentFilters);
+        onFiltersChange?.(currentFilters, name);
+    }, [savePreset, currentFilters, onFiltersChange]);
+
+    // Concept names in the dataset, for the concept filter
+    const conceptNames = useMemo(() => {
+        return [...new Set(timelineEvents.flatMap(p => p.concepts || []))].sort();
+    }, [timelineEvents]);
 
     // Track hovered concept for highlighting connections
     const [hoveredConcept, setHoveredConcept] = useState(null);
@@ -138,6 +245,72 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
         setShowConceptEvolution(true);
     }, []);
 
+    // Influence lineage tracer
+    const [showInfluencePath, setShowInfluencePath] = useState(false);
+    const [influenceTrace, setInfluenceTrace] = useState(null);
+
+    const closeInfluencePath = useCallback(() => {
+        setShowInfluencePath(false);
+    }, []);
+
+    // Concept co-occurrence matrix
+    const [showConceptMatrix, setShowConceptMatrix] = useState(false);
+
+    const closeConceptMatrix = useCallback(() => {
+        setShowConceptMatrix(false);
+    }, []);
+
+    const handleConceptHighlight = useCallback(({ concepts, ids }) => {
+        setMapHighlight({
+            label: concepts.map(c => c.replace(/([A-Z])/g, ' $1').trim()).join(' + '),
+            ids
+        });
+        setShowConceptMatrix(false);
+    }, []);
+
+    // Matches of a structured telescope query
+    const handleQueryHighlight = useCallback((highlight) => {
+        setMapHighlight(highlight);
+        setShowSearch(false);
+    }, []);
+
+    // Era-to-era influence chord diagram
+    const [showEraChord, setShowEraChord] = useState(false);
+
+    const closeEraChord = useCallback(() => {
+        setShowEraChord(false);
+    }, []);
+
+    // Influence ranking (graph centrality)
+    const [showRanking, setShowRanking] = useState(false);
+    const [rankingNetwork, setRankingNetwork] = useState(GRAPH_NETWORKS.INFLUENCE);
+    const [rankingMetric, setRankingMetric] = useState('pageRank');
+    const [sizeStarsByMetric, setSizeStarsByMetric] = useState(false);
+
+    const closeRanking = useCallback(() => {
+        setShowRanking(false);
+    }, []);
+
+    // Only computed while the panel is open or stars are sized by a metric
+    const graphMetrics = useMemo(() => {
+        if (!showRanking && !sizeStarsByMetric) return null;
+        return computeNetworkMetrics(rankingNetwork, timelineEvents, philosophyConcepts);
+    }, [showRanking, sizeStarsByMetric, rankingNetwork, timelineEvents, philosophyConcepts]);
+
+    // Star radius per philosopher: 3-14px, by square root so areas track the metric
+    const starSizes = useMemo(() => {
+        if (!sizeStarsByMetric || !graphMetrics) return null;
+        let max = 0;
+        graphMetrics.nodes.forEach(values => {
+            max = Math.max(max, values[rankingMetric]);
+        });
+        const sizes = new Map();
+        graphMetrics.nodes.forEach((values, id) => {
+            sizes.set(id, 3 + 11 * Math.sqrt(max > 0 ? values[rankingMetric] / max : 0));
+        });
+        return sizes;
+    }, [sizeStarsByMetric, graphMetrics, rankingMetric]);
+
     // Entrance animation
     useEffect(() => {
         const loadTimer = setTimeout(() => setIsLoaded(true), 100);
@@ -165,13 +338,58 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
         return () => window.removeEventListener('resize', updateSize);
     }, []);
 
-    // Sync selected philosopher from prop
+    // Sync selected philosopher from prop (deep links, back/forward)
     useEffect(() => {
         if (selectedPhilosopher) {
             setSelectedStarId(selectedPhilosopher.id);
+            setPanelData(selectedPhilosopher);
+            setIsPanelOpen(true);
+        } else {
+            setSelectedStarId(null);
+            setIsPanelOpen(false);
         }
     }, [selectedPhilosopher]);
 
+    // Keep latest transform available to the viewport sync below
+    const transformRef = useRef(transform);
+    useEffect(() => {
+        transformRef.current = transform;
+    }, [transform]);
+
+    // Restore zoom/pan from prop (deep links, back/forward)
+    useEffect(() => {
+        const target = viewport || { scale: 1, x: 0, y: 0 };
+        if (formatViewport(target) !== formatViewport(transformRef.current)) {
+            setTransform(target);
+        }
+    }, [viewport, setTransform]);
+
+    // Keep latest filters available to the filter sync below
+    const currentFiltersRef = useRef(currentFilters);
+    useEffect(() => {
+        currentFiltersRef.current = currentFilters;
+    }, [currentFilters]);
+
+    // Restore filters from prop (links, back/forward)
+    useEffect(() => {
+        if (!isSameFilterState(filters, currentFiltersRef.current)) {
+            applyFilters(filters);
+        }
+    }, [filters, applyFilters]);
+
+    // Report filter changes so the URL can be shared (once a time sweep pauses)
+    useEffect(() => {
+        if (isSweeping) return;
+        onFiltersChange?.(currentFilters);
+    }, [currentFilters, isSweeping, onFiltersChange]);
+
+    // Report zoom/pan once it settles
+    useEffect(() => {
+        if (!onViewportChange || isAnimating) return;
+        const timer = setTimeout(() => onViewportChange(transform), 300);
+        return () => clearTimeout(timer);
+    }, [transform, isAnimating, onViewportChange]);
+
     // Handle star hover
     const handleStarHover = useCallback((philosopher) => {
         setHoveredStarId(philosopher.id);
@@ -184,6 +402,7 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
 
     // Handle star click - open side panel
     const handleStarClick = useCallback((philosopher) => {
+        if (isClickAfterDrag()) return;
         setSelectedStarId(philosopher.id);
         setPanelData(philosopher);
         setIsPanelOpen(true);
@@ -192,17 +411,19 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
         if (onPhilosopherSelect) {
             onPhilosopherSelect(philosopher);
         }
-    }, [onPhilosopherSelect]);
+    }, [onPhilosopherSelect, isClickAfterDrag]);
 
     // Handle canvas background click (deselect)
     const handleCanvasClick = useCallback(() => {
         setSelectedStarId(null);
         setIsPanelOpen(false);
-    }, []);
+        onPhilosopherSelect?.(null);
+    }, [onPhilosopherSelect]);
 
     // Close panel
     const closePanel = useCallback(() => {
         setIsPanelOpen(false);
+        onPhilosopherSelect?.(null);
         // Delay clearing data for exit animation
         setTimeout(() => {
             setIsPanelOpen(current => {
@@ -213,7 +434,7 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 return current;
             });
         }, 300);
-    }, []);
+    }, [onPhilosopherSelect]);
 
     // Handle keyboard shortcuts
     useEffect(() => {
@@ -225,6 +446,8 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                     closePanel();
                 }
             }
+            // Leave typed characters to focused fields (editor drawer, filters, presets)
+            if (e.target.closest?.('input, textarea, select')) return;
             // / or Cmd+K for search
             if ((e.key === '/' || (e.key === 'k' && (e.metaKey || e.ctrlKey))) && !showSearch && !isPanelOpen) {
                 e.preventDefault();
@@ -260,15 +483,21 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 setSelectedStarId(philosopher.id);
                 setPanelData(philosopher);
                 setIsPanelOpen(true);
+                onPhilosopherSelect?.(philosopher);
             }, 600); // Wait for zoom animation
         }
-    }, [baseStarPositions, zoomToPoint]);
+    }, [baseStarPositions, zoomToPoint, onPhilosopherSelect]);
 
     const handleSearchSelectConcept = useCallback((concept) => {
+        // Keep the highlight in shared state so it can be linked to
+        if (onConceptSelect) {
+            onConceptSelect(concept.concept);
+            return;
+        }
         setHoveredConcept(concept.concept);
         // Clear after a few seconds
         setTimeout(() => setHoveredConcept(null), 5000);
-    }, []);
+    }, [onConceptSelect]);
 
     // Navigate to connected philosopher from panel
     const handleNavigateToPhilosopher = useCallback((philosopherId) => {
@@ -279,9 +508,67 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
             setTimeout(() => {
                 setSelectedStarId(philosopherId);
                 setPanelData(philosopher);
+                onPhilosopherSelect?.(philosopher);
             }, 400);
         }
-    }, [baseStarPositions, zoomToPoint]);
+    }, [timelineEvents, baseStarPositions, zoomToPoint, onPhilosopherSelect]);
+
+    // Guided tours
+    const [showTourPicker, setShowTourPicker] = useState(false);
+
+    // Run a tour step: zoom, select its philosopher, highlight its concept
+    // and open Concept Evolution (each part the step leaves out is cleared)
+    const runTourStep = useCallback((step) => {
+        const { philosopher, zoom } = step;
+        const position = philosopher && baseStarPositions.find(p => p.id === philosopher.id);
+
+        // Zoom to a year, else to the philosopher, else across the map
+        if (zoom?.year !== undefined) {
+            zoomToPoint(yearToX(timeScale, zoom.year, canvasSize.width), zoom.y * canvasSize.height, zoom.scale);
+        } else if (position) {
+            zoomToPoint(position.x, position.y, zoom ? zoom.scale : 2);
+        } else if (zoom) {
+            zoomToPoint(canvasSize.width / 2, zoom.y * canvasSize.height, zoom.scale);
+        }
+
+        setSelectedStarId(philosopher?.id || null);
+        if (philosopher) setPanelData(philosopher);
+        setIsPanelOpen(Boolean(philosopher));
+        // Philosopher and concept in one route update, so Back undoes a whole step
+        onPhilosopherSelect?.(philosopher, { concept: step.concept });
+        if (!onConceptSelect) setHoveredConcept(step.concept);
+
+        if (step.conceptEvolution) {
+            handleConceptEvolution(step.conceptEvolution);
+        } else {
+            setShowConceptEvolution(false);
+        }
+    }, [baseStarPositions, canvasSize, timeScale, zoomToPoint, onPhilosopherSelect, onConceptSelect, handleConceptEvolution]);
+
+    const tourPlayer = useTourPlayer(runTourStep);
+    const { start: startTour, stop: stopTour } = tourPlayer;
+    const { stop: stopPlayback } = playback;
+
+    const handleStartTour = useCallback((tour) => {
+        setShowTourPicker(false);
+        setMapHighlight(null);
+        stopPlayback();
+        startTour(resolveTour(tour, { philosophers: timelineEvents, concepts: philosophyConcepts }));
+    }, [stopPlayback, startTour, timelineEvents, philosophyConcepts]);
+
+    const handleEndTour = useCallback(() => {
+        stopTour();
+        setShowConceptEvolution(false);
+        if (onConceptSelect) {
+            onConceptSelect(null);
+        } else {
+            setHoveredConcept(null);
+        }
+    }, [stopTour, onConceptSelect]);
+
+    const closeTourPicker = useCallback(() => {
+        setShowTourPicker(false);
+    }, []);
 
     return (
         <div
@@ -294,6 +581,7 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
         >
             {/* Main Canvas */}
             <ConstellationCanvas
+                ref={canvasRef}
                 canvasSize={canvasSize}
                 transform={transform}
                 positions={starPositions}
@@ -303,6 +591,9 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 onStarHover={handleStarHover}
                 onStarLeave={handleStarLeave}
                 onStarClick={handleStarClick}
+                onStarDragStart={startDrag}
+                draggingStarId={draggingId}
+                starSizes={starSizes}
                 onCanvasClick={handleCanvasClick}
                 isLoaded={showContent}
             >
@@ -310,21 +601,44 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 <ConstellationLines
                     connections={connections}
                     influenceConnections={influenceConnections}
-                    showInfluences={showInfluences}
+                    showInfluences={showInfluences || playback.isActive}
+                    tracedPath={influenceTrace}
                     positions={starPositions}
                     highlightedPhilosopherId={selectedStarId || hoveredStarId}
+                    highlightedConcept={selectedConcept}
                     hoveredConcept={hoveredConcept}
+                    isPlayback={playback.isActive}
                 />
+
+                {/* Playback playhead (same time scale as the stars) */}
+                {playhead !== null && (
+                    <line
+                        className="playback-playhead"
+                        x1={yearToX(timeScale, playhead, canvasSize.width)}
+                        x2={yearToX(timeScale, playhead, canvasSize.width)}
+                        y1={0}
+                        y2={canvasSize.height}
+                    />
+                )}
             </ConstellationCanvas>
 
             {/* Timeline Axis */}
-            <TimelineAxis canvasSize={canvasSize} transform={transform} />
+            <TimelineAxis
+                canvasSize={canvasSize}
+                timeScale={timeScale}
+                transform={transform}
+                yearRange={yearRange}
+                onYearRangeChange={setYearRange}
+                isSweeping={isSweeping}
+                onToggleSweep={toggleSweep}
+            />
 
             {/* Zoom Controls */}
             <ZoomControls
                 onZoomIn={zoomIn}
                 onZoomOut={zoomOut}
                 onReset={resetTransform}
+                onResetLayout={hasOverrides ? resetLayout : undefined}
                 currentZoom={transform.scale}
                 className="constellation-zoom-controls"
             />
@@ -354,14 +668,28 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
             <EraFilterBar
                 selectedEras={selectedEras}
                 onToggleEra={toggleEra}
-                onClear={() => { clearEras(); if (!showMinor) toggleShowMinor(); }}
+                onClear={clearFilters}
                 visibleCount={visibleCount}
                 totalCount={totalCount}
                 hasActiveFilter={hasActiveFilter}
                 eraDefinitions={eraDefinitions}
                 showMinor={showMinor}
                 onToggleShowMinor={toggleShowMinor}
-            />
+                concepts={conceptNames}
+                selectedConcepts={selectedConcepts}
+                onToggleConcept={toggleConcept}
+                yearRange={yearRange}
+                onYearRangeChange={setYearRange}
+            >
+                <FilterPresets
+                    presets={presets}
+                    currentFilters={currentFilters}
+                    activePresetName={filterPresetName}
+                    onApply={handleApplyPreset}
+                    onSave={handleSavePreset}
+                    onDelete={deletePreset}
+                />
+            </EraFilterBar>
 
             {/* Influence Toggle */}
             <button
@@ -395,6 +723,7 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 concepts={philosophyConcepts}
                 onSelectPhilosopher={handleSearchSelectPhilosopher}
                 onSelectConcept={handleSearchSelectConcept}
+                onHighlightMatches={handleQueryHighlight}
                 isOpen={showSearch}
                 onClose={() => setShowSearch(false)}
             />
@@ -446,6 +775,183 @@ const ConstellationMap = ({ onPhilosopherSelect, selectedPhilosopher }) => {
                 </svg>
             </button>
 
+            {/* Trace Lineage Button */}
+            <button
+                className={`influence-path-toggle-btn ${showInfluencePath ? 'active' : ''}`}
+                onClick={() => setShowInfluencePath(prev => !prev)}
+                aria-label="Trace influence lineage"
+                title="Trace Lineage"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <circle cx="5" cy="6" r="2" />
+                    <circle cx="12" cy="18" r="2" />
+                    <circle cx="19" cy="6" r="2" />
+                    <path d="M6.2 7.8l4.6 8.4M13.2 16.2l4.6-8.4" />
+                </svg>
+            </button>
+
+            {/* Trace Lineage Panel */}
+            <InfluencePath
+                isOpen={showInfluencePath}
+                onClose={closeInfluencePath}
+                philosophers={timelineEvents}
+                influenceConnections={influenceConnections}
+                initialFromId={selectedStarId}
+                onTraceChange={setInfluenceTrace}
+            />
+
+            {/* Influence Ranking Button */}
+            <button
+                className={`ranking-toggle-btn ${sizeStarsByMetric ? 'active' : ''}`}
+                onClick={() => setShowRanking(true)}
+                aria-label="Influence ranking"
+                title="Influence Ranking"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <path d="M4 20V12M10 20V4M16 20v-6M22 20H2" />
+                </svg>
+            </button>
+
+            {/* Influence Ranking Panel */}
+            <InfluenceRanking
+                isOpen={showRanking}
+                onClose={closeRanking}
+                metrics={graphMetrics}
+                network={rankingNetwork}
+                onNetworkChange={setRankingNetwork}
+                metric={rankingMetric}
+                onMetricChange={setRankingMetric}
+                sizeStars={sizeStarsByMetric}
+                onSizeStarsChange={setSizeStarsByMetric}
+                onPhilosopherSelect={(philosopher) => {
+                    setShowRanking(false);
+                    handleStarClick(philosopher);
+                }}
+            />
+
+            {/* Concept Matrix Button */}
+            <button
+                className="matrix-toggle-btn"
+                onClick={() => setShowConceptMatrix(true)}
+                aria-label="Concept co-occurrence matrix"
+                title="Concept Co-occurrence"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <rect x="3" y="3" width="7" height="7" rx="1" />
+                    <rect x="14" y="3" width="7" height="7" rx="1" />
+                    <rect x="3" y="14" width="7" height="7" rx="1" />
+                    <rect x="14" y="14" width="7" height="7" rx="1" />
+                </svg>
+            </button>
+
+            {/* Concept Matrix Panel */}
+            <ConceptMatrix
+                isOpen={showConceptMatrix}
+                onClose={closeConceptMatrix}
+                onHighlight={handleConceptHighlight}
+                onPhilosopherSelect={(philosopher) => {
+                    setShowConceptMatrix(false);
+                    handleStarClick(philosopher);
+                }}
+            />
+
+            {/* Active matrix or query highlight */}
+            {mapHighlight && (
+                <div className="concept-highlight-chip">
+                    <span>
+                        {mapHighlight.label}
+                        {' · '}
+                        {mapHighlight.ids.length} {mapHighlight.ids.length === 1 ? 'philosopher' : 'philosophers'}
+                    </span>
+                    <button onClick={() => setMapHighlight(null)} aria-label="Clear highlight">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+            )}
+
+            {/* Era Chord Button */}
+            <button
+                className="chord-toggle-btn"
+                onClick={() => setShowEraChord(true)}
+                aria-label="Influence between eras"
+                title="Influence Between Eras"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <circle cx="12" cy="12" r="9" />
+                    <path d="M5.6 6.6C10 10 14 10 18.4 6.6M5.6 17.4C9 12 15 12 18.4 17.4" />
+                </svg>
+            </button>
+
+            {/* Era Chord Panel */}
+            <EraChord
+                isOpen={showEraChord}
+                onClose={closeEraChord}
+                onPhilosopherSelect={(philosopher) => {
+                    setShowEraChord(false);
+                    handleStarClick(philosopher);
+                }}
+            />
+
+            {/* History Playback Button */}
+            <button
+                className={`playback-toggle-btn ${playback.isActive ? 'active' : ''}`}
+                onClick={playback.isActive ? playback.stop : playback.start}
+                aria-label={playback.isActive ? 'Leave history playback' : 'Play history'}
+                title="History Playback"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <circle cx="12" cy="12" r="9" />
+                    <path d="M10 8.5v7l5.5-3.5z" fill="currentColor" />
+                </svg>
+            </button>
+
+            {/* History Playback Controls */}
+            <HistoryPlayback
+                isActive={playback.isActive}
+                isPlaying={playback.isPlaying}
+                playhead={playback.playhead}
+                startYear={playback.startYear}
+                endYear={playback.endYear}
+                speed={playback.speed}
+                onSpeedChange={playback.setSpeed}
+                onTogglePlay={playback.togglePlay}
+                onSeek={playback.seek}
+                onClose={playback.stop}
+                bornCount={bornCount}
+                totalCount={baseStarPositions.length}
+            />
+
+            {/* Guided Tour Button */}
+            <button
+                className={`tour-toggle-btn ${tourPlayer.isActive ? 'active' : ''}`}
+                onClick={tourPlayer.isActive ? handleEndTour : () => setShowTourPicker(true)}
+                aria-label={tourPlayer.isActive ? 'End guided tour' : 'Guided tours'}
+                title="Guided Tours"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <path d="M9 4L3 6v14l6-2 6 2 6-2V4l-6 2-6-2z" />
+                    <path d="M9 4v14M15 6v14" />
+                </svg>
+            </button>
+
+            {/* Guided Tour Picker & Caption Card */}
+            <TourPlayer
+                isPickerOpen={showTourPicker}
+                onClosePicker={closeTourPicker}
+                onStart={handleStartTour}
+                tour={tourPlayer.tour}
+                stepIndex={tourPlayer.stepIndex}
+                onNext={tourPlayer.next}
+                onBack={tourPlayer.back}
+                onGoTo={tourPlayer.goTo}
+                onEnd={handleEndTour}
+            />
+
+            {/* Export Button */}
+            <ConstellationExport svgRef={canvasRef} canvasSize={canvasSize} />
+
             {/* Instructions overlay (shows briefly on first load) */}
             <div className="constellation-instructions">
                 <span>Scroll to zoom • Drag to pan • Click stars to explore • Press / to search</span>
@@ -1,10 +1,66 @@
 /**
  * EraFilterBar Component
  * Horizontal button bar for filtering philosophers by era
- * Supports multi-select, clear, and major/minor toggle
+ * Supports multi-select, concept and year-range filters, clear, and major/minor toggle
  */
 
-import React, { memo } from 'react';
+import React, { useState, memo } from 'react';
+import { formatYear, parseYearInput } from '../../utils/yearParser';
+import { useYearFormat } from '../../hooks/useYearFormat';
+
+// "PoliticalPhilosophy" → "Political Philosophy"
+const formatConcept = (name) => name.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+/**
+ * From/to inputs; a range is applied once both ends parse, clearing both removes it
+ * Remounted (via key) whenever the range changes from outside
+ */
+const YearRangeInputs = ({ yearRange, onChange }) => {
+    // Western digits, so the text can be typed over and parsed back
+    const { notation } = useYearFormat().yearFormat;
+    const [from, setFrom] = useState(yearRange ? formatYear(yearRange[0], { notation, locale: 'en' }) : '');
+    const [to, setTo] = useState(yearRange ? formatYear(yearRange[1], { notation, locale: 'en' }) : '');
+
+    const commit = () => {
+        if (!from.trim() && !to.trim()) {
+            if (yearRange) onChange(null);
+            return;
+        }
+        const start = parseYearInput(from);
+        const end = parseYearInput(to);
+        if (start !== null && end !== null) {
+            onChange([Math.min(start, end), Math.max(start, end)]);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') commit();
+    };
+
+    return (
+        <div className="era-filter-years">
+            <input
+                type="text"
+                value={from}
+                placeholder="From"
+                onChange={e => setFrom(e.target.value)}
+                onBlur={commit}
+                onKeyDown={handleKeyDown}
+                aria-label="From year (e.g. 500 BC)"
+            />
+            <span>–</span>
+            <input
+                type="text"
+                value={to}
+                placeholder="To"
+                onChange={e => setTo(e.target.value)}
+                onBlur={commit}
+                onKeyDown={handleKeyDown}
+                aria-label="To year (e.g. 1800)"
+            />
+        </div>
+    );
+};
 
 const EraFilterBar = ({
     selectedEras,
@@ -15,7 +71,13 @@ const EraFilterBar = ({
     hasActiveFilter,
     eraDefinitions,
     showMinor,
-    onToggleShowMinor
+    onToggleShowMinor,
+    concepts = [],
+    selectedConcepts = new Set(),
+    onToggleConcept,
+    yearRange = null,
+    onYearRangeChange,
+    children
 }) => {
     return (
         <div className="era-filter-bar">
@@ -40,9 +102,40 @@ const EraFilterBar = ({
                         </button>
                     );
                 })}
+
+                {/* Concept filter */}
+                {[...selectedConcepts].map(concept => (
+                    <button
+                        key={concept}
+                        className="era-filter-chip"
+                        onClick={() => onToggleConcept(concept)}
+                        aria-label={`Remove concept filter ${formatConcept(concept)}`}
+                    >
+                        {formatConcept(concept)} ×
+                    </button>
+                ))}
+                <select
+                    className="era-filter-select"
+                    value=""
+                    onChange={e => e.target.value && onToggleConcept(e.target.value)}
+                    aria-label="Filter by concept"
+                >
+                    <option value="">+ Concept</option>
+                    {concepts.filter(c => !selectedConcepts.has(c)).map(concept => (
+                        <option key={concept} value={concept}>{formatConcept(concept)}</option>
+                    ))}
+                </select>
+
+                <YearRangeInputs
+                    key={yearRange ? yearRange.join('..') : 'none'}
+                    yearRange={yearRange}
+                    onChange={onYearRangeChange}
+                />
             </div>
 
             <div className="era-filter-meta">
+                {children}
+
                 {/* Major/Minor toggle */}
                 <button
                     className={`era-filter-toggle ${!showMinor ? 'active' : ''}`}
@@ -60,7 +153,7 @@ const EraFilterBar = ({
                     <button
                         className="era-filter-clear"
                         onClick={onClear}
-                        aria-label="Clear era filter"
+                        aria-label="Clear filters"
                     >
                         Clear
                     </button>
@@ -0,0 +1,128 @@
+/**
+ * FilterPresets Component
+ * Popover in the era filter bar for saving, applying and sharing named
+ * filter presets (the address bar always holds the current filters)
+ */
+
+import React, { useState, useEffect, useRef, memo } from 'react';
+import { isSameFilterState } from '../../utils/filterState';
+
+const FilterPresets = ({
+    presets,
+    currentFilters,
+    activePresetName,
+    onApply,
+    onSave,
+    onDelete
+}) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [copied, setCopied] = useState(false);
+    const containerRef = useRef(null);
+
+    // Close when clicking outside
+    useEffect(() => {
+        if (!isOpen) return;
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        window.addEventListener('pointerdown', handlePointerDown);
+        return () => window.removeEventListener('pointerdown', handlePointerDown);
+    }, [isOpen]);
+
+    useEffect(() => {
+        if (!copied) return;
+        const timer = setTimeout(() => setCopied(false), 2000);
+        return () => clearTimeout(timer);
+    }, [copied]);
+
+    // A shared link names a preset this browser hasn't saved yet
+    const isUnsavedLink = activePresetName && !presets.some(p => p.name === activePresetName);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        onSave(trimmed);
+        setName('');
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+        } catch (error) {
+            console.error('Could not copy link:', error);
+        }
+    };
+
+    return (
+        <div className="filter-presets" ref={containerRef}>
+            <button
+                className={`era-filter-toggle ${activePresetName ? 'active' : ''}`}
+                onClick={() => setIsOpen(open => !open)}
+                aria-expanded={isOpen}
+                aria-haspopup="dialog"
+            >
+                {activePresetName || 'Presets'}
+            </button>
+
+            {isOpen && (
+                <div className="filter-presets-popover" role="dialog" aria-label="Filter presets">
+                    {presets.length === 0 ? (
+                        <p className="filter-presets-empty">No saved presets yet.</p>
+                    ) : (
+                        <ul className="filter-presets-list">
+                            {presets.map(preset => {
+                                const isActive = isSameFilterState(preset.filters, currentFilters);
+                                return (
+                                    <li key={preset.name} className={isActive ? 'active' : ''}>
+                                        <button
+                                            className="filter-presets-apply"
+                                            onClick={() => {
+                                                onApply(preset);
+                                                setIsOpen(false);
+                                            }}
+                                        >
+                                            {preset.name}
+                                        </button>
+                                        <button
+                                            className="filter-presets-delete"
+                                            onClick={() => onDelete(preset.name)}
+                                            aria-label={`Delete preset ${preset.name}`}
+                                        >
+                                            ×
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+
+                    {isUnsavedLink && (
+                        <button className="filter-presets-keep" onClick={() => onSave(activePresetName)}>
+                            Save "{activePresetName}"
+                        </button>
+                    )}
+
+                    <form className="filter-presets-form" onSubmit={handleSave}>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={e => setName(e.target.value)}
+                            placeholder="Name current filters"
+                            aria-label="Preset name"
+                        />
+                        <button type="submit" disabled={!name.trim()}>Save</button>
+                    </form>
+
+                    <button className="filter-presets-link" onClick={handleCopyLink}>
+                        {copied ? 'Link copied' : 'Copy link to these filters'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default memo(FilterPresets);
@@ -0,0 +1,237 @@
+/**
+ * MetroElements
+ * SVG building blocks of the metro map (lines, stations, time axis),
+ * shared by the interactive MetroMap and the printable MetroPoster
+ */
+
+import React, { memo } from 'react';
+import { METRO_LINES } from '../../utils/metroLayout';
+import { getScaleTicks } from '../../utils/timeScale';
+import { useYearFormat } from '../../hooks/useYearFormat';
+
+/**
+ * Metro Line - Renders a single concept "route"
+ */
+const MetroLine = memo(({ lineData, isHighlighted, isHovered, onHover, onLeave }) => {
+    if (!lineData.path) return null;
+
+    const opacity = isHighlighted ? 1 : isHovered ? 0.9 : 0.6;
+    const strokeWidth = isHighlighted ? 8 : isHovered ? 6 : 4;
+
+    return (
+        <g className={`metro-line ${isHighlighted ? 'highlighted' : ''}`}>
+            {/* Glow effect */}
+            {(isHighlighted || isHovered) && (
+                <path
+                    d={lineData.path}
+                    fill="none"
+                    stroke={lineData.color}
+                    strokeWidth={strokeWidth + 8}
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    opacity={0.2}
+                    style={{ filter: 'blur(8px)' }}
+                />
+            )}
+
+            {/* Main line */}
+            <path
+                d={lineData.path}
+                fill="none"
+                stroke={lineData.color}
+                strokeWidth={strokeWidth}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                opacity={opacity}
+                className="metro-line-path"
+                onMouseEnter={() => onHover?.(lineData.concept)}
+                onMouseLeave={() => onLeave?.()}
+                style={{ cursor: 'pointer' }}
+            />
+
+            {/* Line label at start */}
+            <g className="metro-line-label" transform={`translate(10, ${lineData.baseY})`}>
+                <rect
+                    x={0}
+                    y={-12}
+                    width={100}
+                    height={24}
+                    rx={12}
+                    fill={lineData.color}
+                    opacity={0.9}
+                />
+                <text
+                    x={50}
+                    y={5}
+                    textAnchor="middle"
+                    fill="white"
+                    fontSize="11"
+                    fontWeight="600"
+                    style={{ fontFamily: 'Inter, sans-serif' }}
+                >
+                    {lineData.label.replace(' Line', '')}
+                </text>
+            </g>
+        </g>
+    );
+});
+
+MetroLine.displayName = 'MetroLine';
+
+/**
+ * Metro Station - Renders a philosopher as a station marker
+ */
+const MetroStation = memo(({
+    station,
+    isSelected,
+    isHovered,
+    alwaysShowLabel = false,
+    labelBelow = false,
+    onHover,
+    onLeave,
+    onClick
+}) => {
+    const { formatYearText } = useYearFormat();
+    const { x, y, philosopher, isInterchange, primaryLine, type } = station;
+    const lineConfig = METRO_LINES[primaryLine];
+    const color = lineConfig?.color || '#8b5cf6';
+
+    const size = isSelected ? 18 : isHovered ? 14 : type === 'major' ? 12 : 8;
+    const showLabel = alwaysShowLabel || isSelected || isHovered || type === 'major';
+    const labelY = labelBelow ? size + 18 : -size - 10;
+
+    return (
+        <g
+            className={`metro-station ${isInterchange ? 'interchange' : ''} ${isSelected ? 'selected' : ''}`}
+            transform={`translate(${x}, ${y})`}
+            onMouseEnter={() => onHover?.(philosopher)}
+            onMouseLeave={() => onLeave?.()}
+            onClick={() => onClick?.(philosopher)}
+            style={{ cursor: 'pointer' }}
+        >
+            {/* Outer glow for selected/hovered */}
+            {(isSelected || isHovered) && (
+                <circle
+                    r={size + 8}
+                    fill={color}
+                    opacity={0.2}
+                    className="station-glow"
+                />
+            )}
+
+            {/* Interchange indicator (larger white circle) */}
+            {isInterchange && (
+                <circle
+                    r={size + 4}
+                    fill="white"
+                    stroke={color}
+                    strokeWidth={3}
+                    className="interchange-outer"
+                />
+            )}
+
+            {/* Main station circle */}
+            <circle
+                r={size}
+                fill={isInterchange ? 'white' : color}
+                stroke={isInterchange ? color : 'white'}
+                strokeWidth={isInterchange ? 3 : 2}
+                className="station-marker"
+            />
+
+            {/* Inner dot for interchanges */}
+            {isInterchange && (
+                <circle
+                    r={size * 0.4}
+                    fill={color}
+                    className="interchange-inner"
+                />
+            )}
+
+            {/* Station name label */}
+            {showLabel && (
+                <g className="station-label">
+                    <text
+                        y={labelY}
+                        textAnchor="middle"
+                        fill="white"
+                        fontSize={isSelected ? 14 : 12}
+                        fontWeight={isSelected ? 700 : 500}
+                        style={{
+                            fontFamily: 'Inter, sans-serif',
+                            textShadow: '0 2px 4px rgba(0,0,0,0.8)'
+                        }}
+                    >
+                        {philosopher.title}
+                    </text>
+                    <text
+                        y={labelY + 16}
+                        textAnchor="middle"
+                        fill="rgba(255,255,255,0.6)"
+                        fontSize={10}
+                        style={{ fontFamily: 'Inter, sans-serif' }}
+                    >
+                        {formatYearText(philosopher.year)}
+                    </text>
+                </g>
+            )}
+        </g>
+    );
+});
+
+MetroStation.displayName = 'MetroStation';
+
+/**
+ * Time Axis for metro map
+ * Ticks are round years on the time scale the stations were laid out with
+ */
+const MetroTimeAxis = memo(({ width, padding, timeScale, tickSpacing = 120 }) => {
+    const { formatYear } = useYearFormat();
+    const usableWidth = width - padding.left - padding.right;
+    const ticks = getScaleTicks(timeScale, Math.max(3, Math.floor(usableWidth / tickSpacing)));
+
+    return (
+        <g className="metro-time-axis">
+            {/* Axis line */}
+            <line
+                x1={padding.left}
+                y1={50}
+                x2={padding.left + usableWidth + 40}
+                y2={50}
+                stroke="rgba(255,255,255,0.2)"
+                strokeWidth={2}
+            />
+
+            {/* Time markers */}
+            {ticks.map(year => {
+                const x = padding.left + timeScale.toPosition(year) * usableWidth;
+                return (
+                    <g key={year} transform={`translate(${x}, 50)`}>
+                        <line y1={-5} y2={5} stroke="rgba(255,255,255,0.3)" strokeWidth={2} />
+                        <text
+                            y={-15}
+                            textAnchor="middle"
+                            fill="rgba(255,255,255,0.5)"
+                            fontSize={11}
+                            style={{ fontFamily: 'Inter, sans-serif' }}
+                        >
+                            {formatYear(year)}
+                        </text>
+                    </g>
+                );
+            })}
+
+            {/* Direction arrow */}
+            <g transform={`translate(${padding.left + usableWidth + 50}, 50)`}>
+                <polygon
+                    points="0,-6 12,0 0,6"
+                    fill="rgba(255,255,255,0.3)"
+                />
+            </g>
+        </g>
+    );
+});
+
+MetroTimeAxis.displayName = 'MetroTimeAxis';
+
+export { MetroLine, MetroStation, MetroTimeAxis };
@@ -0,0 +1,148 @@
+/**
+ * MetroPoster Component
+ * Static, print-sized rendering of the metro map: every line, every station
+ * label, the full time axis and an SVG version of the legend
+ */
+
+import React, { memo, forwardRef } from 'react';
+import { METRO_LINES } from '../../utils/metroLayout';
+import { MetroLine, MetroStation, MetroTimeAxis } from './MetroElements';
+
+// Height reserved under the map for the title and legend (px)
+export const POSTER_FOOTER_HEIGHT = 220;
+
+/**
+ * Poster Legend - SVG counterpart of MetroLegend
+ */
+const PosterLegend = memo(({ lines, x, y, width }) => {
+    const entries = Object.entries(lines);
+    const columnWidth = width / Math.max(entries.length, 1);
+
+    return (
+        <g className="poster-legend" transform={`translate(${x}, ${y})`}>
+            <text
+                fill="rgba(255,255,255,0.5)"
+                fontSize={12}
+                fontWeight={600}
+                letterSpacing="1"
+                style={{ fontFamily: 'Inter, sans-serif' }}
+            >
+                CONCEPT ROUTES
+            </text>
+            {entries.map(([concept, lineData], i) => (
+                <g key={concept} transform={`translate(${i * columnWidth}, 30)`}>
+                    <rect width={28} height={8} y={-4} rx={4} fill={lineData.color} />
+                    <text
+                        x={38}
+                        y={5}
+                        fill="white"
+                        fontSize={14}
+                        fontWeight={500}
+                        style={{ fontFamily: 'Inter, sans-serif' }}
+                    >
+                        {lineData.label.replace(' Line', '')}
+                        <tspan fill="rgba(255,255,255,0.5)" dx={8}>{lineData.stations?.length || 0}</tspan>
+                    </text>
+                </g>
+            ))}
+        </g>
+    );
+});
+
+PosterLegend.displayName = 'PosterLegend';
+
+/**
+ * Main MetroPoster Component
+ * @param {Object} layout - computeMetroLayout result for the map area
+ * @param {TimeScale} timeScale - Scale the layout was computed with
+ * @param {Object} size - { width, height } of the whole poster in px
+ * @param {string} title - Poster heading
+ * @param {string} subtitle - Line under the heading
+ * @param {string} viewBox - Area to draw (defaults to the whole poster; print tiles pass their own)
+ */
+const MetroPoster = forwardRef(({ layout, timeScale, size, title, subtitle, viewBox, width, height, className = '' }, ref) => {
+    const footerY = size.height - POSTER_FOOTER_HEIGHT;
+    const baseYByLine = Object.fromEntries(
+        Object.entries(layout.lines).map(([concept, lineData]) => [concept, lineData.baseY])
+    );
+
+    return (
+        <svg
+            ref={ref}
+            className={`metro-poster ${className}`}
+            viewBox={viewBox || `0 0 ${size.width} ${size.height}`}
+            width={width}
+            height={height}
+            preserveAspectRatio="xMidYMid meet"
+        >
+            <defs>
+                <linearGradient id="poster-background" x1="0" y1="0" x2="1" y2="1">
+                    <stop offset="0%" stopColor="#0f0f1a" />
+                    <stop offset="50%" stopColor="#1a1a2e" />
+                    <stop offset="100%" stopColor="#0f0f1a" />
+                </linearGradient>
+            </defs>
+            <rect width={size.width} height={size.height} fill="url(#poster-background)" />
+
+            <MetroTimeAxis width={size.width} padding={layout.padding} timeScale={timeScale} tickSpacing={80} />
+
+            <g className="metro-lines-layer">
+                {Object.entries(layout.lines).map(([concept, lineData]) => (
+                    <MetroLine key={concept} lineData={lineData} />
+                ))}
+            </g>
+
+            <g className="metro-stations-layer">
+                {layout.stations.map(station => (
+                    <MetroStation
+                        key={station.id}
+                        station={station}
+                        alwaysShowLabel
+                        labelBelow={station.y > baseYByLine[station.primaryLine]}
+                    />
+                ))}
+            </g>
+
+            {/* Footer: title and legend */}
+            <g className="poster-footer">
+                <line
+                    x1={layout.padding.left}
+                    y1={footerY}
+                    x2={size.width - layout.padding.right}
+                    y2={footerY}
+                    stroke="rgba(255,255,255,0.15)"
+                    strokeWidth={1}
+                />
+                <text
+                    x={layout.padding.left}
+                    y={footerY + 60}
+                    fill="white"
+                    fontSize={36}
+                    fontWeight={700}
+                    style={{ fontFamily: 'Inter, sans-serif' }}
+                >
+                    {title}
+                </text>
+                <text
+                    x={layout.padding.left}
+                    y={footerY + 92}
+                    fill="rgba(255,255,255,0.6)"
+                    fontSize={16}
+                    style={{ fontFamily: 'Inter, sans-serif' }}
+                >
+                    {subtitle}
+                </text>
+                <PosterLegend
+                    lines={layout.lines}
+                    x={layout.padding.left}
+                    y={footerY + 140}
+                    width={Math.min(size.width - layout.padding.left - layout.padding.right, Object.keys(METRO_LINES).length * 240)}
+                />
+            </g>
+        </svg>
+    );
+});
+
+MetroPoster.displayName = 'MetroPoster';
+
+export default memo(MetroPoster);
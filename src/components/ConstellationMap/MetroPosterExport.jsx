@@ -0,0 +1,214 @@
+/**
+ * MetroPosterExport Component
+ * Button + dialog that turns the metro map into a printable poster:
+ * a single SVG file at poster size, or the poster split over several
+ * pages for printing (or saving as PDF) on an ordinary printer
+ */
+
+import React, { memo, useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import MetroPoster, { POSTER_FOOTER_HEIGHT } from './MetroPoster';
+import { computeMetroLayout } from '../../utils/metroLayout';
+import { PAPER_SIZES, PX_PER_MM, computePosterTiles } from '../../utils/posterLayout';
+import { createStandaloneSvg, serializeSvg } from '../../utils/svgExport';
+import { downloadText } from '../../utils/fileExport';
+import { useDataset } from '../../context/DatasetContext';
+import { useTimeScale } from '../../hooks/useTimeScale';
+
+const POSTER_PAPERS = ['A0', 'A1', 'A2', 'A3'];
+const PAGE_PAPERS = ['A4', 'Letter', 'A3'];
+const PAGE_MARGIN = 10;
+const PAGE_OVERLAP = 10;
+const POSTER_TITLE = 'Map of Thought';
+
+/**
+ * Print Sheet - one page per tile, only visible while printing
+ */
+const PrintSheet = memo(({ layout, timeScale, size, subtitle, tiling, page }) => {
+    const total = tiling.tiles.length;
+
+    return createPortal(
+        <div className="metro-print-sheet">
+            {tiling.tiles.map((tile, i) => (
+                <div
+                    key={i}
+                    className="metro-print-page"
+                    style={{ width: `${page.width}mm`, height: `${page.height}mm`, padding: `${PAGE_MARGIN}mm` }}
+                >
+                    <MetroPoster
+                        layout={layout}
+                        timeScale={timeScale}
+                        size={size}
+                        title={POSTER_TITLE}
+                        subtitle={subtitle}
+                        viewBox={[tile.x, tile.y, tile.width, tile.height].map(v => v * PX_PER_MM).join(' ')}
+                        width={`${tile.width}mm`}
+                        height={`${tile.height}mm`}
+                    />
+                    <span className="metro-print-caption">
+                        {POSTER_TITLE} · sheet {i + 1} of {total} · row {tile.row + 1}, column {tile.column + 1}
+                        {' '}· sheets overlap by {PAGE_OVERLAP} mm
+                    </span>
+                </div>
+            ))}
+        </div>,
+        document.body
+    );
+});
+
+PrintSheet.displayName = 'PrintSheet';
+
+const MetroPosterExport = () => {
+    const { philosophers, eras, datasetName } = useDataset();
+    const timeScale = useTimeScale(philosophers);
+    const [isOpen, setIsOpen] = useState(false);
+    const [posterPaper, setPosterPaper] = useState('A1');
+    const [pagePaper, setPagePaper] = useState('A4');
+    const [isPrinting, setIsPrinting] = useState(false);
+    const posterRef = useRef(null);
+
+    const poster = PAPER_SIZES[posterPaper];
+    const page = PAPER_SIZES[pagePaper];
+
+    const size = useMemo(() => ({
+        width: Math.round(poster.width * PX_PER_MM),
+        height: Math.round(poster.height * PX_PER_MM)
+    }), [poster]);
+
+    // Lay the map out at poster size, leaving room for the footer
+    const layout = useMemo(() => {
+        if (!isOpen) return null;
+        return computeMetroLayout(philosophers, {
+            width: size.width,
+            height: size.height - POSTER_FOOTER_HEIGHT
+        }, { timeScale: timeScale.type, eras });
+    }, [isOpen, philosophers, size, timeScale, eras]);
+
+    const tiling = useMemo(() => computePosterTiles(poster, page, {
+        margin: PAGE_MARGIN,
+        overlap: PAGE_OVERLAP
+    }), [poster, page]);
+
+    const subtitle = `A transit map of philosophy · ${philosophers.length} philosophers · ${datasetName}`;
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen]);
+
+    // Print once the tiles are in the document, then remove them again
+    useEffect(() => {
+        if (!isPrinting) return;
+
+        const pageStyle = document.createElement('style');
+        pageStyle.textContent = `@page { size: ${page.width}mm ${page.height}mm; margin: 0; }`;
+        document.head.appendChild(pageStyle);
+        document.body.classList.add('metro-printing');
+
+        const handleAfterPrint = () => setIsPrinting(false);
+        window.addEventListener('afterprint', handleAfterPrint);
+        const frame = requestAnimationFrame(() => window.print());
+
+        return () => {
+            cancelAnimationFrame(frame);
+            window.removeEventListener('afterprint', handleAfterPrint);
+            document.body.classList.remove('metro-printing');
+            pageStyle.remove();
+        };
+    }, [isPrinting, page]);
+
+    const handleDownloadSvg = useCallback(() => {
+        if (!posterRef.current) return;
+        const standalone = createStandaloneSvg(posterRef.current, {
+            size: { width: `${poster.width}mm`, height: `${poster.height}mm` }
+        });
+        downloadText(serializeSvg(standalone), `metro-poster-${posterPaper}.svg`, 'image/svg+xml');
+    }, [poster, posterPaper]);
+
+    return (
+        <>
+            <button
+                className="metro-poster-btn"
+                onClick={() => setIsOpen(true)}
+                aria-label="Export poster"
+                title="Export as poster (SVG or print)"
+            >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <path d="M6 9V3h12v6" />
+                    <rect x="3" y="9" width="18" height="8" rx="2" />
+                    <path d="M6 14h12v7H6z" />
+                </svg>
+            </button>
+
+            {isOpen && createPortal(
+                <div className="poster-overlay" onClick={() => setIsOpen(false)}>
+                    <div className="poster-panel" onClick={e => e.stopPropagation()} role="dialog" aria-label="Export poster">
+                        <header className="poster-header">
+                            <h2>Metro poster</h2>
+                            <button className="poster-close" onClick={() => setIsOpen(false)} aria-label="Close">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                                    <path d="M18 6L6 18M6 6l12 12" />
+                                </svg>
+                            </button>
+                        </header>
+
+                        <div className="poster-preview">
+                            <MetroPoster
+                                ref={posterRef}
+                                layout={layout}
+                                timeScale={timeScale}
+                                size={size}
+                                title={POSTER_TITLE}
+                                subtitle={subtitle}
+                            />
+                        </div>
+
+                        <div className="poster-options">
+                            <label className="poster-option">
+                                <span>Poster size</span>
+                                <select value={posterPaper} onChange={e => setPosterPaper(e.target.value)}>
+                                    {POSTER_PAPERS.map(key => (
+                                        <option key={key} value={key}>
+                                            {PAPER_SIZES[key].label} ({PAPER_SIZES[key].width} × {PAPER_SIZES[key].height} mm)
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="poster-option">
+                                <span>Print on</span>
+                                <select value={pagePaper} onChange={e => setPagePaper(e.target.value)}>
+                                    {PAGE_PAPERS.map(key => (
+                                        <option key={key} value={key}>{PAPER_SIZES[key].label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <p className="poster-hint">
+                                {tiling.tiles.length} sheets ({tiling.columns} × {tiling.rows}), landscape.
+                                Choose "Save as PDF" in the print dialog for a PDF.
+                            </p>
+                        </div>
+
+                        <div className="poster-actions">
+                            <button className="poster-btn" onClick={handleDownloadSvg}>Download SVG</button>
+                            <button className="poster-btn poster-btn-primary" onClick={() => setIsPrinting(true)}>
+                                Print {tiling.tiles.length} pages
+                            </button>
+                        </div>
+                    </div>
+                </div>,
+                document.body
+            )}
+
+            {isPrinting && layout && (
+                <PrintSheet layout={layout} timeScale={timeScale} size={size} subtitle={subtitle} tiling={tiling} page={page} />
+            )}
+        </>
+    );
+};
+
+export default memo(MetroPosterExport);
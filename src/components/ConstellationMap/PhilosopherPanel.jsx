@@ -5,14 +5,8 @@
  */
 
 import React, { memo, useMemo } from 'react';
-
-const ERA_COLORS = {
-    'Ancient & Classical Thought': '#d4a574',
-    'Medieval & Renaissance Philosophy': '#4a90d9',
-    'The Age of Reason & Enlightenment': '#f5a623',
-    '19th Century Philosophy': '#e74c3c',
-    'Contemporary Thought': '#9b59b6'
-};
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useEras } from '../../hooks/useEras';
 
 const PhilosopherPanel = ({
     philosopher,
@@ -26,7 +20,9 @@ const PhilosopherPanel = ({
     allPhilosophers,
     onCompare
 }) => {
-    const eraColor = philosopher ? ERA_COLORS[philosopher.era] || '#8b5cf6' : '#8b5cf6';
+    const { formatYearText } = useYearFormat();
+    const { getEraColor } = useEras();
+    const eraColor = getEraColor(philosopher?.era);
 
     // Find connected philosophers (shared concepts)
     const connectedPhilosophers = useMemo(() => {
@@ -105,7 +101,7 @@ const PhilosopherPanel = ({
                         {philosopher.type === 'minor' ? 'Minor Figure' : 'Major Figure'}
                     </div>
                     <h2 id="panel-title" className="panel-title">{philosopher.title}</h2>
-                    <p className="panel-year">{philosopher.fullYear || philosopher.year}</p>
+                    <p className="panel-year">{formatYearText(philosopher.fullYear || philosopher.year)}</p>
                     <p className="panel-era">{philosopher.era}</p>
                     {onCompare && (
                         <button
@@ -5,17 +5,8 @@
  */
 
 import React, { memo } from 'react';
-
-/**
- * Era color mapping
- */
-const ERA_COLORS = {
-    ancient: '#d4a574',
-    medieval: '#4a90d9',
-    enlightenment: '#f5a623',
-    '19th': '#e74c3c',
-    contemporary: '#9b59b6'
-};
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { DEFAULT_ERA_COLOR, UNKNOWN_ERA_KEY } from '../../utils/eras';
 
 /**
  * MajorStar - Full-featured star for major philosophers
@@ -142,6 +133,7 @@ const StarNode = memo(({
     position,
     philosopher,
     era,
+    color = DEFAULT_ERA_COLOR,
     type = 'major',
     isHovered,
     isSelected,
@@ -149,18 +141,24 @@ const StarNode = memo(({
     onHover,
     onLeave,
     onClick,
+    onDragStart,
+    isDragging = false,
+    baseRadius = null,
+    uncertainty = 0,
     scale = 1
 }) => {
-    const color = ERA_COLORS[era] || '#ffffff';
+    const { formatYearText } = useYearFormat();
     const isMajor = type === 'major';
 
-    // Size based on type and state
+    // Size based on type and state (or on a graph metric when baseRadius is set)
     const baseSize = isMajor ? 8 : 5;
-    const size = isSelected
-        ? (isMajor ? 16 : 10)
-        : isHovered
-            ? (isMajor ? 12 : 8)
-            : baseSize;
+    const size = baseRadius !== null
+        ? baseRadius * (isSelected ? 2 : isHovered ? 1.5 : 1)
+        : isSelected
+            ? (isMajor ? 16 : 10)
+            : isHovered
+                ? (isMajor ? 12 : 8)
+                : baseSize;
 
     // Glow opacity based on state
     const glowOpacity = isSelected ? 1 : isHovered ? 0.8 : 0.5;
@@ -171,13 +169,17 @@ const StarNode = memo(({
 
     return (
         <g
-            className={`star-node ${isMajor ? 'star-major' : 'star-minor'} ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''}`}
+            className={`star-node ${isMajor ? 'star-major' : 'star-minor'} ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''} ${isDragging ? 'dragging' : ''}`}
             transform={`translate(${position.x}, ${position.y})`}
             style={{
                 opacity,
-                cursor: 'pointer',
+                cursor: isDragging ? 'grabbing' : 'pointer',
                 transition: 'opacity 0.4s ease'
             }}
+            onPointerDown={(e) => onDragStart && onDragStart(philosopher, position, e)}
+            // Pressing a draggable star moves the star, not the map
+            onMouseDown={(e) => onDragStart && e.stopPropagation()}
+            onTouchStart={(e) => onDragStart && e.touches.length === 1 && e.stopPropagation()}
             onMouseEnter={() => onHover && onHover(philosopher)}
             onMouseLeave={() => onLeave && onLeave()}
             onClick={(e) => {
@@ -186,7 +188,7 @@ const StarNode = memo(({
             }}
             role="button"
             tabIndex={0}
-            aria-label={`${philosopher.title} - ${philosopher.year}`}
+            aria-label={`${philosopher.title} - ${formatYearText(philosopher.year)}`}
             onKeyDown={(e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
@@ -194,6 +196,16 @@ const StarNode = memo(({
                 }
             }}
         >
+            {/* Uncertain date: a halo stretched along the time axis */}
+            {uncertainty > 0 && (
+                <ellipse
+                    className="star-uncertainty"
+                    rx={size * 1.5 + uncertainty}
+                    ry={size * 1.2}
+                    fill={`url(#star-glow-${era})`}
+                />
+            )}
+
             {/* Render major or minor star design */}
             {isMajor ? (
                 <MajorStar
@@ -261,7 +273,7 @@ const StarNode = memo(({
                             animation: 'fadeIn 0.2s 0.1s ease forwards'
                         }}
                     >
-                        {philosopher.year}
+                        {formatYearText(philosopher.year)}
                     </text>
                 </g>
             )}
@@ -274,8 +286,9 @@ StarNode.displayName = 'StarNode';
 /**
  * SVG Defs for star rendering (gradients, filters)
  * Include this in the parent SVG's <defs> section
+ * @param {Array} eras - Era definitions, one glow gradient each
  */
-export const StarDefs = () => (
+export const StarDefs = ({ eras = [] }) => (
     <defs>
         {/* Blur filter for major stars */}
         <filter id="star-blur" x="-50%" y="-50%" width="200%" height="200%">
@@ -283,8 +296,8 @@ export const StarDefs = () => (
         </filter>
 
         {/* Radial gradients for each era's glow */}
-        {Object.entries(ERA_COLORS).map(([era, color]) => (
-            <radialGradient key={era} id={`star-glow-${era}`}>
+        {[...eras, { key: UNKNOWN_ERA_KEY, color: DEFAULT_ERA_COLOR }].map(({ key, color }) => (
+            <radialGradient key={key} id={`star-glow-${key}`}>
                 <stop offset="0%" stopColor={color} stopOpacity="0.9" />
                 <stop offset="40%" stopColor={color} stopOpacity="0.4" />
                 <stop offset="100%" stopColor={color} stopOpacity="0" />
@@ -1,30 +1,29 @@
 /**
  * TelescopeSearch Component
  * Search overlay with zoom-to-star animation for the constellation map
+ *
+ * Inputs using query syntax (era:medieval concept:Ethics born<1300, OR, NOT, ...)
+ * list every matching philosopher and can highlight the set on the map.
  */
 
-import React, { useState, useCallback, useEffect, useRef, memo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef, memo } from 'react';
+import { useSearchIndex } from '../../hooks/useSearchIndex';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useEras } from '../../hooks/useEras';
+import { isStructuredQuery, runQuery, getQuerySuggestions } from '../../utils/queryLanguage';
+import HighlightedText from '../shared/HighlightedText';
 
-/**
- * Highlight matching text in search results
- */
-const HighlightText = memo(({ text, query }) => {
-    if (!query.trim()) return text;
-
-    const parts = text.split(new RegExp(`(${query})`, 'gi'));
-    return parts.map((part, i) =>
-        part.toLowerCase() === query.toLowerCase()
-            ? <span key={i} className="search-highlight">{part}</span>
-            : part
-    );
-});
-
-HighlightText.displayName = 'HighlightText';
+const QUERY_EXAMPLES = [
+    'era:medieval concept:Ethics',
+    'influenced-by:aristotle born<1300',
+    '(concept:Logic OR concept:Epistemology) NOT era:ancient'
+];
 
 /**
  * Search result item component
  */
-const SearchResultItem = memo(({ result, query, onSelect, isSelected }) => {
+const SearchResultItem = memo(({ result, onSelect, isSelected }) => {
+    const { formatYearText } = useYearFormat();
     const isPhilosopher = result.type === 'philosopher';
 
     return (
@@ -50,11 +49,17 @@ const SearchResultItem = memo(({ result, query, onSelect, isSelected }) => {
             </div>
             <div className="telescope-result-content">
                 <div className="telescope-result-title">
-                    <HighlightText text={result.title} query={query} />
+                    <HighlightedText text={result.title} ranges={result.titleRanges} />
                 </div>
                 <div className="telescope-result-subtitle">
-                    {isPhilosopher ? result.year : result.category}
+                    {isPhilosopher ? formatYearText(result.data.year) : result.data.category}
                 </div>
+                {result.snippet && (
+                    <div className="telescope-result-snippet">
+                        <span className="telescope-result-snippet-label">{result.snippet.label}:</span>{' '}
+                        <HighlightedText text={result.snippet.text} ranges={result.snippet.ranges} />
+                    </div>
+                )}
             </div>
             <div className="telescope-result-type">
                 {isPhilosopher ? 'Philosopher' : 'Concept'}
@@ -73,14 +78,25 @@ const TelescopeSearch = ({
     concepts,
     onSelectPhilosopher,
     onSelectConcept,
+    onHighlightMatches,
     isOpen,
     onClose
 }) => {
     const [query, setQuery] = useState('');
     const [results, setResults] = useState([]);
     const [selectedIndex, setSelectedIndex] = useState(0);
+    // Structured query outcome ({ ids, error }), null for plain searches
+    const [queryMatch, setQueryMatch] = useState(null);
     const inputRef = useRef(null);
     const resultsRef = useRef(null);
+    const search = useSearchIndex(philosophers, concepts);
+
+    const { eras } = useEras();
+    const eraKeys = useMemo(() => eras.map(era => era.key), [eras]);
+
+    const suggestions = useMemo(() => {
+        return queryMatch ? getQuerySuggestions(query, { philosophers, concepts, eraKeys }) : [];
+    }, [queryMatch, query, philosophers, concepts, eraKeys]);
 
     // Focus input when opened
     useEffect(() => {
@@ -89,62 +105,28 @@ const TelescopeSearch = ({
             setQuery('');
             setResults([]);
             setSelectedIndex(0);
+            setQueryMatch(null);
         }
     }, [isOpen]);
 
-    // Perform search
+    // Perform search (or run a structured query)
     const performSearch = useCallback((searchQuery) => {
-        if (!searchQuery.trim()) {
-            setResults([]);
-            return;
+        if (isStructuredQuery(searchQuery)) {
+            const match = runQuery(searchQuery, {
+                philosophers,
+                eras,
+                search: (text) => search(text, { limit: Infinity, types: ['philosopher'] })
+            });
+            setQueryMatch(match);
+            setResults(philosophers
+                .filter(p => match.ids.has(p.id))
+                .map(p => ({ type: 'philosopher', id: p.id, title: p.title, data: p, titleRanges: [], snippet: null })));
+        } else {
+            setQueryMatch(null);
+            setResults(search(searchQuery, { limit: 10 }));
         }
-
-        const lowerQuery = searchQuery.toLowerCase();
-        const searchResults = [];
-
-        // Search philosophers
-        philosophers.forEach(philosopher => {
-            const titleMatch = philosopher.title.toLowerCase().includes(lowerQuery);
-            const descMatch = philosopher.description?.toLowerCase().includes(lowerQuery);
-            const conceptMatch = philosopher.concepts?.some(c =>
-                c.toLowerCase().includes(lowerQuery)
-            );
-
-            if (titleMatch || descMatch || conceptMatch) {
-                searchResults.push({
-                    type: 'philosopher',
-                    id: philosopher.id,
-                    title: philosopher.title,
-                    year: philosopher.year,
-                    data: philosopher,
-                    score: titleMatch ? 3 : (conceptMatch ? 2 : 1)
-                });
-            }
-        });
-
-        // Search concepts
-        concepts.forEach(concept => {
-            const nameMatch = concept.concept.toLowerCase().includes(lowerQuery);
-            const descMatch = concept.simple?.toLowerCase().includes(lowerQuery);
-
-            if (nameMatch || descMatch) {
-                searchResults.push({
-                    type: 'concept',
-                    id: concept.concept,
-                    title: concept.concept,
-                    category: concept.category,
-                    data: concept,
-                    score: nameMatch ? 3 : 1
-                });
-            }
-        });
-
-        // Sort by relevance score
-        searchResults.sort((a, b) => b.score - a.score);
-
-        setResults(searchResults.slice(0, 10));
         setSelectedIndex(0);
-    }, [philosophers, concepts]);
+    }, [search, philosophers, eras]);
 
     // Handle input change
     const handleInputChange = useCallback((e) => {
@@ -163,6 +145,19 @@ const TelescopeSearch = ({
         onClose();
     }, [onSelectPhilosopher, onSelectConcept, onClose]);
 
+    // Highlight every match of a structured query
+    const handleHighlightMatches = useCallback(() => {
+        if (!queryMatch || queryMatch.error || queryMatch.ids.size === 0) return;
+        onHighlightMatches?.({ label: query.trim(), ids: [...queryMatch.ids] });
+    }, [queryMatch, query, onHighlightMatches]);
+
+    // Complete the word being typed
+    const applySuggestion = useCallback((suggestion) => {
+        setQuery(suggestion.text);
+        performSearch(suggestion.text);
+        inputRef.current?.focus();
+    }, [performSearch]);
+
     // Handle keyboard navigation
     const handleKeyDown = useCallback((e) => {
         switch (e.key) {
@@ -176,9 +171,17 @@ const TelescopeSearch = ({
                 e.preventDefault();
                 setSelectedIndex(prev => prev > 0 ? prev - 1 : 0);
                 break;
+            case 'Tab':
+                if (suggestions.length > 0) {
+                    e.preventDefault();
+                    applySuggestion(suggestions[0]);
+                }
+                break;
             case 'Enter':
                 e.preventDefault();
-                if (results[selectedIndex]) {
+                if (queryMatch && !e.shiftKey) {
+                    handleHighlightMatches();
+                } else if (results[selectedIndex]) {
                     handleSelect(results[selectedIndex]);
                 }
                 break;
@@ -189,7 +192,7 @@ const TelescopeSearch = ({
             default:
                 break;
         }
-    }, [results, selectedIndex, handleSelect, onClose]);
+    }, [results, selectedIndex, suggestions, queryMatch, handleSelect, handleHighlightMatches, applySuggestion, onClose]);
 
     // Scroll selected item into view
     useEffect(() => {
@@ -238,6 +241,43 @@ const TelescopeSearch = ({
                     </div>
                 </div>
 
+                {/* Query autocomplete */}
+                {suggestions.length > 0 && (
+                    <div className="telescope-query-suggestions">
+                        {suggestions.map((suggestion, index) => (
+                            <button
+                                key={suggestion.text}
+                                className="telescope-query-suggestion"
+                                onClick={() => applySuggestion(suggestion)}
+                                title={suggestion.description}
+                            >
+                                {suggestion.label}
+                                {index === 0 && <kbd>Tab</kbd>}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Structured query status */}
+                {queryMatch && (
+                    <div className={`telescope-query-status ${queryMatch.error ? 'error' : ''}`}>
+                        {queryMatch.error ? (
+                            <span>{queryMatch.error}</span>
+                        ) : (
+                            <>
+                                <span>
+                                    {queryMatch.ids.size} {queryMatch.ids.size === 1 ? 'philosopher matches' : 'philosophers match'}
+                                </span>
+                                {queryMatch.ids.size > 0 && (
+                                    <button className="telescope-query-highlight" onClick={handleHighlightMatches}>
+                                        Highlight on map <kbd>Enter</kbd>
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+
                 {/* Results */}
                 {results.length > 0 && (
                     <div
@@ -250,7 +290,6 @@ const TelescopeSearch = ({
                             <SearchResultItem
                                 key={`${result.type}-${result.id}`}
                                 result={result}
-                                query={query}
                                 onSelect={handleSelect}
                                 isSelected={index === selectedIndex}
                             />
@@ -259,7 +298,7 @@ const TelescopeSearch = ({
                 )}
 
                 {/* No results message */}
-                {query && results.length === 0 && (
+                {query && !queryMatch && results.length === 0 && (
                     <div className="telescope-no-results">
                         <p>No results found for "{query}"</p>
                         <p className="telescope-hint">
@@ -289,6 +328,21 @@ const TelescopeSearch = ({
                                 </button>
                             ))}
                         </div>
+                        <div className="telescope-suggestions">
+                            <span className="suggestion-label">Queries:</span>
+                            {QUERY_EXAMPLES.map(example => (
+                                <button
+                                    key={example}
+                                    className="suggestion-chip"
+                                    onClick={() => {
+                                        setQuery(example);
+                                        performSearch(example);
+                                    }}
+                                >
+                                    {example}
+                                </button>
+                            ))}
+                        </div>
                     </div>
                 )}
             </div>
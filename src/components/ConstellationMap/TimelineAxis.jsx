@@ -2,66 +2,172 @@
  * TimelineAxis Component
  * Displays a subtle timeline indicator at the bottom of the map
  * showing the historical time progression from left to right
+ *
+ * Doubles as a year-range brush: drag across the axis to select a range,
+ * drag the range or its edges to adjust it, click outside it to clear it,
+ * and press play to sweep it through history.
  */
 
-import React, { memo, useMemo } from 'react';
+import React, { memo, useMemo, useRef, useState } from 'react';
+import { getScaleTicks } from '../../utils/timeScale';
+import { CANVAS_PADDING } from '../../utils/constellationLayout';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useEras } from '../../hooks/useEras';
+import { hexToRgb } from '../../utils/eras';
 
-/**
- * Timeline markers with approximate positions
- */
-const TIMELINE_MARKERS = [
-    { year: '600 BC', label: '600 BCE', position: 0 },
-    { year: '300 BC', label: '300 BCE', position: 0.12 },
-    { year: '1 AD', label: '1 CE', position: 0.24 },
-    { year: '500 AD', label: '500 CE', position: 0.36 },
-    { year: '1000 AD', label: '1000 CE', position: 0.45 },
-    { year: '1400 AD', label: '1400 CE', position: 0.52 },
-    { year: '1600', label: '1600', position: 0.58 },
-    { year: '1750', label: '1750', position: 0.68 },
-    { year: '1850', label: '1850', position: 0.78 },
-    { year: '1950', label: '1950', position: 0.90 },
-    { year: '2000', label: 'Present', position: 1 }
-];
+// Pixels a press has to move before it selects a range instead of clearing it
+const CLICK_THRESHOLD = 3;
+// Years per arrow key press (shift: 5x)
+const KEY_STEP = 10;
+// Minimum pixels between year ticks
+const TICK_SPACING = 100;
 
 /**
- * Era backgrounds for the timeline
+ * Brushable year range on the axis track
  */
-const ERA_SEGMENTS = [
-    { start: 0, end: 0.24, color: 'rgba(212, 165, 116, 0.3)', label: 'Ancient' },
-    { start: 0.24, end: 0.52, color: 'rgba(74, 144, 217, 0.3)', label: 'Medieval' },
-    { start: 0.52, end: 0.75, color: 'rgba(245, 166, 35, 0.3)', label: 'Enlightenment' },
-    { start: 0.75, end: 0.88, color: 'rgba(231, 76, 60, 0.3)', label: '19th Century' },
-    { start: 0.88, end: 1, color: 'rgba(155, 89, 182, 0.3)', label: 'Contemporary' }
-];
-
-const TimelineAxis = memo(({ canvasSize }) => {
-    // Calculate visible range based on transform
-    const visibleMarkers = useMemo(() => {
-        const padding = 100;
-        const usableWidth = canvasSize.width - padding * 2;
-
-        return TIMELINE_MARKERS.map(marker => ({
-            ...marker,
-            x: padding + marker.position * usableWidth
+const YearBrush = ({ timeScale, yearRange, onChange }) => {
+    const { formatYear } = useYearFormat();
+    const [minYear, maxYear] = timeScale.domain;
+    const trackRef = useRef(null);
+    const dragRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+
+    // Year under the pointer
+    const yearAt = (clientX) => {
+        const rect = trackRef.current.getBoundingClientRect();
+        const t = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return timeScale.toYear(t);
+    };
+
+    const startDrag = (mode) => (e) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        dragRef.current = { mode, startX: e.clientX, startYear: yearAt(e.clientX), range: yearRange, moved: false };
+        setIsDragging(true);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (!drag.moved && Math.abs(e.clientX - drag.startX) < CLICK_THRESHOLD) return;
+        drag.moved = true;
+
+        const year = yearAt(e.clientX);
+        const [start, end] = drag.range || [drag.startYear, drag.startYear];
+
+        if (drag.mode === 'create') {
+            onChange([Math.min(drag.startYear, year), Math.max(drag.startYear, year)]);
+        } else if (drag.mode === 'move') {
+            const shift = Math.min(Math.max(year - drag.startYear, minYear - start), maxYear - end);
+            onChange([start + shift, end + shift]);
+        } else if (drag.mode === 'start') {
+            onChange([Math.min(year, end), Math.max(year, end)]);
+        } else {
+            onChange([Math.min(start, year), Math.max(start, year)]);
+        }
+    };
+
+    const handlePointerUp = () => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        setIsDragging(false);
+        // A click outside the selection clears it
+        if (drag && !drag.moved && drag.mode === 'create' && yearRange) onChange(null);
+    };
+
+    const handleKeyDown = (edge) => (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        const step = (e.key === 'ArrowLeft' ? -1 : 1) * KEY_STEP * (e.shiftKey ? 5 : 1);
+        const [start, end] = yearRange;
+        if (edge === 'start') {
+            onChange([Math.max(minYear, Math.min(start + step, end)), end]);
+        } else {
+            onChange([start, Math.min(maxYear, Math.max(end + step, start))]);
+        }
+    };
+
+    const left = yearRange ? Math.max(0, timeScale.toPosition(yearRange[0])) : 0;
+    const right = yearRange ? Math.min(1, timeScale.toPosition(yearRange[1])) : 0;
+
+    return (
+        <div
+            ref={trackRef}
+            className={`timeline-brush ${isDragging ? 'dragging' : ''}`}
+            onPointerDown={startDrag('create')}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            title={yearRange ? undefined : 'Drag to filter by years'}
+        >
+            {yearRange && (
+                <div
+                    className="timeline-brush-selection"
+                    style={{ left: `${left * 100}%`, width: `${Math.max(0, right - left) * 100}%` }}
+                    onPointerDown={startDrag('move')}
+                >
+                    {['start', 'end'].map(edge => (
+                        <div
+                            key={edge}
+                            className={`timeline-brush-handle ${edge}`}
+                            onPointerDown={startDrag(edge)}
+                            onKeyDown={handleKeyDown(edge)}
+                            role="slider"
+                            tabIndex={0}
+                            aria-label={edge === 'start' ? 'Range start' : 'Range end'}
+                            aria-valuemin={minYear}
+                            aria-valuemax={maxYear}
+                            aria-valuenow={edge === 'start' ? yearRange[0] : yearRange[1]}
+                            aria-valuetext={formatYear(edge === 'start' ? yearRange[0] : yearRange[1])}
+                        />
+                    ))}
+                    <span className="timeline-brush-label">
+                        {formatYear(yearRange[0])} – {formatYear(yearRange[1])}
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const TimelineAxis = memo(({ canvasSize, timeScale, yearRange = null, onYearRangeChange, isSweeping = false, onToggleSweep }) => {
+    const { formatYear } = useYearFormat();
+    const { eras } = useEras();
+
+    // Round years on the same scale as the stars, as many as fit
+    const markers = useMemo(() => {
+        const usableWidth = canvasSize.width - CANVAS_PADDING * 2;
+        const maxCount = Math.max(3, Math.floor(usableWidth / TICK_SPACING));
+
+        return getScaleTicks(timeScale, maxCount).map(year => ({
+            year,
+            label: formatYear(year),
+            position: timeScale.toPosition(year)
         }));
-    }, [canvasSize.width]);
+    }, [canvasSize.width, timeScale, formatYear]);
 
     return (
         <div className="timeline-axis">
-            {/* Era color segments */}
+            {/* Era color segments (the first and last era stretch to the ends of the axis) */}
             <div className="timeline-eras">
-                {ERA_SEGMENTS.map((era, index) => (
-                    <div
-                        key={index}
-                        className="timeline-era-segment"
-                        style={{
-                            left: `${era.start * 100}%`,
-                            width: `${(era.end - era.start) * 100}%`,
-                            background: `linear-gradient(to right, transparent, ${era.color} 20%, ${era.color} 80%, transparent)`
-                        }}
-                        title={era.label}
-                    />
-                ))}
+                {eras.map((era, index) => {
+                    const start = timeScale.toPosition(index === 0 ? timeScale.domain[0] : era.start);
+                    const end = timeScale.toPosition(index === eras.length - 1 || era.end === undefined ? timeScale.domain[1] : era.end);
+                    const color = `rgba(${hexToRgb(era.color)}, 0.3)`;
+                    return (
+                        <div
+                            key={era.key}
+                            className="timeline-era-segment"
+                            style={{
+                                left: `${start * 100}%`,
+                                width: `${(end - start) * 100}%`,
+                                background: `linear-gradient(to right, transparent, ${color} 20%, ${color} 80%, transparent)`
+                            }}
+                            title={era.label}
+                        />
+                    );
+                })}
             </div>
 
             {/* Timeline line */}
@@ -69,7 +175,7 @@ const TimelineAxis = memo(({ canvasSize }) => {
 
             {/* Year markers */}
             <div className="timeline-markers">
-                {visibleMarkers.filter((_, i) => i % 2 === 0 || window.innerWidth > 1200).map((marker) => (
+                {markers.map((marker) => (
                     <div
                         key={marker.year}
                         className="timeline-marker"
@@ -81,6 +187,29 @@ const TimelineAxis = memo(({ canvasSize }) => {
                 ))}
             </div>
 
+            {/* Year-range brush */}
+            {onYearRangeChange && (
+                <YearBrush timeScale={timeScale} yearRange={yearRange} onChange={onYearRangeChange} />
+            )}
+
+            {/* Sweep the range through history */}
+            {onToggleSweep && (
+                <button
+                    className={`timeline-play-btn ${isSweeping ? 'active' : ''}`}
+                    onClick={onToggleSweep}
+                    aria-label={isSweeping ? 'Pause time sweep' : 'Sweep through time'}
+                    title={isSweeping ? 'Pause' : 'Sweep through time'}
+                >
+                    <svg viewBox="0 0 24 24" fill="currentColor">
+                        {isSweeping ? (
+                            <path d="M7 5h3v14H7zM14 5h3v14h-3z" />
+                        ) : (
+                            <path d="M8 5v14l11-7z" />
+                        )}
+                    </svg>
+                </button>
+            )}
+
             {/* Arrow indicating direction */}
             <div className="timeline-direction">
                 <span>Time</span>
@@ -1,6 +1,7 @@
 /**
  * ZoomControls Component
- * Provides zoom in, zoom out, and reset buttons for the constellation map
+ * Provides zoom in, zoom out, and reset buttons for the constellation map,
+ * plus a reset for manually dragged stars when there are any
  */
 
 import React from 'react';
@@ -9,6 +10,7 @@ const ZoomControls = ({
     onZoomIn,
     onZoomOut,
     onReset,
+    onResetLayout,
     currentZoom = 1,
     minZoom = 0.3,
     maxZoom = 4,
@@ -75,6 +77,22 @@ const ZoomControls = ({
                     <path d="M3 3v5h5" />
                 </svg>
             </button>
+
+            {/* Reset Layout Button (only when stars were dragged) */}
+            {onResetLayout && (
+                <button
+                    className="zoom-btn zoom-btn-layout"
+                    onClick={onResetLayout}
+                    aria-label="Reset layout"
+                    title="Reset dragged stars to the automatic layout"
+                >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                        <path d="M12 3v18" />
+                        <path d="M8 7l4-4 4 4" />
+                        <path d="M8 17l4 4 4-4" />
+                    </svg>
+                </button>
+            )}
         </div>
     );
 };
@@ -0,0 +1,275 @@
+/**
+ * CsvImporter Component
+ * Three-step dialog for merging spreadsheet rows into the active dataset:
+ * choose a file, map columns to fields, review conflicts and merge
+ */
+
+import React, { useState, useMemo, useCallback, useEffect, memo } from 'react';
+import { createPortal } from 'react-dom';
+import { useDataset } from '../../context/DatasetContext';
+import {
+    IMPORT_FIELDS,
+    CONFLICT_TYPES,
+    parseCsv,
+    guessColumnMapping,
+    buildImport
+} from '../../utils/csvImport';
+import './CsvImporter.css';
+
+const STEPS = ['Choose file', 'Map columns', 'Review & merge'];
+
+const CONFLICT_LABELS = {
+    [CONFLICT_TYPES.EXISTING]: 'Matches an existing philosopher',
+    [CONFLICT_TYPES.DUPLICATE_ROW]: 'Duplicate row',
+    [CONFLICT_TYPES.INVALID_ROW]: 'Invalid row',
+    [CONFLICT_TYPES.UNRESOLVED_INFLUENCE]: 'Unknown influence',
+    [CONFLICT_TYPES.UNKNOWN_CONCEPT]: 'Unknown concept'
+};
+
+const CsvImporter = ({ isOpen, onClose }) => {
+    const { philosophers, concepts, upsertPhilosophers } = useDataset();
+
+    const [step, setStep] = useState(0);
+    const [fileName, setFileName] = useState('');
+    const [pastedText, setPastedText] = useState('');
+    const [parsed, setParsed] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [skippedRows, setSkippedRows] = useState(new Set());
+    const [parseError, setParseError] = useState(null);
+
+    const reset = useCallback(() => {
+        setStep(0);
+        setFileName('');
+        setPastedText('');
+        setParsed(null);
+        setMapping({});
+        setSkippedRows(new Set());
+        setParseError(null);
+    }, []);
+
+    const handleClose = useCallback(() => {
+        reset();
+        onClose();
+    }, [reset, onClose]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') handleClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, handleClose]);
+
+    const loadText = useCallback((text, name) => {
+        const result = parseCsv(text);
+        if (result.headers.length === 0 || result.rows.length === 0) {
+            setParseError('No rows found. The first line should contain column names.');
+            return;
+        }
+        setParseError(null);
+        setFileName(name);
+        setParsed(result);
+        setMapping(guessColumnMapping(result.headers));
+        setSkippedRows(new Set());
+        setStep(1);
+    }, []);
+
+    const handleFileChange = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        loadText(await file.text(), file.name);
+    }, [loadText]);
+
+    // Conflicts and merge candidates for the current mapping
+    const importResult = useMemo(() => {
+        if (!parsed || step < 2) return null;
+        return buildImport(parsed.rows, mapping, { philosophers, concepts });
+    }, [parsed, mapping, step, philosophers, concepts]);
+
+    const toMerge = useMemo(() => {
+        if (!importResult) return [];
+        return importResult.entries.filter(entry => !skippedRows.has(entry.row));
+    }, [importResult, skippedRows]);
+
+    const handleMerge = useCallback(() => {
+        upsertPhilosophers(toMerge.map(entry => entry.philosopher));
+        handleClose();
+    }, [toMerge, upsertPhilosophers, handleClose]);
+
+    const toggleSkipped = useCallback((row) => {
+        setSkippedRows(current => {
+            const next = new Set(current);
+            if (next.has(row)) {
+                next.delete(row);
+            } else {
+                next.add(row);
+            }
+            return next;
+        });
+    }, []);
+
+    if (!isOpen) return null;
+
+    const sampleRow = parsed?.rows[0] || [];
+    const newCount = toMerge.filter(entry => entry.existingId === null).length;
+    const updateCount = toMerge.length - newCount;
+
+    const renderChooseStep = () => (
+        <div className="csv-step">
+            <p className="csv-hint">
+                Export your spreadsheet as CSV (comma, semicolon or tab separated) with one philosopher per row
+                and column names in the first line. Lists such as concepts or influences can be separated with
+                <code>;</code> or <code>|</code>.
+            </p>
+            <label className="csv-file-drop">
+                <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleFileChange} />
+                <span>Choose a CSV file...</span>
+            </label>
+            <p className="csv-or">or paste the rows</p>
+            <textarea
+                className="csv-paste"
+                rows={6}
+                placeholder={'Name,Born,Died,Era,Summary,Concepts,Influenced by\nHannah Arendt,1906,1975,Contemporary Thought,...'}
+                value={pastedText}
+                onChange={e => setPastedText(e.target.value)}
+            />
+            {parseError && <p className="csv-error">{parseError}</p>}
+            <div className="csv-actions">
+                <button
+                    className="csv-btn csv-btn-primary"
+                    disabled={!pastedText.trim()}
+                    onClick={() => loadText(pastedText, 'Pasted rows')}
+                >
+                    Next
+                </button>
+            </div>
+        </div>
+    );
+
+    const renderMapStep = () => (
+        <div className="csv-step">
+            <p className="csv-hint">
+                {fileName}: {parsed.rows.length} rows. Pick the column for each field; unmapped fields keep
+                their current value for existing philosophers.
+            </p>
+            <table className="csv-mapping">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Column</th>
+                        <th>First row</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {IMPORT_FIELDS.map(field => (
+                        <tr key={field.key}>
+                            <td>
+                                {field.label}
+                                {field.required && <span className="csv-required">*</span>}
+                            </td>
+                            <td>
+                                <select
+                                    value={mapping[field.key] ?? -1}
+                                    onChange={e => setMapping(m => ({ ...m, [field.key]: Number(e.target.value) }))}
+                                >
+                                    <option value={-1}>Not imported</option>
+                                    {parsed.headers.map((header, i) => (
+                                        <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                                    ))}
+                                </select>
+                            </td>
+                            <td className="csv-sample">
+                                {mapping[field.key] >= 0 ? sampleRow[mapping[field.key]] : ''}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="csv-actions">
+                <button className="csv-btn" onClick={() => setStep(0)}>Back</button>
+                <button
+                    className="csv-btn csv-btn-primary"
+                    disabled={mapping.title === undefined || mapping.title < 0}
+                    onClick={() => setStep(2)}
+                >
+                    Review
+                </button>
+            </div>
+        </div>
+    );
+
+    const renderReviewStep = () => (
+        <div className="csv-step">
+            <div className="csv-summary">
+                <span><strong>{newCount}</strong> new</span>
+                <span><strong>{updateCount}</strong> updated</span>
+                <span><strong>{parsed.rows.length - toMerge.length}</strong> skipped</span>
+            </div>
+
+            {importResult.conflicts.length === 0 ? (
+                <p className="csv-hint">No conflicts found.</p>
+            ) : (
+                <ul className="csv-conflicts">
+                    {importResult.conflicts.map((conflict, i) => (
+                        <li key={i} className={`csv-conflict csv-conflict-${conflict.type}`}>
+                            <span className="csv-conflict-row">Row {conflict.row}</span>
+                            <span className="csv-conflict-type">{CONFLICT_LABELS[conflict.type]}</span>
+                            <span className="csv-conflict-message">{conflict.message}</span>
+                            {conflict.type === CONFLICT_TYPES.EXISTING && (
+                                <label className="csv-conflict-choice">
+                                    <input
+                                        type="checkbox"
+                                        checked={!skippedRows.has(conflict.row)}
+                                        onChange={() => toggleSkipped(conflict.row)}
+                                    />
+                                    Update it with this row
+                                </label>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="csv-actions">
+                <button className="csv-btn" onClick={() => setStep(1)}>Back</button>
+                <button
+                    className="csv-btn csv-btn-primary"
+                    disabled={toMerge.length === 0}
+                    onClick={handleMerge}
+                >
+                    Merge {toMerge.length} philosophers
+                </button>
+            </div>
+        </div>
+    );
+
+    return createPortal(
+        <div className="csv-overlay" onClick={handleClose}>
+            <div className="csv-panel" onClick={e => e.stopPropagation()} role="dialog" aria-label="Import from CSV">
+                <header className="csv-header">
+                    <h2>Import from CSV</h2>
+                    <ol className="csv-steps">
+                        {STEPS.map((label, i) => (
+                            <li key={label} className={i === step ? 'active' : i < step ? 'done' : ''}>{label}</li>
+                        ))}
+                    </ol>
+                    <button className="csv-close" onClick={handleClose} aria-label="Close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </header>
+
+                {step === 0 && renderChooseStep()}
+                {step === 1 && parsed && renderMapStep()}
+                {step === 2 && importResult && renderReviewStep()}
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default memo(CsvImporter);
@@ -0,0 +1,506 @@
+/**
+ * DatasetEditor Component
+ * Side drawer for adding and editing philosophers in the active dataset
+ * Valid edits are applied immediately so the open view previews them live;
+ * the result can be downloaded as a drop-in timelineEvents.json
+ */
+
+import React, { useState, useMemo, useEffect, useCallback, memo } from 'react';
+import { createPortal } from 'react-dom';
+import { useDataset } from '../../context/DatasetContext';
+import { validatePhilosopher, isParseableYear } from '../../utils/datasetValidator';
+import { serializeTimelineEvents } from '../../utils/datasetLoader';
+import { downloadText } from '../../utils/fileExport';
+import { parseYear } from '../../utils/yearParser';
+import './DatasetEditor.css';
+
+// Field order used when saving, matching timelineEvents.json
+const FIELD_ORDER = [
+    'id', 'type', 'era', 'title', 'year', 'fullYear', 'summary', 'description',
+    'concepts', 'miniEvents', 'birth_year', 'death_year', 'influenced_by', 'quotes'
+];
+
+const OPTIONAL_TEXT_FIELDS = ['era', 'fullYear', 'description', 'birth_year', 'death_year'];
+const YEAR_FIELDS = ['year', 'birth_year', 'death_year'];
+
+// Delay before a valid draft is pushed to the views
+const PREVIEW_DELAY = 300;
+
+/**
+ * Create an editable copy of a philosopher with every field present
+ */
+const toDraft = (philosopher) => ({
+    type: 'major',
+    era: '',
+    fullYear: '',
+    description: '',
+    birth_year: '',
+    death_year: '',
+    ...philosopher,
+    concepts: [...(philosopher.concepts || [])],
+    influenced_by: [...(philosopher.influenced_by || [])],
+    quotes: (philosopher.quotes || []).map(q => ({ text: '', source: '', ...q })),
+    miniEvents: (philosopher.miniEvents || []).map(e => ({ title: '', summary: '', ...e }))
+});
+
+/**
+ * Turn a draft back into a dataset entry: trim text, drop empty optional
+ * fields and rows, number mini events ("12a", "12b", ...) and order keys
+ */
+const fromDraft = (draft) => {
+    const cleaned = {
+        ...draft,
+        title: draft.title.trim(),
+        year: draft.year.trim(),
+        summary: draft.summary.trim(),
+        quotes: draft.quotes
+            .filter(q => q.text.trim())
+            .map(q => (q.source.trim() ? { text: q.text.trim(), source: q.source.trim() } : { text: q.text.trim() })),
+        miniEvents: draft.miniEvents
+            .filter(e => e.title.trim())
+            .map((e, i) => ({
+                id: `${draft.id}${String.fromCharCode(97 + i)}`,
+                title: e.title.trim(),
+                summary: e.summary.trim()
+            }))
+    };
+
+    OPTIONAL_TEXT_FIELDS.forEach(field => {
+        const value = cleaned[field]?.trim();
+        if (value) {
+            cleaned[field] = value;
+        } else {
+            delete cleaned[field];
+        }
+    });
+
+    const ordered = {};
+    FIELD_ORDER.forEach(key => {
+        if (cleaned[key] !== undefined) ordered[key] = cleaned[key];
+    });
+    Object.keys(cleaned).forEach(key => {
+        if (!(key in ordered)) ordered[key] = cleaned[key];
+    });
+    return ordered;
+};
+
+/**
+ * Collect validation messages keyed by top-level field
+ */
+const getFieldErrors = (philosopher) => {
+    const errors = {};
+    const add = (field, message) => {
+        errors[field] = errors[field] || [];
+        errors[field].push(message);
+    };
+
+    validatePhilosopher(philosopher).forEach(({ path, message }) => {
+        const field = path.split(/[.[]/)[0];
+        if (field === '(root)') {
+            const missing = message.match(/"(.+)"/)?.[1];
+            add(missing || 'general', message.replace(/^is missing required field ".+"$/, 'is required'));
+        } else {
+            add(field, `${path.slice(field.length)} ${message}`.trim());
+        }
+    });
+
+    YEAR_FIELDS.forEach(field => {
+        if (philosopher[field] && !isParseableYear(philosopher[field]) && !errors[field]) {
+            add(field, 'cannot be parsed as a year');
+        }
+    });
+
+    return errors;
+};
+
+const isSameEntry = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const FieldError = ({ errors }) => (
+    errors ? <span className="editor-field-error">{errors.join('; ')}</span> : null
+);
+
+const DatasetEditor = ({ isOpen, onClose }) => {
+    const {
+        datasetName,
+        philosophers,
+        concepts,
+        eras,
+        validation,
+        isModified,
+        upsertPhilosopher,
+        removePhilosopher
+    } = useDataset();
+
+    const [draft, setDraft] = useState(null);
+    const [original, setOriginal] = useState(null);
+    const [listQuery, setListQuery] = useState('');
+    const [influenceQuery, setInfluenceQuery] = useState('');
+
+    // Defined eras first, then any others already in use
+    const eraOptions = useMemo(() => {
+        return [...new Set([...eras.map(era => era.name), ...philosophers.map(p => p.era).filter(Boolean)])];
+    }, [eras, philosophers]);
+
+    const sortedPhilosophers = useMemo(() => {
+        return [...philosophers].sort((a, b) => parseYear(a.year) - parseYear(b.year));
+    }, [philosophers]);
+
+    const listResults = useMemo(() => {
+        const query = listQuery.trim().toLowerCase();
+        if (!query) return sortedPhilosophers;
+        return sortedPhilosophers.filter(p => p.title.toLowerCase().includes(query));
+    }, [sortedPhilosophers, listQuery]);
+
+    const influenceOptions = useMemo(() => {
+        if (!draft) return [];
+        const query = influenceQuery.trim().toLowerCase();
+        return sortedPhilosophers.filter(p =>
+            p.id !== draft.id && (!query || p.title.toLowerCase().includes(query))
+        );
+    }, [sortedPhilosophers, draft, influenceQuery]);
+
+    const cleaned = useMemo(() => (draft ? fromDraft(draft) : null), [draft]);
+    const fieldErrors = useMemo(() => (cleaned ? getFieldErrors(cleaned) : {}), [cleaned]);
+    const isDraftValid = Object.keys(fieldErrors).length === 0;
+
+    // Live preview: push valid drafts into the dataset after a short pause
+    useEffect(() => {
+        if (!cleaned || !isDraftValid) return;
+        const current = philosophers.find(p => p.id === cleaned.id);
+        if (current && isSameEntry(current, cleaned)) return;
+
+        const timer = setTimeout(() => upsertPhilosopher(cleaned), PREVIEW_DELAY);
+        return () => clearTimeout(timer);
+    }, [cleaned, isDraftValid, philosophers, upsertPhilosopher]);
+
+    const startEditing = useCallback((philosopher) => {
+        setDraft(toDraft(philosopher));
+        setOriginal(philosopher);
+        setInfluenceQuery('');
+    }, []);
+
+    const startNew = useCallback(() => {
+        const nextId = Math.max(0, ...philosophers.map(p => p.id)) + 1;
+        setDraft(toDraft({
+            id: nextId,
+            type: 'minor',
+            era: eraOptions[eraOptions.length - 1] || '',
+            title: '',
+            year: '',
+            summary: '',
+            concepts: []
+        }));
+        setOriginal(null);
+        setInfluenceQuery('');
+    }, [philosophers, eraOptions]);
+
+    // Keep the previewed changes and return to the list
+    const finishEditing = useCallback(() => {
+        const current = cleaned && philosophers.find(p => p.id === cleaned.id);
+        if (cleaned && isDraftValid && !(current && isSameEntry(current, cleaned))) {
+            upsertPhilosopher(cleaned);
+        }
+        setDraft(null);
+        setOriginal(null);
+    }, [cleaned, isDraftValid, philosophers, upsertPhilosopher]);
+
+    // Undo the preview and return to the list
+    const discardEditing = useCallback(() => {
+        const current = draft && philosophers.find(p => p.id === draft.id);
+        if (original) {
+            if (!isSameEntry(current, original)) upsertPhilosopher(original);
+        } else if (draft && philosophers.some(p => p.id === draft.id)) {
+            removePhilosopher(draft.id);
+        }
+        setDraft(null);
+        setOriginal(null);
+    }, [original, draft, philosophers, upsertPhilosopher, removePhilosopher]);
+
+    const deletePhilosopher = useCallback(() => {
+        if (!draft) return;
+        if (!window.confirm(`Delete ${draft.title || 'this philosopher'}? Other philosophers' influenced_by links to it are removed too.`)) return;
+        removePhilosopher(draft.id);
+        setDraft(null);
+        setOriginal(null);
+    }, [draft, removePhilosopher]);
+
+    const exportJson = useCallback(() => {
+        downloadText(serializeTimelineEvents(philosophers), 'timelineEvents.json', 'application/json');
+    }, [philosophers]);
+
+    // Escape closes the form first, then the drawer
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Escape') return;
+            if (draft) {
+                finishEditing();
+            } else {
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, draft, finishEditing, onClose]);
+
+    if (!isOpen) return null;
+
+    const setField = (field, value) => setDraft(d => ({ ...d, [field]: value }));
+
+    const toggleInList = (field, value) => setDraft(d => ({
+        ...d,
+        [field]: d[field].includes(value)
+            ? d[field].filter(v => v !== value)
+            : [...d[field], value]
+    }));
+
+    const setRow = (field, index, key, value) => setDraft(d => ({
+        ...d,
+        [field]: d[field].map((row, i) => (i === index ? { ...row, [key]: value } : row))
+    }));
+
+    const addRow = (field, row) => setDraft(d => ({ ...d, [field]: [...d[field], row] }));
+
+    const removeRow = (field, index) => setDraft(d => ({
+        ...d,
+        [field]: d[field].filter((_, i) => i !== index)
+    }));
+
+    const renderTextField = (field, label, { placeholder = '', multiline = false, list } = {}) => (
+        <label className={`editor-field ${fieldErrors[field] ? 'has-error' : ''}`}>
+            <span className="editor-label">{label}</span>
+            {multiline ? (
+                <textarea
+                    value={draft[field] || ''}
+                    placeholder={placeholder}
+                    rows={3}
+                    onChange={e => setField(field, e.target.value)}
+                />
+            ) : (
+                <input
+                    type="text"
+                    value={draft[field] || ''}
+                    placeholder={placeholder}
+                    list={list}
+                    onChange={e => setField(field, e.target.value)}
+                />
+            )}
+            <FieldError errors={fieldErrors[field]} />
+        </label>
+    );
+
+    const renderList = () => (
+        <>
+            <div className="editor-toolbar">
+                <input
+                    className="editor-search"
+                    type="text"
+                    placeholder="Search philosophers..."
+                    value={listQuery}
+                    onChange={e => setListQuery(e.target.value)}
+                />
+                <button className="editor-btn editor-btn-primary" onClick={startNew}>
+                    + New
+                </button>
+            </div>
+
+            <ul className="editor-list">
+                {listResults.map(p => (
+                    <li key={p.id}>
+                        <button className="editor-list-item" onClick={() => startEditing(p)}>
+                            <span className="editor-list-title">{p.title}</span>
+                            <span className="editor-list-year">{p.year}</span>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <footer className="editor-footer">
+                <span className={`editor-status ${validation?.valid === false ? 'invalid' : ''}`}>
+                    {validation?.valid === false
+                        ? `${validation.errors.length} dataset errors`
+                        : isModified ? 'Unsaved changes' : 'No changes'}
+                </span>
+                <button className="editor-btn" onClick={exportJson}>
+                    Download timelineEvents.json
+                </button>
+            </footer>
+        </>
+    );
+
+    const renderForm = () => (
+        <>
+            <div className="editor-form">
+                <FieldError errors={fieldErrors.general} />
+                <div className="editor-row">
+                    {renderTextField('title', 'Name', { placeholder: 'Hannah Arendt' })}
+                    <label className="editor-field editor-field-narrow">
+                        <span className="editor-label">Type</span>
+                        <select value={draft.type} onChange={e => setField('type', e.target.value)}>
+                            <option value="major">Major</option>
+                            <option value="minor">Minor</option>
+                        </select>
+                    </label>
+                </div>
+
+                {renderTextField('era', 'Era', { list: 'editor-era-options' })}
+                <datalist id="editor-era-options">
+                    {eraOptions.map(era => <option key={era} value={era} />)}
+                </datalist>
+
+                <div className="editor-row">
+                    {renderTextField('year', 'Year', { placeholder: 'c. 400 BC or 1958' })}
+                    {renderTextField('fullYear', 'Lifespan label', { placeholder: '1906–1975' })}
+                </div>
+                <div className="editor-row">
+                    {renderTextField('birth_year', 'Born', { placeholder: '1906' })}
+                    {renderTextField('death_year', 'Died', { placeholder: '1975' })}
+                </div>
+
+                {renderTextField('summary', 'Summary', { placeholder: 'One line shown on cards' })}
+                {renderTextField('description', 'Description', { multiline: true })}
+
+                <fieldset className={`editor-field ${fieldErrors.concepts ? 'has-error' : ''}`}>
+                    <legend className="editor-label">Concepts</legend>
+                    <div className="editor-chips">
+                        {concepts.map(c => (
+                            <button
+                                key={c.concept}
+                                type="button"
+                                className={`editor-chip ${draft.concepts.includes(c.concept) ? 'active' : ''}`}
+                                onClick={() => toggleInList('concepts', c.concept)}
+                                title={c.simple}
+                            >
+                                {c.concept.replace(/([A-Z])/g, ' $1').trim()}
+                            </button>
+                        ))}
+                    </div>
+                    <FieldError errors={fieldErrors.concepts} />
+                </fieldset>
+
+                <fieldset className="editor-field">
+                    <legend className="editor-label">
+                        Influenced by {draft.influenced_by.length > 0 && `(${draft.influenced_by.length})`}
+                    </legend>
+                    <input
+                        className="editor-search"
+                        type="text"
+                        placeholder="Filter philosophers..."
+                        value={influenceQuery}
+                        onChange={e => setInfluenceQuery(e.target.value)}
+                    />
+                    <div className="editor-influences">
+                        {influenceOptions.map(p => (
+                            <label key={p.id} className="editor-influence-option">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.influenced_by.includes(p.id)}
+                                    onChange={() => toggleInList('influenced_by', p.id)}
+                                />
+                                <span>{p.title}</span>
+                                <span className="editor-list-year">#{p.id}</span>
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+
+                <fieldset className={`editor-field ${fieldErrors.quotes ? 'has-error' : ''}`}>
+                    <legend className="editor-label">Quotes</legend>
+                    {draft.quotes.map((quote, i) => (
+                        <div key={i} className="editor-repeat-row">
+                            <textarea
+                                rows={2}
+                                placeholder="Quote"
+                                value={quote.text}
+                                onChange={e => setRow('quotes', i, 'text', e.target.value)}
+                            />
+                            <input
+                                type="text"
+                                placeholder="Source"
+                                value={quote.source}
+                                onChange={e => setRow('quotes', i, 'source', e.target.value)}
+                            />
+                            <button type="button" className="editor-remove" onClick={() => removeRow('quotes', i)} aria-label="Remove quote">×</button>
+                        </div>
+                    ))}
+                    <button type="button" className="editor-btn editor-btn-small" onClick={() => addRow('quotes', { text: '', source: '' })}>
+                        + Add quote
+                    </button>
+                    <FieldError errors={fieldErrors.quotes} />
+                </fieldset>
+
+                <fieldset className={`editor-field ${fieldErrors.miniEvents ? 'has-error' : ''}`}>
+                    <legend className="editor-label">Related events</legend>
+                    {draft.miniEvents.map((event, i) => (
+                        <div key={i} className="editor-repeat-row">
+                            <input
+                                type="text"
+                                placeholder="Title"
+                                value={event.title}
+                                onChange={e => setRow('miniEvents', i, 'title', e.target.value)}
+                            />
+                            <textarea
+                                rows={2}
+                                placeholder="Summary"
+                                value={event.summary}
+                                onChange={e => setRow('miniEvents', i, 'summary', e.target.value)}
+                            />
+                            <button type="button" className="editor-remove" onClick={() => removeRow('miniEvents', i)} aria-label="Remove event">×</button>
+                        </div>
+                    ))}
+                    <button type="button" className="editor-btn editor-btn-small" onClick={() => addRow('miniEvents', { title: '', summary: '' })}>
+                        + Add event
+                    </button>
+                    <FieldError errors={fieldErrors.miniEvents} />
+                </fieldset>
+            </div>
+
+            <footer className="editor-footer">
+                <span className={`editor-status ${isDraftValid ? '' : 'invalid'}`}>
+                    {isDraftValid ? 'Previewing live' : 'Fix the highlighted fields to preview'}
+                </span>
+                {original && (
+                    <button className="editor-btn editor-btn-danger" onClick={deletePhilosopher}>
+                        Delete
+                    </button>
+                )}
+                <button className="editor-btn" onClick={discardEditing}>
+                    Discard
+                </button>
+                <button className="editor-btn editor-btn-primary" onClick={finishEditing} disabled={!isDraftValid}>
+                    Done
+                </button>
+            </footer>
+        </>
+    );
+
+    return createPortal(
+        <aside className="dataset-editor" aria-label="Dataset editor">
+            <header className="editor-header">
+                {draft && (
+                    <button className="editor-back" onClick={finishEditing} disabled={!isDraftValid} aria-label="Back to list">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M15 18l-6-6 6-6" />
+                        </svg>
+                    </button>
+                )}
+                <div className="editor-heading">
+                    <h2>{draft ? (original ? `Edit ${original.title}` : 'New philosopher') : 'Edit dataset'}</h2>
+                    <span className="editor-subtitle">
+                        {draft ? `id ${draft.id}` : `${datasetName} · ${philosophers.length} philosophers`}
+                    </span>
+                </div>
+                <button className="editor-close" onClick={onClose} aria-label="Close editor">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                        <path d="M18 6L6 18M6 6l12 12" />
+                    </svg>
+                </button>
+            </header>
+
+            {draft ? renderForm() : renderList()}
+        </aside>,
+        document.body
+    );
+};
+
+export default memo(DatasetEditor);
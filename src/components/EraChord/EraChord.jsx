@@ -0,0 +1,190 @@
+/**
+ * EraChord Component
+ * Chord diagram of influence between eras: each chord runs from the era that
+ * was drawn on to the era that drew on it. Clicking a chord or an era arc
+ * lists the philosopher pairs behind it.
+ */
+
+import React, { useState, useMemo, useEffect, memo } from 'react';
+import { buildEraInfluenceMatrix, computeChordLayout, arcPath, ribbonPath } from '../../utils/eraChord';
+import { useDataset } from '../../context/DatasetContext';
+import { useEras } from '../../hooks/useEras';
+import './EraChord.css';
+
+const SIZE = 560;
+const OUTER_RADIUS = 240;
+const INNER_RADIUS = 222;
+const LABEL_RADIUS = 256;
+
+const EraChord = ({ isOpen, onClose, onPhilosopherSelect }) => {
+    const { philosophers } = useDataset();
+    const { eras } = useEras();
+    const [hovered, setHovered] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    const data = useMemo(() => buildEraInfluenceMatrix(philosophers, eras), [philosophers, eras]);
+    const layout = useMemo(() => computeChordLayout(data.matrix), [data]);
+
+    const byId = useMemo(() => new Map(philosophers.map(p => [p.id, p])), [philosophers]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    const label = (index) => eras[index].label;
+    const color = (index) => eras[index].color;
+
+    const focus = hovered || selected;
+    const isChordActive = (chord) => {
+        if (!focus) return true;
+        if (focus.type === 'group') return chord.drawing === focus.index || chord.source === focus.index;
+        return chord.drawing === focus.drawing && chord.source === focus.source;
+    };
+    const isSame = (a, b) => a && b && a.type === b.type
+        && a.index === b.index && a.drawing === b.drawing && a.source === b.source;
+    const toggle = (item) => setSelected(current => (isSame(current, item) ? null : item));
+
+    // Chords listed in the detail pane
+    const detailChords = !selected
+        ? []
+        : layout.chords.filter(chord => (selected.type === 'group'
+            ? chord.drawing === selected.index || chord.source === selected.index
+            : chord.drawing === selected.drawing && chord.source === selected.source));
+
+    const describe = (item) => {
+        if (item.type === 'group') {
+            const drawn = data.matrix[item.index].reduce((sum, value) => sum + value, 0);
+            const given = data.matrix.reduce((sum, row) => sum + row[item.index], 0);
+            return `${label(item.index)}: draws on ${drawn} influences, is drawn on ${given} times`;
+        }
+        const count = data.matrix[item.drawing][item.source];
+        return item.drawing === item.source
+            ? `${label(item.drawing)} draws on itself: ${count} ${count === 1 ? 'link' : 'links'}`
+            : `${label(item.drawing)} draws on ${label(item.source)}: ${count} ${count === 1 ? 'link' : 'links'}`;
+    };
+
+    const renderPhilosopher = (id) => {
+        const philosopher = byId.get(id);
+        if (!philosopher) return null;
+        return (
+            <button className="chord-philosopher" onClick={() => onPhilosopherSelect?.(philosopher)}>
+                {philosopher.title}
+            </button>
+        );
+    };
+
+    return (
+        <div className="chord-overlay" onClick={onClose}>
+            <div className="chord-panel" onClick={e => e.stopPropagation()}>
+                <header className="chord-header">
+                    <h2 className="chord-title">Influence Between Eras</h2>
+                    <p className="chord-subtitle">How much each era draws on the others</p>
+                    <button className="chord-close" onClick={onClose} aria-label="Close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </header>
+
+                <p className="chord-status">
+                    {focus ? describe(focus) : 'Arrows point from an era to the era that drew on it. Click a chord or an era for the philosophers behind it.'}
+                </p>
+
+                <div className="chord-body">
+                    <div className="chord-diagram">
+                        {layout.groups.length === 0 ? (
+                            <p className="chord-empty">This dataset has no influence links.</p>
+                        ) : (
+                            <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="chord-svg" onMouseLeave={() => setHovered(null)}>
+                                <g transform={`translate(${SIZE / 2}, ${SIZE / 2})`}>
+                                    {layout.chords.map(chord => {
+                                        const item = { type: 'chord', drawing: chord.drawing, source: chord.source };
+                                        return (
+                                            <path
+                                                key={`${chord.drawing}-${chord.source}`}
+                                                className={`chord-ribbon ${isChordActive(chord) ? '' : 'faded'}`}
+                                                d={ribbonPath(chord, INNER_RADIUS - 2)}
+                                                fill={color(chord.source)}
+                                                stroke={color(chord.source)}
+                                                onMouseEnter={() => setHovered(item)}
+                                                onClick={() => toggle(item)}
+                                            >
+                                                <title>{describe(item)}</title>
+                                            </path>
+                                        );
+                                    })}
+
+                                    {layout.groups.map(group => {
+                                        const item = { type: 'group', index: group.index };
+                                        const mid = (group.startAngle + group.endAngle) / 2;
+                                        const x = Math.sin(mid) * LABEL_RADIUS;
+                                        const y = -Math.cos(mid) * LABEL_RADIUS;
+                                        return (
+                                            <g
+                                                key={eras[group.index].key}
+                                                className={`chord-group ${isSame(selected, item) ? 'selected' : ''}`}
+                                                onMouseEnter={() => setHovered(item)}
+                                                onClick={() => toggle(item)}
+                                            >
+                                                <path
+                                                    d={arcPath(group, INNER_RADIUS, OUTER_RADIUS)}
+                                                    fill={color(group.index)}
+                                                />
+                                                {group.endAngle - group.startAngle > 0.15 && (
+                                                    <text
+                                                        x={x}
+                                                        y={y}
+                                                        textAnchor={x > 1 ? 'start' : x < -1 ? 'end' : 'middle'}
+                                                        dominantBaseline={y > 1 ? 'hanging' : y < -1 ? 'auto' : 'middle'}
+                                                        fill={color(group.index)}
+                                                    >
+                                                        {label(group.index)}
+                                                    </text>
+                                                )}
+                                            </g>
+                                        );
+                                    })}
+                                </g>
+                            </svg>
+                        )}
+                    </div>
+
+                    <aside className="chord-detail">
+                        {selected ? (
+                            detailChords.map(chord => (
+                                <section key={`${chord.drawing}-${chord.source}`} className="chord-detail-group">
+                                    <h3>
+                                        <span className="chord-swatch" style={{ background: color(chord.source) }} />
+                                        {label(chord.source)} → {label(chord.drawing)}
+                                        <span className="chord-detail-count">{chord.value}</span>
+                                    </h3>
+                                    <ul>
+                                        {(data.links.get(`${chord.drawing}-${chord.source}`) || []).map(link => (
+                                            <li key={link.id}>
+                                                {renderPhilosopher(link.from)}
+                                                <span className="chord-arrow">→</span>
+                                                {renderPhilosopher(link.to)}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </section>
+                            ))
+                        ) : (
+                            <p className="chord-detail-empty">Select a chord or an era to list its philosopher pairs.</p>
+                        )}
+                    </aside>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default memo(EraChord);
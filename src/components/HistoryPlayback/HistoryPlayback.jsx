@@ -0,0 +1,100 @@
+/**
+ * HistoryPlayback Component
+ * Control bar for the constellation's history playback: play/pause, a
+ * scrubbable playhead and speed. Space plays/pauses, Escape leaves playback.
+ */
+
+import React, { useEffect, memo } from 'react';
+import { PLAYBACK_SPEEDS } from '../../hooks/useHistoryPlayback';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import './HistoryPlayback.css';
+
+const HistoryPlayback = ({
+    isActive,
+    isPlaying,
+    playhead,
+    startYear,
+    endYear,
+    speed,
+    onSpeedChange,
+    onTogglePlay,
+    onSeek,
+    onClose,
+    bornCount,
+    totalCount
+}) => {
+    const { formatYear } = useYearFormat();
+
+    // Keyboard controls
+    useEffect(() => {
+        if (!isActive) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            // Leave Space to focused controls
+            if (e.key === ' ' && !e.target.closest?.('button, input, textarea, select')) {
+                e.preventDefault();
+                onTogglePlay();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isActive, onClose, onTogglePlay]);
+
+    if (!isActive) return null;
+
+    return (
+        <div className="history-playback" role="region" aria-label="History playback">
+            <button
+                className="history-playback-play"
+                onClick={onTogglePlay}
+                aria-label={isPlaying ? 'Pause' : 'Play'}
+            >
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    {isPlaying ? (
+                        <path d="M7 5h3v14H7zM14 5h3v14h-3z" />
+                    ) : (
+                        <path d="M8 5v14l11-7z" />
+                    )}
+                </svg>
+            </button>
+
+            <div className="history-playback-scrub">
+                <span className="history-playback-year">{formatYear(playhead)}</span>
+                <input
+                    type="range"
+                    min={startYear}
+                    max={endYear}
+                    step={1}
+                    value={playhead}
+                    onChange={e => onSeek(Number(e.target.value))}
+                    aria-label="Playhead year"
+                    aria-valuetext={formatYear(playhead)}
+                />
+                <span className="history-playback-count">
+                    {bornCount} of {totalCount} philosophers
+                </span>
+            </div>
+
+            <div className="history-playback-speeds" role="group" aria-label="Playback speed">
+                {PLAYBACK_SPEEDS.map(value => (
+                    <button
+                        key={value}
+                        className={`history-playback-speed ${speed === value ? 'active' : ''}`}
+                        onClick={() => onSpeedChange(value)}
+                        aria-pressed={speed === value}
+                    >
+                        {value}×
+                    </button>
+                ))}
+            </div>
+
+            <button className="history-playback-close" onClick={onClose} aria-label="Leave playback">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                    <path d="M18 6L6 18M6 6l12 12" />
+                </svg>
+            </button>
+        </div>
+    );
+};
+
+export default memo(HistoryPlayback);
@@ -0,0 +1,214 @@
+/**
+ * InfluencePath Component
+ * "Trace lineage" panel: pick two philosophers, list the influence chains
+ * between them and step through the selected chain on the constellation
+ */
+
+import React, { useState, useMemo, useEffect, memo } from 'react';
+import { traceInfluenceLineage } from '../../utils/influenceGraph';
+import { parseYear } from '../../utils/yearParser';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import './InfluencePath.css';
+
+const MAX_LENGTHS = [3, 4, 5, 6, 7, 8, 10];
+const PATH_LIMIT = 30;
+const STEP_INTERVAL = 1200;
+
+const InfluencePath = ({
+    isOpen,
+    onClose,
+    philosophers,
+    influenceConnections,
+    initialFromId = null,
+    onTraceChange
+}) => {
+    const { formatYearText } = useYearFormat();
+    const [fromId, setFromId] = useState(initialFromId);
+    const [toId, setToId] = useState(null);
+    const [maxLength, setMaxLength] = useState(6);
+    const [pathIndex, setPathIndex] = useState(0);
+    const [step, setStep] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+
+    const sortedPhilosophers = useMemo(() => {
+        return [...philosophers].sort((a, b) => parseYear(a.year) - parseYear(b.year));
+    }, [philosophers]);
+
+    const byId = useMemo(() => new Map(philosophers.map(p => [p.id, p])), [philosophers]);
+
+    const result = useMemo(() => {
+        if (fromId === null || toId === null || fromId === toId) return null;
+        return traceInfluenceLineage(influenceConnections, fromId, toId, { maxLength, limit: PATH_LIMIT });
+    }, [influenceConnections, fromId, toId, maxLength]);
+
+    // The shortest chain is always offered, even when it is longer than the limit
+    const paths = useMemo(() => {
+        if (!result?.shortest) return [];
+        return result.paths.length > 0 ? result.paths : [result.shortest];
+    }, [result]);
+
+    const activePath = paths[pathIndex] || null;
+    const stepCount = activePath ? activePath.length - 1 : 0;
+
+    // Prefill the start with the selected star when opened
+    useEffect(() => {
+        if (isOpen && initialFromId !== null) {
+            setFromId(current => current ?? initialFromId);
+        }
+    }, [isOpen, initialFromId]);
+
+    // New result: start from the first chain and play it
+    useEffect(() => {
+        setPathIndex(0);
+        setStep(0);
+        setIsPlaying(Boolean(result?.shortest));
+    }, [result]);
+
+    // Autoplay: reveal one influence step at a time
+    useEffect(() => {
+        if (!isPlaying) return;
+        if (step >= stepCount) {
+            setIsPlaying(false);
+            return;
+        }
+        const timer = setTimeout(() => setStep(s => s + 1), step === 0 ? 300 : STEP_INTERVAL);
+        return () => clearTimeout(timer);
+    }, [isPlaying, step, stepCount]);
+
+    // Share the visible part of the chain with the map
+    useEffect(() => {
+        onTraceChange?.(isOpen && activePath ? { ids: activePath, step } : null);
+    }, [isOpen, activePath, step, onTraceChange]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    const title = (id) => byId.get(id)?.title || `#${id}`;
+
+    const selectPath = (index) => {
+        setPathIndex(index);
+        setStep(0);
+        setIsPlaying(true);
+    };
+
+    const renderPicker = (label, value, onChange) => (
+        <label className="trace-picker">
+            <span>{label}</span>
+            <select
+                value={value ?? ''}
+                onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+            >
+                <option value="">Choose a philosopher...</option>
+                {sortedPhilosophers.map(p => (
+                    <option key={p.id} value={p.id}>{p.title} ({formatYearText(p.year)})</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    return (
+        <aside className="trace-panel" aria-label="Trace lineage">
+            <header className="trace-header">
+                <h2>Trace lineage</h2>
+                <button className="trace-close" onClick={onClose} aria-label="Close">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                        <path d="M18 6L6 18M6 6l12 12" />
+                    </svg>
+                </button>
+            </header>
+
+            <div className="trace-pickers">
+                {renderPicker('From', fromId, setFromId)}
+                <button
+                    className="trace-swap"
+                    onClick={() => {
+                        setFromId(toId);
+                        setToId(fromId);
+                    }}
+                    aria-label="Swap philosophers"
+                    title="Swap"
+                >
+                    ⇅
+                </button>
+                {renderPicker('To', toId, setToId)}
+            </div>
+
+            <label className="trace-length">
+                <span>Longest chain</span>
+                <select value={maxLength} onChange={e => setMaxLength(Number(e.target.value))}>
+                    {MAX_LENGTHS.map(length => (
+                        <option key={length} value={length}>{length} steps</option>
+                    ))}
+                </select>
+            </label>
+
+            {fromId !== null && fromId === toId && (
+                <p className="trace-message">Pick two different philosophers.</p>
+            )}
+
+            {result && !result.shortest && (
+                <p className="trace-message">
+                    No chain of influence connects {title(fromId)} and {title(toId)} in either direction.
+                </p>
+            )}
+
+            {result?.shortest && (
+                <>
+                    <p className="trace-message">
+                        Shortest chain: <strong>{result.shortest.length - 1} steps</strong>
+                        {result.fromId !== fromId && ' (traced from the later name back to the earlier)'}
+                        {result.paths.length === 0 && ` — longer than ${maxLength} steps`}
+                    </p>
+
+                    <ol className="trace-paths">
+                        {paths.map((path, index) => (
+                            <li key={path.join('-')}>
+                                <button
+                                    className={`trace-path ${index === pathIndex ? 'active' : ''}`}
+                                    onClick={() => selectPath(index)}
+                                >
+                                    <span className="trace-path-length">{path.length - 1}</span>
+                                    {path.map(title).join(' → ')}
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                    {result.paths.length === PATH_LIMIT && (
+                        <p className="trace-hint">Showing the first {PATH_LIMIT} chains.</p>
+                    )}
+
+                    <div className="trace-stepper">
+                        <button onClick={() => { setIsPlaying(false); setStep(s => Math.max(0, s - 1)); }} disabled={step === 0} aria-label="Previous step">‹</button>
+                        <button
+                            onClick={() => {
+                                if (step >= stepCount) setStep(0);
+                                setIsPlaying(playing => !playing || step >= stepCount);
+                            }}
+                        >
+                            {isPlaying ? 'Pause' : step >= stepCount ? 'Replay' : 'Play'}
+                        </button>
+                        <button onClick={() => { setIsPlaying(false); setStep(s => Math.min(stepCount, s + 1)); }} disabled={step >= stepCount} aria-label="Next step">›</button>
+                        <span className="trace-step-count">Step {step} / {stepCount}</span>
+                    </div>
+
+                    {step > 0 && activePath && (
+                        <p className="trace-step">
+                            <strong>{title(activePath[step - 1])}</strong> influenced <strong>{title(activePath[step])}</strong>
+                        </p>
+                    )}
+                </>
+            )}
+        </aside>
+    );
+};
+
+export default memo(InfluencePath);
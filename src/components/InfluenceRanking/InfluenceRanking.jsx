@@ -0,0 +1,187 @@
+/**
+ * InfluenceRanking Component
+ * Ranks philosophers by centrality in the influence or shared-concept network
+ * and lists the network's communities
+ */
+
+import React, { useMemo, useEffect, memo } from 'react';
+import { GRAPH_NETWORKS, GRAPH_METRICS } from '../../utils/graphMetrics';
+import { useDataset } from '../../context/DatasetContext';
+import './InfluenceRanking.css';
+
+const NETWORK_LABELS = {
+    [GRAPH_NETWORKS.INFLUENCE]: 'Influence',
+    [GRAPH_NETWORKS.CONCEPTS]: 'Shared concepts'
+};
+
+const METRIC_HINTS = {
+    pageRank: 'Influenced the influential',
+    betweenness: 'Bridges between schools of thought',
+    degree: 'Number of direct links'
+};
+
+// Community swatches (cycled when there are more communities)
+const COMMUNITY_COLORS = [
+    '#f59e0b', '#8b5cf6', '#4a90d9', '#e74c3c', '#10b981',
+    '#ec4899', '#d4a574', '#06b6d4', '#a3e635', '#f97316'
+];
+
+const formatMetric = (metric, value) => {
+    if (metric === 'pageRank') return `${(value * 100).toFixed(1)}%`;
+    if (metric === 'betweenness') return value.toFixed(3);
+    return String(value);
+};
+
+const InfluenceRanking = ({
+    isOpen,
+    onClose,
+    metrics,
+    network,
+    onNetworkChange,
+    metric,
+    onMetricChange,
+    sizeStars,
+    onSizeStarsChange,
+    onPhilosopherSelect
+}) => {
+    const { philosophers } = useDataset();
+
+    const byId = useMemo(() => new Map(philosophers.map(p => [p.id, p])), [philosophers]);
+
+    // Philosophers ordered by the chosen metric
+    const ranking = useMemo(() => {
+        if (!metrics) return [];
+        return [...metrics.nodes]
+            .map(([id, values]) => ({ philosopher: byId.get(id), values }))
+            .filter(entry => entry.philosopher)
+            .sort((a, b) => b.values[metric] - a.values[metric]);
+    }, [metrics, byId, metric]);
+
+    const maxValue = ranking.length > 0 ? ranking[0].values[metric] : 0;
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    if (!isOpen || !metrics) return null;
+
+    const isolated = metrics.components.filter(component => component.length === 1).length;
+
+    return (
+        <div className="ranking-overlay" onClick={onClose}>
+            <div className="ranking-panel" onClick={e => e.stopPropagation()}>
+                <header className="ranking-header">
+                    <h2 className="ranking-title">Influence Ranking</h2>
+                    <p className="ranking-subtitle">Who sits at the centre of the network?</p>
+                    <button className="ranking-close" onClick={onClose} aria-label="Close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </header>
+
+                <div className="ranking-controls">
+                    <div className="ranking-chips" role="group" aria-label="Network">
+                        {Object.entries(NETWORK_LABELS).map(([value, label]) => (
+                            <button
+                                key={value}
+                                className={`ranking-chip ${network === value ? 'active' : ''}`}
+                                onClick={() => onNetworkChange(value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="ranking-chips" role="group" aria-label="Metric">
+                        {Object.entries(GRAPH_METRICS).map(([value, label]) => (
+                            <button
+                                key={value}
+                                className={`ranking-chip ${metric === value ? 'active' : ''}`}
+                                onClick={() => onMetricChange(value)}
+                                title={METRIC_HINTS[value]}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <label className="ranking-size-toggle">
+                        <input
+                            type="checkbox"
+                            checked={sizeStars}
+                            onChange={e => onSizeStarsChange(e.target.checked)}
+                        />
+                        Size stars by {GRAPH_METRICS[metric]}
+                    </label>
+                </div>
+
+                <p className="ranking-summary">
+                    {metrics.components.length === 1
+                        ? 'One connected network'
+                        : `${metrics.components.length} connected components`}
+                    {isolated > 0 && ` (${isolated} unconnected)`}
+                    {' · '}
+                    {metrics.communities.length} communities, modularity {metrics.modularity.toFixed(2)}
+                </p>
+
+                <div className="ranking-body">
+                    <ol className="ranking-list">
+                        {ranking.map(({ philosopher, values }, index) => (
+                            <li key={philosopher.id}>
+                                <button
+                                    className="ranking-row"
+                                    onClick={() => onPhilosopherSelect?.(philosopher)}
+                                >
+                                    <span className="ranking-position">{index + 1}</span>
+                                    <span
+                                        className="ranking-community"
+                                        style={{ background: COMMUNITY_COLORS[values.community % COMMUNITY_COLORS.length] }}
+                                        title={`Community ${values.community + 1}`}
+                                    />
+                                    <span className="ranking-name">{philosopher.title}</span>
+                                    <span className="ranking-bar-track">
+                                        <span
+                                            className="ranking-bar"
+                                            style={{ width: `${maxValue > 0 ? (values[metric] / maxValue) * 100 : 0}%` }}
+                                        />
+                                    </span>
+                                    <span className="ranking-value">{formatMetric(metric, values[metric])}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+
+                    <section className="ranking-communities">
+                        <h3>Communities</h3>
+                        {metrics.communities.map((members, index) => members.length > 1 && (
+                            <div key={members[0]} className="ranking-community-group">
+                                <span
+                                    className="ranking-community"
+                                    style={{ background: COMMUNITY_COLORS[index % COMMUNITY_COLORS.length] }}
+                                />
+                                <div className="ranking-community-members">
+                                    {members.map(id => byId.get(id)).filter(Boolean).map(philosopher => (
+                                        <button
+                                            key={philosopher.id}
+                                            className="ranking-member"
+                                            onClick={() => onPhilosopherSelect?.(philosopher)}
+                                        >
+                                            {philosopher.title}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default memo(InfluenceRanking);
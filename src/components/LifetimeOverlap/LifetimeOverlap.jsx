@@ -1,43 +1,56 @@
 /**
  * LifetimeOverlap Component
  * Gantt-chart style horizontal bars showing philosopher lifetimes
- * Highlights temporal overlaps when hovering
+ * Highlights temporal overlaps when hovering. Uncertain dates fade the bar
+ * end over their possible range; unknown birth or death leaves it open.
  */
 
 import React, { useState, useMemo, useCallback, memo } from 'react';
-import { parseBirthDeath, formatYear } from '../../utils/yearParser';
-import timelineEvents from '../../pages/timelineEvents.json';
+import { parseLifespan, getYearTicks, getCurrentYear } from '../../utils/yearParser';
+import { useYearFormat } from '../../hooks/useYearFormat';
+import { useDataset } from '../../context/DatasetContext';
+import { useEras } from '../../hooks/useEras';
 import './LifetimeOverlap.css';
 
-const ERA_COLORS = {
-    'Ancient & Classical Thought': '#d4a574',
-    'Medieval & Renaissance Philosophy': '#4a90d9',
-    'The Age of Reason & Enlightenment': '#f5a623',
-    '19th Century Philosophy': '#e74c3c',
-    'Contemporary Thought': '#9b59b6'
-};
 
-const ERA_ORDER = [
-    'Ancient & Classical Thought',
-    'Medieval & Renaissance Philosophy',
-    'The Age of Reason & Enlightenment',
-    '19th Century Philosophy',
-    'Contemporary Thought'
-];
+// Most year ticks on the axis
+const AXIS_TICKS = 8;
 
 const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
     const [hoveredId, setHoveredId] = useState(null);
     const [selectedEra, setSelectedEra] = useState(null);
+    const { philosophers: timelineEvents } = useDataset();
+    const { formatYear, formatHistoricalDate } = useYearFormat();
+    const { eras, getEraColor } = useEras();
 
-    // Parse all philosopher lifetimes
+    // Parse all philosopher lifespans; a missing birth or death falls back
+    // to when they were active rather than a guessed date, and the living
+    // run up to this year
     const philosophers = useMemo(() => {
+        const currentYear = getCurrentYear();
         return timelineEvents
             .map(p => {
-                const { birth, death } = parseBirthDeath(p);
-                return { ...p, birth, death };
+                const lifespan = parseLifespan(p);
+                const start = lifespan.birth || lifespan.active;
+                const end = lifespan.isLiving
+                    ? { year: currentYear, earliest: currentYear, latest: currentYear }
+                    : lifespan.death || lifespan.active;
+                if (!start || !end) return null;
+                return {
+                    ...p,
+                    lifespan,
+                    birth: start.year,
+                    death: end.year,
+                    // Whole possible span, and the part that is certain
+                    from: start.earliest,
+                    to: end.latest,
+                    solidFrom: start.latest,
+                    solidTo: end.earliest
+                };
             })
+            .filter(Boolean)
             .sort((a, b) => a.birth - b.birth);
-    }, []);
+    }, [timelineEvents]);
 
     // Filter by era if selected
     const filtered = useMemo(() => {
@@ -48,8 +61,8 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
     // Compute timeline bounds
     const bounds = useMemo(() => {
         if (filtered.length === 0) return { min: -600, max: 2000 };
-        const min = Math.min(...filtered.map(p => p.birth));
-        const max = Math.max(...filtered.map(p => p.death));
+        const min = Math.min(...filtered.map(p => p.from));
+        const max = Math.max(...filtered.map(p => p.to));
         const padding = (max - min) * 0.05;
         return { min: min - padding, max: max + padding };
     }, [filtered]);
@@ -76,15 +89,7 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
     }, [bounds, range]);
 
     // Generate axis ticks
-    const ticks = useMemo(() => {
-        const step = range > 1500 ? 500 : range > 500 ? 200 : 100;
-        const start = Math.ceil(bounds.min / step) * step;
-        const result = [];
-        for (let y = start; y <= bounds.max; y += step) {
-            result.push(y);
-        }
-        return result;
-    }, [bounds, range]);
+    const ticks = useMemo(() => getYearTicks(bounds.min, bounds.max, AXIS_TICKS), [bounds]);
 
     if (!isOpen) return null;
 
@@ -93,7 +98,7 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
             <div className="lifetime-panel">
                 <header className="lifetime-header">
                     <h2 className="lifetime-title">Lifetime Overlaps</h2>
-                    <p className="lifetime-subtitle">Who lived at the same time?</p>
+                    <p className="lifetime-subtitle">Who lived at the same time? Faded ends mark uncertain dates, dashed ends unknown ones, arrows the still living.</p>
                     <button className="lifetime-close" onClick={onClose} aria-label="Close">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
                             <path d="M18 6L6 18M6 6l12 12" />
@@ -109,14 +114,14 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
                     >
                         All Eras
                     </button>
-                    {ERA_ORDER.map(era => (
+                    {eras.map(era => (
                         <button
-                            key={era}
-                            className={`lifetime-era-chip ${selectedEra === era ? 'active' : ''}`}
-                            style={{ '--chip-color': ERA_COLORS[era] }}
-                            onClick={() => setSelectedEra(selectedEra === era ? null : era)}
+                            key={era.key}
+                            className={`lifetime-era-chip ${selectedEra === era.name ? 'active' : ''}`}
+                            style={{ '--chip-color': era.color }}
+                            onClick={() => setSelectedEra(selectedEra === era.name ? null : era.name)}
                         >
-                            {era.split(' ')[0]}
+                            {era.label}
                         </button>
                     ))}
                 </div>
@@ -139,12 +144,21 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
                     {/* Bars */}
                     <div className="lifetime-bars">
                         {filtered.map(p => {
-                            const left = toPercent(p.birth);
-                            const width = toPercent(p.death) - left;
+                            const left = toPercent(p.from);
+                            const width = toPercent(p.to) - left;
                             const isHovered = p.id === hoveredId;
                             const isOverlap = overlapping.has(p.id);
                             const isDimmed = hoveredId !== null && !isHovered && !isOverlap;
-                            const color = ERA_COLORS[p.era] || '#8b5cf6';
+                            const color = getEraColor(p.era);
+                            const { birth, death, active, isLiving } = p.lifespan;
+
+                            // Fade in and out across the uncertain part of each end
+                            const span = p.to - p.from;
+                            let fadeIn = span > 0 ? ((p.solidFrom - p.from) / span) * 100 : 0;
+                            let fadeOut = span > 0 ? ((p.solidTo - p.from) / span) * 100 : 100;
+                            if (fadeIn > fadeOut) {
+                                fadeIn = fadeOut = (fadeIn + fadeOut) / 2;
+                            }
 
                             return (
                                 <div
@@ -157,11 +171,12 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
                                     <span className="lifetime-name">{p.title}</span>
                                     <div className="lifetime-bar-track">
                                         <div
-                                            className="lifetime-bar"
+                                            className={`lifetime-bar ${birth ? '' : 'open-start'} ${isLiving ? 'living' : death ? '' : 'open-end'}`}
                                             style={{
                                                 left: `${left}%`,
                                                 width: `${Math.max(width, 0.5)}%`,
-                                                backgroundColor: color,
+                                                background: `linear-gradient(to right, transparent, ${color} ${fadeIn}%, ${color} ${fadeOut}%, transparent)`,
+                                                '--bar-color': color,
                                                 opacity: isDimmed ? 0.2 : isHovered || isOverlap ? 1 : 0.6
                                             }}
                                         />
@@ -170,7 +185,11 @@ const LifetimeOverlap = ({ isOpen, onClose, onPhilosopherSelect }) => {
                                                 className="lifetime-bar-label"
                                                 style={{ left: `${left + width / 2}%` }}
                                             >
-                                                {formatYear(p.birth)} - {formatYear(p.death)}
+                                                {isLiving
+                                                    ? `${formatHistoricalDate(birth)} - present`
+                                                    : birth || death
+                                                        ? `${formatHistoricalDate(birth)} - ${formatHistoricalDate(death)}`
+                                                        : formatHistoricalDate(active)}
                                             </span>
                                         )}
                                     </div>
@@ -0,0 +1,177 @@
+/**
+ * TourPlayer Component
+ * Picker for the bundled (or a local) guided tour, and the caption card that
+ * plays it with back/next and progress. ←/→ change step, Escape ends the tour.
+ */
+
+import React, { useState, useEffect, useRef, useMemo, memo } from 'react';
+import { useDataset } from '../../context/DatasetContext';
+import { BUNDLED_TOURS, validateTour, readTourFile } from '../../utils/tours';
+import './TourPlayer.css';
+
+const TourPlayer = ({
+    isPickerOpen,
+    onClosePicker,
+    onStart,
+    tour,
+    stepIndex,
+    onNext,
+    onBack,
+    onGoTo,
+    onEnd
+}) => {
+    const { philosophers, concepts } = useDataset();
+    const [loadedTour, setLoadedTour] = useState(null);
+    const [fileError, setFileError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const tours = useMemo(() => {
+        return loadedTour ? [...BUNDLED_TOURS, loadedTour] : BUNDLED_TOURS;
+    }, [loadedTour]);
+
+    // References each tour makes that the active dataset doesn't have
+    const missingCounts = useMemo(() => {
+        return new Map(tours.map(t => [t, validateTour(t, { philosophers, concepts }).warnings.length]));
+    }, [tours, philosophers, concepts]);
+
+    // Close the picker on Escape
+    useEffect(() => {
+        if (!isPickerOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClosePicker();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isPickerOpen, onClosePicker]);
+
+    // Keyboard controls while a tour plays
+    useEffect(() => {
+        if (!tour) return;
+        const handleKeyDown = (e) => {
+            // Leave arrow keys to focused fields and the year brush
+            if (e.target.closest?.('input, textarea, select, [role="slider"]')) return;
+            if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                onNext();
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                onBack();
+            } else if (e.key === 'Escape') {
+                onEnd();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [tour, onNext, onBack, onEnd]);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        // Allow picking the same file again after editing it
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const nextTour = await readTourFile(file);
+            setLoadedTour(nextTour);
+            setFileError(null);
+        } catch (error) {
+            setFileError(error.message);
+        }
+    };
+
+    const step = tour ? tour.steps[stepIndex] : null;
+    const isLast = tour && stepIndex === tour.steps.length - 1;
+
+    return (
+        <>
+            {isPickerOpen && (
+                <div className="tour-picker-overlay" onClick={onClosePicker}>
+                    <div
+                        className="tour-picker"
+                        role="dialog"
+                        aria-label="Guided tours"
+                        onClick={e => e.stopPropagation()}
+                    >
+                        <div className="tour-picker-header">
+                            <h2>Guided Tours</h2>
+                            <button className="tour-close-btn" onClick={onClosePicker} aria-label="Close">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                                    <path d="M18 6L6 18M6 6l12 12" />
+                                </svg>
+                            </button>
+                        </div>
+
+                        <ul className="tour-picker-list">
+                            {tours.map(t => (
+                                <li key={t === loadedTour ? 'file' : t.id}>
+                                    <button className="tour-picker-item" onClick={() => onStart(t)}>
+                                        <span className="tour-picker-title">{t.title}</span>
+                                        {t.description && (
+                                            <span className="tour-picker-description">{t.description}</span>
+                                        )}
+                                        <span className="tour-picker-meta">
+                                            {t.steps.length} steps
+                                            {t === loadedTour && ' · from file'}
+                                            {missingCounts.get(t) > 0 && ` · ${missingCounts.get(t)} references not in this dataset`}
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+
+                        {fileError && <p className="tour-picker-error">{fileError}</p>}
+
+                        <button className="tour-picker-file" onClick={() => fileInputRef.current?.click()}>
+                            Open tour file...
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={handleFileChange}
+                            hidden
+                        />
+                    </div>
+                </div>
+            )}
+
+            {step && (
+                <div className="tour-card" role="region" aria-label={`Tour: ${tour.title}`}>
+                    <div className="tour-card-header">
+                        <span className="tour-card-tour">{tour.title}</span>
+                        <button className="tour-close-btn" onClick={onEnd} aria-label="End tour">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+                                <path d="M18 6L6 18M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+
+                    {step.title && <h3 className="tour-card-title">{step.title}</h3>}
+                    <p className="tour-card-caption" aria-live="polite">{step.caption}</p>
+
+                    <div className="tour-card-footer">
+                        <div className="tour-progress" role="group" aria-label="Tour progress">
+                            {tour.steps.map((s, i) => (
+                                <button
+                                    key={i}
+                                    className={`tour-progress-dot ${i === stepIndex ? 'active' : ''} ${i < stepIndex ? 'done' : ''}`}
+                                    onClick={() => onGoTo(i)}
+                                    aria-label={`Step ${i + 1}${s.title ? `: ${s.title}` : ''}`}
+                                    aria-current={i === stepIndex ? 'step' : undefined}
+                                />
+                            ))}
+                        </div>
+                        <span className="tour-card-count">{stepIndex + 1} / {tour.steps.length}</span>
+                        <button className="tour-nav-btn" onClick={onBack} disabled={stepIndex === 0}>
+                            Back
+                        </button>
+                        <button className="tour-nav-btn primary" onClick={isLast ? onEnd : onNext}>
+                            {isLast ? 'Finish' : 'Next'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default memo(TourPlayer);
@@ -0,0 +1,198 @@
+/**
+ * DatasetMenu Component
+ * Dropdown for switching the active dataset (local JSON file, URL or bundled)
+ */
+
+import React, { memo, useState, useRef, useEffect, useCallback } from 'react';
+import { useDataset } from '../../context/DatasetContext';
+import DatasetEditor from '../DatasetEditor/DatasetEditor';
+import CsvImporter from '../CsvImporter/CsvImporter';
+import './DatasetMenu.css';
+
+const SOURCE_LABELS = {
+    bundled: 'Built-in',
+    url: 'From URL',
+    file: 'Local file'
+};
+
+// Issues listed in the popover before "and N more"
+const MAX_LISTED_ISSUES = 5;
+
+const DatasetIcon = () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+        <ellipse cx="12" cy="5" rx="8" ry="3" />
+        <path d="M4 5v6c0 1.66 3.58 3 8 3s8-1.34 8-3V5" />
+        <path d="M4 11v6c0 1.66 3.58 3 8 3s8-1.34 8-3v-6" />
+    </svg>
+);
+
+const DatasetMenu = () => {
+    const {
+        datasetName,
+        source,
+        datasetUrl,
+        philosophers,
+        concepts,
+        validation,
+        isModified,
+        isLoading,
+        error,
+        loadFromUrl,
+        loadFromFile,
+        resetToDefault
+    } = useDataset();
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [isEditorOpen, setIsEditorOpen] = useState(false);
+    const [isImporterOpen, setIsImporterOpen] = useState(false);
+    const [urlInput, setUrlInput] = useState(datasetUrl || '');
+    const menuRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handlePointerDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    // Switching datasets drops unexported editor changes
+    const confirmDiscard = useCallback(() => {
+        return !isModified || window.confirm('Discard your unexported dataset edits?');
+    }, [isModified]);
+
+    const handleFileChange = useCallback((e) => {
+        const file = e.target.files?.[0];
+        if (confirmDiscard()) loadFromFile(file);
+        // Allow picking the same file again after editing it
+        e.target.value = '';
+    }, [loadFromFile, confirmDiscard]);
+
+    const issues = validation ? [...validation.errors, ...validation.warnings] : [];
+    const skipped = validation?.skipped || 0;
+
+    const handleUrlSubmit = useCallback((e) => {
+        e.preventDefault();
+        if (confirmDiscard()) loadFromUrl(urlInput);
+    }, [loadFromUrl, urlInput, confirmDiscard]);
+
+    return (
+        <div className="dataset-menu" ref={menuRef}>
+            <button
+                className={`dataset-menu-btn ${isOpen ? 'active' : ''} ${isLoading ? 'loading' : ''}`}
+                onClick={() => setIsOpen(open => !open)}
+                aria-label="Choose dataset"
+                aria-expanded={isOpen}
+                title="Dataset"
+            >
+                <DatasetIcon />
+            </button>
+
+            {isOpen && (
+                <div className="dataset-menu-popover" role="dialog" aria-label="Dataset">
+                    <div className="dataset-menu-current">
+                        <span className="dataset-menu-source">{SOURCE_LABELS[source]}{isModified && ' · edited'}</span>
+                        <span className="dataset-menu-name">{datasetName}</span>
+                        <span className="dataset-menu-counts">
+                            {philosophers.length} philosophers · {concepts.length} concepts
+                        </span>
+                    </div>
+
+                    {(issues.length > 0 || skipped > 0) && (
+                        <details className="dataset-menu-issues">
+                            <summary>
+                                {skipped > 0 && `${skipped} invalid entries skipped · `}
+                                {validation.errors.length} errors · {validation.warnings.length} warnings
+                            </summary>
+                            <ul>
+                                {issues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => (
+                                    <li key={i} className={`dataset-issue-${validation.errors.includes(issue) ? 'error' : 'warning'}`}>
+                                        {issue.message}
+                                    </li>
+                                ))}
+                                {issues.length > MAX_LISTED_ISSUES && (
+                                    <li>...and {issues.length - MAX_LISTED_ISSUES} more (see console)</li>
+                                )}
+                            </ul>
+                        </details>
+                    )}
+
+                    <button
+                        className="dataset-menu-action"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isLoading}
+                    >
+                        Open JSON file...
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={handleFileChange}
+                        hidden
+                    />
+
+                    <form className="dataset-menu-url" onSubmit={handleUrlSubmit}>
+                        <input
+                            type="url"
+                            placeholder="https://example.com/dataset.json"
+                            value={urlInput}
+                            onChange={e => setUrlInput(e.target.value)}
+                            aria-label="Dataset URL"
+                        />
+                        <button type="submit" disabled={isLoading || !urlInput.trim()}>
+                            Load
+                        </button>
+                    </form>
+
+                    <button
+                        className="dataset-menu-action"
+                        onClick={() => { setIsEditorOpen(true); setIsOpen(false); }}
+                        disabled={isLoading}
+                    >
+                        Edit philosophers...
+                    </button>
+                    <button
+                        className="dataset-menu-action"
+                        onClick={() => { setIsImporterOpen(true); setIsOpen(false); }}
+                        disabled={isLoading}
+                    >
+                        Import from CSV...
+                    </button>
+
+                    {(source !== 'bundled' || isModified) && (
+                        <button
+                            className="dataset-menu-action dataset-menu-reset"
+                            onClick={() => confirmDiscard() && resetToDefault()}
+                            disabled={isLoading}
+                        >
+                            Reset to default dataset
+                        </button>
+                    )}
+
+                    {isLoading && <p className="dataset-menu-status">Loading dataset...</p>}
+                    {error && <p className="dataset-menu-error" role="alert">{error}</p>}
+                </div>
+            )}
+
+            <DatasetEditor isOpen={isEditorOpen} onClose={() => setIsEditorOpen(false)} />
+            <CsvImporter isOpen={isImporterOpen} onClose={() => setIsImporterOpen(false)} />
+        </div>
+    );
+};
+
+export default memo(DatasetMenu);
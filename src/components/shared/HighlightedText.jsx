@@ -0,0 +1,24 @@
+/**
+ * HighlightedText Component
+ * Renders text with the given character ranges wrapped in highlight spans
+ * (ranges come from the search index)
+ */
+
+import React, { memo } from 'react';
+
+const HighlightedText = ({ text, ranges = [], className = 'search-highlight' }) => {
+    if (ranges.length === 0) return text;
+
+    const parts = [];
+    let cursor = 0;
+    ranges.forEach(({ start, end }, i) => {
+        if (start > cursor) parts.push(text.slice(cursor, start));
+        parts.push(<span key={i} className={className}>{text.slice(start, end)}</span>);
+        cursor = end;
+    });
+    if (cursor < text.length) parts.push(text.slice(cursor));
+
+    return parts;
+};
+
+export default memo(HighlightedText);
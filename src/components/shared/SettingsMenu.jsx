@@ -0,0 +1,135 @@
+/**
+ * SettingsMenu Component
+ * Dropdown for display preferences: era notation, the locale years are
+ * written in, and the time scale of the map axes
+ */
+
+import React, { memo, useState, useRef, useEffect } from 'react';
+import { useSettings } from '../../context/SettingsContext';
+import { ERA_NOTATIONS, formatYear } from '../../utils/yearParser';
+import { TIME_SCALES } from '../../utils/timeScale';
+import './SettingsMenu.css';
+
+// Locales offered for year digits ('' = the browser's)
+const NUMBER_LOCALES = [
+    { value: '', label: 'Browser default' },
+    { value: 'en', label: 'English (1637)' },
+    { value: 'ar-EG', label: 'Arabic (١٦٣٧)' },
+    { value: 'fa', label: 'Persian (۱۶۳۷)' },
+    { value: 'hi-IN-u-nu-deva', label: 'Hindi (१६३७)' },
+    { value: 'bn', label: 'Bengali (১৬৩৭)' },
+    { value: 'th-TH-u-nu-thai', label: 'Thai (๑๖๓๗)' }
+];
+
+// Years shown in the preview line
+const PREVIEW_YEARS = [-428, 354, 1637];
+
+const SettingsIcon = () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2}>
+        <circle cx="12" cy="12" r="3" />
+        <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z" />
+    </svg>
+);
+
+const SettingsMenu = () => {
+    const {
+        eraNotation,
+        numberLocale,
+        yearFormat,
+        timeScale,
+        setEraNotation,
+        setNumberLocale,
+        setTimeScale
+    } = useSettings();
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handlePointerDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    return (
+        <div className="settings-menu" ref={menuRef}>
+            <button
+                className={`settings-menu-btn ${isOpen ? 'active' : ''}`}
+                onClick={() => setIsOpen(open => !open)}
+                aria-label="Display settings"
+                aria-expanded={isOpen}
+                title="Settings"
+            >
+                <SettingsIcon />
+            </button>
+
+            {isOpen && (
+                <div className="settings-menu-popover" role="dialog" aria-label="Display settings">
+                    <div className="settings-menu-field" role="radiogroup" aria-label="Era notation">
+                        <span className="settings-menu-label">Era notation</span>
+                        <div className="settings-menu-options">
+                            {Object.entries(ERA_NOTATIONS).map(([key, { label }]) => (
+                                <button
+                                    key={key}
+                                    className={`settings-menu-option ${eraNotation === key ? 'active' : ''}`}
+                                    onClick={() => setEraNotation(key)}
+                                    role="radio"
+                                    aria-checked={eraNotation === key}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <label className="settings-menu-field">
+                        <span className="settings-menu-label">Numbers</span>
+                        <select value={numberLocale} onChange={e => setNumberLocale(e.target.value)}>
+                            {NUMBER_LOCALES.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <p className="settings-menu-preview">
+                        {PREVIEW_YEARS.map(year => formatYear(year, yearFormat)).join(' · ')}
+                    </p>
+
+                    <div className="settings-menu-field" role="radiogroup" aria-label="Time scale">
+                        <span className="settings-menu-label">Time scale</span>
+                        <div className="settings-menu-options">
+                            {Object.entries(TIME_SCALES).map(([key, { label, description }]) => (
+                                <button
+                                    key={key}
+                                    className={`settings-menu-option ${timeScale === key ? 'active' : ''}`}
+                                    onClick={() => setTimeScale(key)}
+                                    role="radio"
+                                    aria-checked={timeScale === key}
+                                    title={description}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default memo(SettingsMenu);
@@ -1,6 +1,7 @@
 /**
  * ViewToggle Component
  * Toggle button to switch between Timeline, Constellation, and Metro views
+ * Extra controls (e.g. the dataset menu) can be passed as children
  */
 
 import React, { memo } from 'react';
@@ -43,7 +44,7 @@ const VIEW_MODES = [
     { key: 'metro', label: 'Metro', Icon: MetroIcon },
 ];
 
-const ViewToggle = ({ viewMode, onToggle, isTransitioning }) => {
+const ViewToggle = ({ viewMode, onToggle, isTransitioning, children }) => {
     return (
         <div className={`view-toggle ${isTransitioning ? 'transitioning' : ''}`}>
             {VIEW_MODES.map(({ key, label, Icon }) => (
@@ -59,6 +60,7 @@ const ViewToggle = ({ viewMode, onToggle, isTransitioning }) => {
                     <span className="view-toggle-label">{label}</span>
                 </button>
             ))}
+            {children}
         </div>
     );
 };
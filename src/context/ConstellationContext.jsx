@@ -1,9 +1,26 @@
 /**
  * ConstellationContext
  * Provides shared state between Timeline and Constellation views
+ *
+ * The URL is the source of truth for the view mode, the selected
+ * philosopher/concept, the constellation viewport and its filters, so
+ * every state can be linked to and browser back/forward restores it.
  */
 
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+    VIEW_MODES,
+    parseLocation,
+    buildLocation,
+    parseViewport,
+    formatViewport,
+    findPhilosopherBySlug,
+    findConceptName,
+    getPhilosopherSlug
+} from '../utils/routeState';
+import { encodeFilterState, parseFilterState } from '../utils/filterState';
+import { useDataset } from './DatasetContext';
 
 // Create context
 const ConstellationContext = createContext(null);
@@ -12,18 +29,63 @@ const ConstellationContext = createContext(null);
  * ConstellationProvider - Provides shared state to child components
  */
 export const ConstellationProvider = ({ children }) => {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { philosophers, concepts } = useDataset();
+
+    // Explorer state parsed from the current URL
+    const routeState = useMemo(() => parseLocation(location), [location]);
+
+    // Latest committed state, so that several updates in the same tick
+    // build on each other instead of on the not-yet-updated URL
+    const routeStateRef = useRef(routeState);
+
+    // Keep ref in sync when the URL changes (links, back/forward)
+    useEffect(() => {
+        routeStateRef.current = routeState;
+    }, [routeState]);
+
     // View mode: 'timeline', 'constellation', or 'metro'
-    const [viewMode, setViewMode] = useState('constellation');
+    const { viewMode } = routeState;
+
+    // Constellation zoom/pan, stable across URL changes that don't touch it
+    const viewportKey = formatViewport(routeState.viewport);
+    const viewport = useMemo(() => parseViewport(viewportKey), [viewportKey]);
+
+    // Constellation filters, stable in the same way
+    const filtersKey = encodeFilterState(routeState.filters);
+    const filters = useMemo(() => parseFilterState(filtersKey), [filtersKey]);
 
     // Selected philosopher (shared between views)
-    const [selectedPhilosopher, setSelectedPhilosopher] = useState(null);
+    const selectedPhilosopher = useMemo(
+        () => findPhilosopherBySlug(philosophers, routeState.philosopherSlug),
+        [philosophers, routeState.philosopherSlug]
+    );
 
-    // Selected concept (shared between views)
-    const [selectedConcept, setSelectedConcept] = useState(null);
+    // Selected concept name (shared between views)
+    const selectedConcept = useMemo(
+        () => findConceptName(concepts, routeState.conceptName),
+        [concepts, routeState.conceptName]
+    );
 
     // Transition state for smooth view switching
     const [isTransitioning, setIsTransitioning] = useState(false);
 
+    /**
+     * Merge a partial state into the URL
+     * Selections push a history entry; viewport changes replace the current one
+     */
+    const commitRouteState = useCallback((patch, { replace = false } = {}) => {
+        const next = { ...routeStateRef.current, ...patch };
+        const nextUrl = buildLocation(next);
+        const currentUrl = buildLocation(routeStateRef.current);
+        routeStateRef.current = next;
+
+        if (nextUrl !== currentUrl) {
+            navigate(nextUrl, { replace });
+        }
+    }, [navigate]);
+
     /**
      * Switch view with transition animation
      */
@@ -34,7 +96,8 @@ export const ConstellationProvider = ({ children }) => {
 
         // Wait for overlay to fully cover the screen (matches CSS 0.4s transition)
         setTimeout(() => {
-            setViewMode(newMode);
+            // Each view has its own canvas, so the viewport does not carry over
+            commitRouteState({ viewMode: newMode, viewport: null });
 
             // Let the new view mount, then fade the overlay out
             requestAnimationFrame(() => {
@@ -43,39 +106,63 @@ export const ConstellationProvider = ({ children }) => {
                 });
             });
         }, 420);
-    }, [viewMode]);
+    }, [viewMode, commitRouteState]);
 
     /**
      * Toggle between views
      */
     const toggleView = useCallback(() => {
-        const order = ['timeline', 'constellation', 'metro'];
-        const nextIndex = (order.indexOf(viewMode) + 1) % order.length;
-        switchView(order[nextIndex]);
+        const nextIndex = (VIEW_MODES.indexOf(viewMode) + 1) % VIEW_MODES.length;
+        switchView(VIEW_MODES[nextIndex]);
     }, [viewMode, switchView]);
 
     /**
-     * Select a philosopher (from either view)
+     * Select a philosopher (from either view), together with a concept in the
+     * same history entry (tour steps), or else clearing the concept unless
+     * keepConcept is set (the timeline keeps its concept filter while cards
+     * open and close)
      */
-    const selectPhilosopher = useCallback((philosopher) => {
-        setSelectedPhilosopher(philosopher);
-        setSelectedConcept(null); // Clear concept selection
-    }, []);
+    const selectPhilosopher = useCallback((philosopher, { concept = null, keepConcept = false } = {}) => {
+        commitRouteState({
+            philosopherSlug: philosopher ? getPhilosopherSlug(philosopher) : null,
+            ...(keepConcept ? {} : { conceptName: concept || null })
+        });
+    }, [commitRouteState]);
 
     /**
      * Select a concept (from either view)
      */
     const selectConcept = useCallback((concept) => {
-        setSelectedConcept(concept);
-    }, []);
+        commitRouteState({ conceptName: concept || null });
+    }, [commitRouteState]);
+
+    /**
+     * Store the current zoom/pan so it survives reloads and history navigation
+     */
+    const setViewport = useCallback((transform) => {
+        commitRouteState({ viewport: transform }, { replace: true });
+    }, [commitRouteState]);
+
+    /**
+     * Store the constellation filters so they can be shared as a link
+     * Without a preset name, the current name is kept only while the filters
+     * stay the same
+     */
+    const setFilters = useCallback((nextFilters, presetName) => {
+        const current = routeStateRef.current;
+        const keepName = encodeFilterState(nextFilters) === encodeFilterState(current.filters);
+        commitRouteState({
+            filters: nextFilters,
+            presetName: presetName !== undefined ? presetName : (keepName ? current.presetName : null)
+        }, { replace: presetName === undefined });
+    }, [commitRouteState]);
 
     /**
      * Clear all selections
      */
     const clearSelection = useCallback(() => {
-        setSelectedPhilosopher(null);
-        setSelectedConcept(null);
-    }, []);
+        commitRouteState({ philosopherSlug: null, conceptName: null });
+    }, [commitRouteState]);
 
     const value = {
         // View state
@@ -83,6 +170,16 @@ export const ConstellationProvider = ({ children }) => {
         setViewMode: switchView,
         toggleView,
         isTransitioning,
+        isKnownRoute: routeState.isKnownRoute,
+
+        // Viewport state (constellation zoom/pan)
+        viewport,
+        setViewport,
+
+        // Filter state (constellation filters and the name of the applied preset)
+        filters,
+        filterPresetName: filters ? routeState.presetName : null,
+        setFilters,
 
         // Selection state
         selectedPhilosopher,
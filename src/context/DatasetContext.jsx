@@ -0,0 +1,260 @@
+/**
+ * DatasetContext
+ * Provides the philosopher, concept and era data used by every view
+ *
+ * The bundled JSON is the default. A different dataset can be loaded from
+ * a URL (the "?dataset=" query parameter or the VITE_DATASET_URL build
+ * variable) or from a local JSON file, without rebuilding the app.
+ */
+
+import React, { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { parseLocation, buildLocation } from '../utils/routeState';
+import { normalizeDataset, fetchDataset, readDatasetFile } from '../utils/datasetLoader';
+import { validateDataset, formatValidationResult } from '../utils/datasetValidator';
+import timelineEvents from '../pages/timelineEvents.json';
+import philosophyConcepts from '../pages/philosophyConcepts.json';
+import eras from '../pages/eras.json';
+
+/**
+ * Dataset shipped with the app
+ */
+const BUNDLED_DATASET = {
+    ...normalizeDataset({ name: 'Bundled dataset', timelineEvents, philosophyConcepts, eras }),
+    source: 'bundled',
+    url: null
+};
+
+/**
+ * Dataset URL configured at build time, if any
+ */
+const DEFAULT_DATASET_URL = import.meta.env.VITE_DATASET_URL || null;
+
+/**
+ * Print the validation report of a freshly loaded dataset
+ */
+const logValidation = ({ name, validation }) => {
+    if (validation.errors.length > 0 || validation.warnings.length > 0) {
+        console.warn(`Dataset "${name}" has issues:\n${formatValidationResult(validation)}`);
+    }
+};
+
+// Create context
+const DatasetContext = createContext(null);
+
+/**
+ * DatasetProvider - Loads the active dataset and provides it to child components
+ */
+export const DatasetProvider = ({ children }) => {
+    const location = useLocation();
+    const navigate = useNavigate();
+
+    // URL requested through the query string, falling back to the build default
+    const { datasetUrl } = useMemo(() => parseLocation(location), [location]);
+    const requestedUrl = datasetUrl || DEFAULT_DATASET_URL;
+
+    const [dataset, setDataset] = useState(BUNDLED_DATASET);
+    const [status, setStatus] = useState(requestedUrl ? 'loading' : 'ready');
+    const [error, setError] = useState(null);
+
+    // Views are only rendered once the first dataset has settled
+    const [isInitialized, setIsInitialized] = useState(!requestedUrl);
+
+    /**
+     * Fetch a dataset URL and make it active
+     * On failure the current dataset stays active and the error is exposed
+     */
+    const applyUrl = useCallback((url, isCancelled = () => false) => {
+        setStatus('loading');
+        setError(null);
+
+        fetchDataset(url, { fallbackConcepts: BUNDLED_DATASET.concepts, fallbackEras: BUNDLED_DATASET.eras })
+            .then(loaded => {
+                if (isCancelled()) return;
+                logValidation(loaded);
+                setDataset({ ...loaded, source: 'url', url });
+                setStatus('ready');
+            })
+            .catch(err => {
+                if (isCancelled()) return;
+                console.error('Failed to load dataset:', err);
+                setError(err.message);
+                setStatus('error');
+            })
+            .finally(() => {
+                if (!isCancelled()) setIsInitialized(true);
+            });
+    }, []);
+
+    // Follow the requested URL (initial load, links, back/forward)
+    useEffect(() => {
+        if (!requestedUrl) {
+            setDataset(current => (current.source === 'url' ? BUNDLED_DATASET : current));
+            return;
+        }
+
+        let cancelled = false;
+        applyUrl(requestedUrl, () => cancelled);
+        return () => {
+            cancelled = true;
+        };
+    }, [requestedUrl, applyUrl]);
+
+    /**
+     * Load a dataset from a URL and record it in the address bar so it can be shared
+     */
+    const loadFromUrl = useCallback((url) => {
+        const trimmed = url?.trim();
+        if (!trimmed) return;
+
+        if (trimmed === requestedUrl) {
+            applyUrl(trimmed);
+            return;
+        }
+        navigate(buildLocation({ ...parseLocation(location), datasetUrl: trimmed }));
+    }, [requestedUrl, applyUrl, navigate, location]);
+
+    /**
+     * Load a dataset from a local JSON file
+     */
+    const loadFromFile = useCallback(async (file) => {
+        if (!file) return;
+        setStatus('loading');
+        setError(null);
+
+        try {
+            const loaded = await readDatasetFile(file, {
+                fallbackConcepts: BUNDLED_DATASET.concepts,
+                fallbackEras: BUNDLED_DATASET.eras
+            });
+            logValidation(loaded);
+            setDataset({ ...loaded, source: 'file', url: null });
+            setStatus('ready');
+        } catch (err) {
+            console.error('Failed to read dataset file:', err);
+            setError(err.message);
+            setStatus('error');
+        }
+    }, []);
+
+    /**
+     * Add philosophers, replacing existing ones with the same id
+     * Edits stay in memory until exported, so every view previews them live
+     */
+    const upsertPhilosophers = useCallback((updates) => {
+        setDataset(current => {
+            const byId = new Map(updates.map(p => [p.id, p]));
+            const philosophers = [
+                ...current.philosophers.map(p => byId.get(p.id) || p),
+                ...updates.filter(p => !current.philosophers.some(existing => existing.id === p.id))
+            ];
+            return {
+                ...current,
+                philosophers,
+                validation: validateDataset({ philosophers, concepts: current.concepts, eras: current.eras }),
+                isModified: true
+            };
+        });
+    }, []);
+
+    const upsertPhilosopher = useCallback((philosopher) => {
+        upsertPhilosophers([philosopher]);
+    }, [upsertPhilosophers]);
+
+    /**
+     * Remove a philosopher and any influenced_by references to it
+     */
+    const removePhilosopher = useCallback((id) => {
+        setDataset(current => {
+            const philosophers = current.philosophers
+                .filter(p => p.id !== id)
+                .map(p => (p.influenced_by?.includes(id)
+                    ? { ...p, influenced_by: p.influenced_by.filter(i => i !== id) }
+                    : p));
+            return {
+                ...current,
+                philosophers,
+                validation: validateDataset({ philosophers, concepts: current.concepts, eras: current.eras }),
+                isModified: true
+            };
+        });
+    }, []);
+
+    /**
+     * Go back to the default dataset (build-time URL or bundled JSON)
+     */
+    const resetToDefault = useCallback(() => {
+        setError(null);
+
+        if (datasetUrl) {
+            navigate(buildLocation({ ...parseLocation(location), datasetUrl: null }));
+            if (!DEFAULT_DATASET_URL) setDataset(BUNDLED_DATASET);
+            return;
+        }
+
+        if (DEFAULT_DATASET_URL) {
+            applyUrl(DEFAULT_DATASET_URL);
+        } else {
+            setDataset(BUNDLED_DATASET);
+            setStatus('ready');
+        }
+    }, [datasetUrl, navigate, location, applyUrl]);
+
+    const value = useMemo(() => ({
+        // Active data
+        philosophers: dataset.philosophers,
+        concepts: dataset.concepts,
+        eras: dataset.eras,
+        datasetName: dataset.name,
+        source: dataset.source,
+        datasetUrl: dataset.url,
+        validation: dataset.validation,
+        isModified: Boolean(dataset.isModified),
+
+        // Loading state
+        status,
+        isLoading: status === 'loading',
+        error,
+
+        // Actions
+        loadFromUrl,
+        loadFromFile,
+        resetToDefault,
+        upsertPhilosopher,
+        upsertPhilosophers,
+        removePhilosopher
+    }), [
+        dataset, status, error,
+        loadFromUrl, loadFromFile, resetToDefault,
+        upsertPhilosopher, upsertPhilosophers, removePhilosopher
+    ]);
+
+    if (!isInitialized) {
+        return (
+            <div className="app-loading" role="status">
+                <div className="app-loading-spinner" />
+                <p>Loading dataset...</p>
+            </div>
+        );
+    }
+
+    return (
+        <DatasetContext.Provider value={value}>
+            {children}
+        </DatasetContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to use the active dataset
+ */
+// eslint-disable-next-line react-refresh/only-export-components
+export const useDataset = () => {
+    const context = useContext(DatasetContext);
+    if (!context) {
+        throw new Error('useDataset must be used within a DatasetProvider');
+    }
+    return context;
+};
+
+export default DatasetContext;
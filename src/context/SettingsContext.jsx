@@ -0,0 +1,105 @@
+/**
+ * SettingsContext
+ * Display preferences shared by every view, remembered in localStorage:
+ * the era notation years are written in (BC/AD or BCE/CE), the locale
+ * of their digits, and the time scale of the constellation and metro axes
+ */
+
+import React, { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import { ERA_NOTATIONS, DEFAULT_YEAR_FORMAT } from '../utils/yearParser';
+import { TIME_SCALES, DEFAULT_TIME_SCALE } from '../utils/timeScale';
+
+const STORAGE_KEY = 'vqm-display-settings';
+
+const DEFAULT_SETTINGS = {
+    eraNotation: DEFAULT_YEAR_FORMAT.notation,
+    numberLocale: '',
+    timeScale: DEFAULT_TIME_SCALE
+};
+
+const loadSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            eraNotation: ERA_NOTATIONS[stored.eraNotation] ? stored.eraNotation : DEFAULT_SETTINGS.eraNotation,
+            numberLocale: typeof stored.numberLocale === 'string' ? stored.numberLocale : DEFAULT_SETTINGS.numberLocale,
+            timeScale: TIME_SCALES[stored.timeScale] ? stored.timeScale : DEFAULT_SETTINGS.timeScale
+        };
+    } catch {
+        return DEFAULT_SETTINGS;
+    }
+};
+
+const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Could not save display settings:', error);
+    }
+};
+
+// Create context
+const SettingsContext = createContext(null);
+
+/**
+ * SettingsProvider - Holds the display preferences for child components
+ */
+export const SettingsProvider = ({ children }) => {
+    const [settings, setSettings] = useState(loadSettings);
+
+    // Persist outside the state updaters, which must stay pure
+    useEffect(() => {
+        saveSettings(settings);
+    }, [settings]);
+
+    const updateSettings = useCallback((changes) => {
+        setSettings(current => ({ ...current, ...changes }));
+    }, []);
+
+    const setEraNotation = useCallback((eraNotation) => {
+        if (ERA_NOTATIONS[eraNotation]) updateSettings({ eraNotation });
+    }, [updateSettings]);
+
+    // '' follows the browser's locale
+    const setNumberLocale = useCallback((numberLocale) => {
+        updateSettings({ numberLocale: numberLocale || '' });
+    }, [updateSettings]);
+
+    const setTimeScale = useCallback((timeScale) => {
+        if (TIME_SCALES[timeScale]) updateSettings({ timeScale });
+    }, [updateSettings]);
+
+    const value = useMemo(() => ({
+        eraNotation: settings.eraNotation,
+        numberLocale: settings.numberLocale,
+        // Options for the yearParser formatters
+        yearFormat: {
+            notation: settings.eraNotation,
+            locale: settings.numberLocale || undefined
+        },
+        timeScale: settings.timeScale,
+        setEraNotation,
+        setNumberLocale,
+        setTimeScale
+    }), [settings, setEraNotation, setNumberLocale, setTimeScale]);
+
+    return (
+        <SettingsContext.Provider value={value}>
+            {children}
+        </SettingsContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to use the display settings
+ */
+// eslint-disable-next-line react-refresh/only-export-components
+export const useSettings = () => {
+    const context = useContext(SettingsContext);
+    if (!context) {
+        throw new Error('useSettings must be used within a SettingsProvider');
+    }
+    return context;
+};
+
+export default SettingsContext;
@@ -0,0 +1,65 @@
+/**
+ * useAnimatedPositions Hook
+ * Tweens positions ({ id, x, y, ... }) from where they are currently drawn
+ * to a new target layout, e.g. when a recomputed layout comes back
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+/**
+ * Custom hook for animating between layouts
+ * @param {Array} targets - Target positions
+ * @param {number} duration - Animation length in ms
+ * @returns {Array} Positions to draw this frame
+ */
+export const useAnimatedPositions = (targets, duration = 600) => {
+    const [displayed, setDisplayed] = useState(targets);
+    const displayedRef = useRef(targets);
+
+    useEffect(() => {
+        const from = new Map(displayedRef.current.map(pos => [pos.id, pos]));
+        const hasMoved = targets.some(target => {
+            const start = from.get(target.id);
+            return start && (start.x !== target.x || start.y !== target.y);
+        });
+        const prefersReducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+        if (!hasMoved || prefersReducedMotion) {
+            displayedRef.current = targets;
+            setDisplayed(targets);
+            return;
+        }
+
+        const startTime = performance.now();
+        let frame;
+
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / duration);
+            const eased = easeOutCubic(progress);
+            const next = progress === 1 ? targets : targets.map(target => {
+                const start = from.get(target.id);
+                if (!start) return target;
+                return {
+                    ...target,
+                    x: start.x + (target.x - start.x) * eased,
+                    y: start.y + (target.y - start.y) * eased
+                };
+            });
+
+            displayedRef.current = next;
+            setDisplayed(next);
+            if (progress < 1) {
+                frame = requestAnimationFrame(step);
+            }
+        };
+
+        frame = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frame);
+    }, [targets, duration]);
+
+    return displayed;
+};
+
+export default useAnimatedPositions;
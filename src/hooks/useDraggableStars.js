@@ -0,0 +1,160 @@
+/**
+ * useDraggableStars Hook
+ * Lets users drag stars up and down (X stays tied to time) and remembers
+ * the manual positions in localStorage, per dataset
+ *
+ * Overrides are stored as a fraction of the canvas height so they survive
+ * window resizes.
+ */
+
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+
+const STORAGE_PREFIX = 'vqm-star-layout:';
+// Screen pixels a press has to move before it counts as a drag
+const DRAG_THRESHOLD = 4;
+// Keep dragged stars this far from the top/bottom edge
+const EDGE_PADDING = 60;
+
+const loadOverrides = (datasetName) => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_PREFIX + datasetName)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const saveOverrides = (datasetName, overrides) => {
+    try {
+        if (Object.keys(overrides).length === 0) {
+            localStorage.removeItem(STORAGE_PREFIX + datasetName);
+        } else {
+            localStorage.setItem(STORAGE_PREFIX + datasetName, JSON.stringify(overrides));
+        }
+    } catch (error) {
+        console.error('Could not save star layout:', error);
+    }
+};
+
+/**
+ * Custom hook for draggable, persisted star positions
+ * @param {string} datasetName - Active dataset (overrides are stored per dataset)
+ * @param {Object} canvasSize - { width, height }
+ * @returns {Object} Override state and drag handlers
+ */
+export const useDraggableStars = (datasetName, canvasSize) => {
+    const [overrides, setOverrides] = useState(() => loadOverrides(datasetName));
+    const [loadedFor, setLoadedFor] = useState(datasetName);
+    const [draggingId, setDraggingId] = useState(null);
+    const justDragged = useRef(false);
+    const stopDragRef = useRef(null);
+
+    // Switch to the new dataset's overrides
+    if (loadedFor !== datasetName) {
+        setLoadedFor(datasetName);
+        setOverrides(loadOverrides(datasetName));
+    }
+
+    // Persist once a drag has finished (not on every pointer move)
+    useEffect(() => {
+        if (draggingId === null && loadedFor === datasetName) {
+            saveOverrides(datasetName, overrides);
+        }
+    }, [overrides, draggingId, datasetName, loadedFor]);
+
+    // Drop window listeners if unmounted mid-drag
+    useEffect(() => () => stopDragRef.current?.(), []);
+
+    /**
+     * Replace y with the user's position where one exists
+     */
+    const applyOverrides = useCallback((positions) => {
+        if (Object.keys(overrides).length === 0) return positions;
+        return positions.map(pos => (
+            overrides[pos.id] === undefined
+                ? pos
+                : { ...pos, y: overrides[pos.id] * canvasSize.height, isPinned: true }
+        ));
+    }, [overrides, canvasSize.height]);
+
+    /**
+     * Start dragging a star (pointerdown handler)
+     * @param {Object} philosopher - Philosopher being dragged
+     * @param {Object} position - Its current drawn position
+     * @param {PointerEvent} e - The pointerdown event
+     */
+    const startDrag = useCallback((philosopher, position, e) => {
+        if (e.button !== 0) return;
+        const group = e.currentTarget.ownerSVGElement?.querySelector('.transform-group');
+        if (!group) return;
+
+        // Screen → canvas coordinates, accounting for viewBox scaling, zoom and pan
+        const toCanvasY = (clientX, clientY) => {
+            return new DOMPoint(clientX, clientY).matrixTransform(group.getScreenCTM().inverse()).y;
+        };
+        const startClient = { x: e.clientX, y: e.clientY };
+        const startPointerY = toCanvasY(e.clientX, e.clientY);
+        const minY = EDGE_PADDING;
+        const maxY = canvasSize.height - EDGE_PADDING;
+        let moved = false;
+
+        const handleMove = (event) => {
+            const distance = Math.hypot(event.clientX - startClient.x, event.clientY - startClient.y);
+            if (!moved && distance < DRAG_THRESHOLD) return;
+            if (!moved) {
+                moved = true;
+                setDraggingId(philosopher.id);
+            }
+            const y = Math.max(minY, Math.min(maxY, position.y + toCanvasY(event.clientX, event.clientY) - startPointerY));
+            setOverrides(current => ({ ...current, [philosopher.id]: y / canvasSize.height }));
+        };
+
+        const stopDrag = () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+            window.removeEventListener('pointercancel', handleUp);
+            stopDragRef.current = null;
+        };
+
+        const handleUp = () => {
+            stopDrag();
+            if (!moved) return;
+            setDraggingId(null);
+            // Swallow the click that the browser fires after the drag
+            justDragged.current = true;
+            setTimeout(() => {
+                justDragged.current = false;
+            }, 0);
+        };
+
+        stopDragRef.current?.();
+        stopDragRef.current = stopDrag;
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+        window.addEventListener('pointercancel', handleUp);
+    }, [canvasSize.height]);
+
+    /**
+     * True while the click after a drag is being delivered
+     */
+    const isClickAfterDrag = useCallback(() => justDragged.current, []);
+
+    /**
+     * Forget all manual positions
+     */
+    const resetLayout = useCallback(() => {
+        setOverrides({});
+    }, []);
+
+    const hasOverrides = useMemo(() => Object.keys(overrides).length > 0, [overrides]);
+
+    return {
+        applyOverrides,
+        startDrag,
+        draggingId,
+        isClickAfterDrag,
+        resetLayout,
+        hasOverrides
+    };
+};
+
+export default useDraggableStars;
@@ -0,0 +1,31 @@
+/**
+ * useEras Hook
+ * The active dataset's era definitions with lookups bound to them
+ */
+
+import { useMemo } from 'react';
+import { useDataset } from '../context/DatasetContext';
+import { DEFAULT_ERA_COLOR, UNKNOWN_ERA_KEY } from '../utils/eras';
+
+/**
+ * Custom hook for era keys, labels and colors
+ * @returns {Object} { eras, eraDefinitions, findEra, getEraKey, getEraColor }
+ *   where eraDefinitions maps key → { label, color } in chronological order
+ */
+export const useEras = () => {
+    const { eras } = useDataset();
+
+    return useMemo(() => {
+        const byName = new Map(eras.map(era => [era.name, era]));
+
+        return {
+            eras,
+            eraDefinitions: Object.fromEntries(eras.map(era => [era.key, { label: era.label, color: era.color }])),
+            findEra: (eraName) => byName.get(eraName) || null,
+            getEraKey: (eraName) => byName.get(eraName)?.key || UNKNOWN_ERA_KEY,
+            getEraColor: (eraName) => byName.get(eraName)?.color || DEFAULT_ERA_COLOR
+        };
+    }, [eras]);
+};
+
+export default useEras;
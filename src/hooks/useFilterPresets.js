@@ -0,0 +1,72 @@
+/**
+ * useFilterPresets Hook
+ * Named constellation filter presets ("Rationalists vs Empiricists"),
+ * remembered in localStorage
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { normalizeFilterState } from '../utils/filterState';
+
+const STORAGE_KEY = 'vqm-filter-presets';
+
+const loadPresets = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!Array.isArray(stored)) return [];
+        return stored
+            .filter(preset => typeof preset?.name === 'string' && preset.name.trim())
+            .map(preset => ({ name: preset.name, filters: normalizeFilterState(preset.filters) }));
+    } catch {
+        return [];
+    }
+};
+
+const savePresets = (presets) => {
+    try {
+        if (presets.length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+        }
+    } catch (error) {
+        console.error('Could not save filter presets:', error);
+    }
+};
+
+/**
+ * Custom hook for saved filter presets
+ * @returns {Object} { presets, savePreset, deletePreset }
+ */
+export const useFilterPresets = () => {
+    const [presets, setPresets] = useState(loadPresets);
+
+    // Persist outside the state updaters, which must stay pure
+    useEffect(() => {
+        savePresets(presets);
+    }, [presets]);
+
+    // Save under a name, replacing a preset with the same name
+    const savePreset = useCallback((name, filters) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        setPresets(current => {
+            const preset = { name: trimmed, filters: normalizeFilterState(filters) };
+            const index = current.findIndex(p => p.name === trimmed);
+            return index === -1
+                ? [...current, preset]
+                : current.map((p, i) => (i === index ? preset : p));
+        });
+    }, []);
+
+    const deletePreset = useCallback((name) => {
+        setPresets(current => current.filter(p => p.name !== name));
+    }, []);
+
+    return {
+        presets,
+        savePreset,
+        deletePreset
+    };
+};
+
+export default useFilterPresets;
@@ -0,0 +1,106 @@
+/**
+ * useHistoryPlayback Hook
+ * Moves a playhead across the time axis for the constellation's history
+ * playback mode: stars appear once the playhead passes their year
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { DEFAULT_TIME_DOMAIN } from '../utils/timeScale';
+
+// Years per second at 1x
+const YEARS_PER_SECOND = 40;
+
+/**
+ * Playback speed multipliers
+ */
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Custom hook for the history playback playhead
+ * @param {Array} bounds - [startYear, endYear] of the playback
+ * @returns {Object} Playback state and controls
+ */
+export const useHistoryPlayback = (bounds = DEFAULT_TIME_DOMAIN) => {
+    const [startYear, endYear] = bounds;
+    const [isActive, setIsActive] = useState(false);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [playhead, setPlayhead] = useState(startYear);
+    const [speed, setSpeed] = useState(1);
+    // Last playhead set, readable from the animation frame
+    const playheadRef = useRef(startYear);
+
+    const movePlayhead = useCallback((year) => {
+        playheadRef.current = year;
+        setPlayhead(year);
+    }, []);
+
+    // Advance with the frame rate; the playhead is kept in whole years so the
+    // map only re-renders when the year changes
+    useEffect(() => {
+        if (!isPlaying) return;
+        let frame;
+        let last = performance.now();
+        let exact = playheadRef.current;
+
+        const tick = (now) => {
+            // Follow scrubbing while playing
+            if (Math.round(exact) !== playheadRef.current) exact = playheadRef.current;
+            exact = Math.min(endYear, exact + ((now - last) / 1000) * YEARS_PER_SECOND * speed);
+            last = now;
+            movePlayhead(Math.round(exact));
+            frame = requestAnimationFrame(tick);
+        };
+
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying, speed, endYear, movePlayhead]);
+
+    // Stop at the end of history
+    if (isPlaying && playhead >= endYear) {
+        setIsPlaying(false);
+    }
+
+    // Enter playback mode from the beginning
+    const start = useCallback(() => {
+        movePlayhead(startYear);
+        setIsActive(true);
+        setIsPlaying(true);
+    }, [startYear, movePlayhead]);
+
+    // Leave playback mode
+    const stop = useCallback(() => {
+        setIsPlaying(false);
+        setIsActive(false);
+    }, []);
+
+    // Play/pause; playing again at the end starts over
+    const togglePlay = useCallback(() => {
+        if (isPlaying) {
+            setIsPlaying(false);
+            return;
+        }
+        if (playhead >= endYear) movePlayhead(startYear);
+        setIsPlaying(true);
+    }, [isPlaying, playhead, startYear, endYear, movePlayhead]);
+
+    // Scrub to a year
+    const seek = useCallback((year) => {
+        movePlayhead(Math.round(Math.min(endYear, Math.max(startYear, year))));
+    }, [startYear, endYear, movePlayhead]);
+
+    return {
+        isActive,
+        isPlaying,
+        playhead,
+        speed,
+        setSpeed,
+        start,
+        stop,
+        togglePlay,
+        seek,
+        startYear,
+        endYear
+    };
+};
+
+export default useHistoryPlayback;
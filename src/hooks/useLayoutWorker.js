@@ -0,0 +1,165 @@
+/**
+ * useLayoutWorker Hook
+ * Computes constellation and metro layouts in a Web Worker so resizing and
+ * dataset edits never block the main thread
+ *
+ * Results are cached per dataset, canvas size and time scale (eras belong
+ * to the dataset, so they need no key of their own). Until the first result
+ * arrives a cheap placeholder layout is returned; after that the previous
+ * layout stays on screen while the next one is computed.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { computeLayout, computePlaceholderLayout, hydrateLayout } from '../utils/layoutTasks';
+import { DEFAULT_TIME_SCALE } from '../utils/timeScale';
+
+// Wait for resizing to settle before asking for a new layout
+const REQUEST_DELAY = 120;
+// Layouts kept per dataset (across kinds, time scales and canvas sizes)
+const MAX_CACHED_SIZES = 12;
+// Stable default, so the effect below does not re-run on every render
+const NO_ERAS = [];
+
+// philosophers array → Map of "kind:scale:WxH" → layout
+const layoutCache = new WeakMap();
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+const getCached = (philosophers, key) => layoutCache.get(philosophers)?.get(key) || null;
+
+const setCached = (philosophers, key, layout) => {
+    if (!layoutCache.has(philosophers)) {
+        layoutCache.set(philosophers, new Map());
+    }
+    const sizes = layoutCache.get(philosophers);
+    sizes.set(key, layout);
+    if (sizes.size > MAX_CACHED_SIZES) {
+        // Maps iterate in insertion order, so the first key is the oldest
+        sizes.delete(sizes.keys().next().value);
+    }
+};
+
+/**
+ * Shared worker, created on first use
+ * Returns null when workers are unavailable; layouts then run on the main thread.
+ */
+const getWorker = () => {
+    if (worker || workerFailed || typeof Worker === 'undefined') return worker;
+
+    try {
+        worker = new Worker(new URL('../workers/layout.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.error('Layout worker unavailable, computing layouts on the main thread:', error);
+        workerFailed = true;
+        return null;
+    }
+
+    worker.onmessage = ({ data }) => {
+        const request = pendingRequests.get(data.id);
+        if (!request) return;
+        pendingRequests.delete(data.id);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.layout);
+        }
+    };
+
+    worker.onerror = (event) => {
+        console.error('Layout worker failed, computing layouts on the main thread:', event.message);
+        workerFailed = true;
+        worker.terminate();
+        worker = null;
+        pendingRequests.forEach(request => request.fallback());
+        pendingRequests.clear();
+    };
+
+    return worker;
+};
+
+/**
+ * Compute a layout in the worker (or inline if there is none)
+ * @returns {Promise<Array|Object>} Layout with philosopher objects attached
+ */
+const requestLayout = (kind, philosophers, canvasSize, options) => new Promise((resolve, reject) => {
+    const computeInline = () => {
+        try {
+            resolve(computeLayout(kind, philosophers, canvasSize, options));
+        } catch (error) {
+            reject(error);
+        }
+    };
+
+    const activeWorker = getWorker();
+    if (!activeWorker) {
+        computeInline();
+        return;
+    }
+
+    const id = nextRequestId++;
+    pendingRequests.set(id, {
+        resolve: (layout) => resolve(hydrateLayout(kind, layout, philosophers)),
+        reject,
+        fallback: computeInline
+    });
+    activeWorker.postMessage({ id, kind, philosophers, canvasSize, options });
+});
+
+/**
+ * Custom hook for worker-computed layouts
+ * @param {string} kind - One of LAYOUT_KINDS
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Object} canvasSize - { width, height }
+ * @param {Object} options - { timeScale: key of TIME_SCALES for the X axis, eras: era definitions }
+ * @returns {Object} { layout, isPending }
+ */
+export const useLayoutWorker = (kind, philosophers, canvasSize, { timeScale = DEFAULT_TIME_SCALE, eras = NO_ERAS } = {}) => {
+    const key = `${kind}:${timeScale}:${canvasSize.width}x${canvasSize.height}`;
+    const cached = getCached(philosophers, key);
+    const [latest, setLatest] = useState(null);
+    // Whether a layout is on screen, which only picks the request delay, so
+    // a new result does not trigger another request
+    const hasLayoutRef = useRef(false);
+
+    // Only needed before anything has been computed
+    const placeholder = useMemo(() => {
+        if (cached || latest) return null;
+        return computePlaceholderLayout(kind, philosophers, canvasSize, { timeScale, eras });
+    }, [cached, latest, kind, philosophers, canvasSize, timeScale, eras]);
+
+    useEffect(() => {
+        const hit = getCached(philosophers, key);
+        if (hit) {
+            hasLayoutRef.current = true;
+            setLatest(hit);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            requestLayout(kind, philosophers, canvasSize, { timeScale, eras })
+                .then(layout => {
+                    setCached(philosophers, key, layout);
+                    if (cancelled) return;
+                    hasLayoutRef.current = true;
+                    setLatest(layout);
+                })
+                .catch(error => console.error(`Failed to compute ${kind} layout:`, error));
+        }, hasLayoutRef.current ? REQUEST_DELAY : 0);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [kind, philosophers, canvasSize, timeScale, eras, key]);
+
+    return {
+        layout: cached || latest || placeholder,
+        isPending: !cached
+    };
+};
+
+export default useLayoutWorker;
@@ -0,0 +1,22 @@
+/**
+ * useSearchIndex Hook
+ * Builds the shared full-text index once per dataset and returns a search
+ * function over it
+ */
+
+import { useMemo, useCallback } from 'react';
+import { createSearchIndex, searchIndex } from '../utils/searchIndex';
+
+/**
+ * Custom hook for searching philosophers and concepts
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Array} concepts - Array of concept objects
+ * @returns {Function} search(query, { limit, types }) → results (see searchIndex)
+ */
+export const useSearchIndex = (philosophers, concepts) => {
+    const index = useMemo(() => createSearchIndex(philosophers, concepts), [philosophers, concepts]);
+
+    return useCallback((query, options) => searchIndex(index, query, options), [index]);
+};
+
+export default useSearchIndex;
@@ -1,76 +1,83 @@
 /**
  * useTimeFilter Hook
- * Manages era-based filtering and major/minor toggle of philosophers
- * in the constellation map
+ * Manages era, concept and year-range filtering and the major/minor toggle
+ * of philosophers in the constellation map, and sweeps the year range
+ * through history
  */
 
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useEffect } from 'react';
+import { parseYear } from '../utils/yearParser';
+import { getTimeDomain } from '../utils/timeScale';
+import { DEFAULT_FILTER_STATE, normalizeFilterState } from '../utils/filterState';
+import { useEras } from './useEras';
 
-// Era name to key mapping
-const ERA_KEY_MAP = {
-    'Ancient & Classical Thought': 'ancient',
-    'Medieval & Renaissance Philosophy': 'medieval',
-    'The Age of Reason & Enlightenment': 'enlightenment',
-    '19th Century Philosophy': '19th',
-    'Contemporary Thought': 'contemporary'
-};
-
-// Era definitions with display labels and colors
-const ERA_DEFINITIONS = {
-    ancient:       { label: 'Ancient',       color: '#d4a574' },
-    medieval:      { label: 'Medieval',      color: '#4a90d9' },
-    enlightenment: { label: 'Enlightenment', color: '#f5a623' },
-    '19th':        { label: '19th Century',  color: '#e74c3c' },
-    contemporary:  { label: 'Contemporary',  color: '#9b59b6' }
-};
+// Sweep: window used when no range is set, years per step, ms per step
+const SWEEP_WINDOW = 200;
+const SWEEP_STEP = 10;
+const SWEEP_INTERVAL = 100;
 
 /**
- * Get era key from philosopher's era name string
- */
-const getEraKey = (eraName) => ERA_KEY_MAP[eraName] || 'ancient';
-
-/**
- * Custom hook for era-based filtering and major/minor toggle
+ * Custom hook for era, concept and year-range filtering and major/minor toggle
  * @param {Array} philosophers - Array of philosopher objects
- * @returns {Object} Era filter state and methods
+ * @param {Object|null} initialState - Filter state to start from (see utils/filterState)
+ * @returns {Object} Filter state and methods
  */
-export const useTimeFilter = (philosophers) => {
-    const [selectedEras, setSelectedEras] = useState(new Set());
-    const [showMinor, setShowMinor] = useState(true); // true = show all, false = major only
-
-    // Cache philosophers with their era keys
+export const useTimeFilter = (philosophers, initialState = null) => {
+    const { eraDefinitions, getEraKey } = useEras();
+    const initial = normalizeFilterState(initialState || DEFAULT_FILTER_STATE);
+    const [selectedEras, setSelectedEras] = useState(() => new Set(initial.eras));
+    const [showMinor, setShowMinor] = useState(initial.showMinor); // true = show all, false = major only
+    // Philosophers holding any of these concepts pass
+    const [selectedConcepts, setSelectedConcepts] = useState(() => new Set(initial.concepts));
+    // [from, to] in numeric years, or null
+    const [yearRange, setYearRange] = useState(initial.yearRange);
+    // Year range moving forward through history
+    const [isSweeping, setIsSweeping] = useState(false);
+
+    // Years covered by the time axis
+    const timeBounds = useMemo(() => getTimeDomain(philosophers), [philosophers]);
+
+    // Cache philosophers with their era keys and numeric years
     const philosophersWithEras = useMemo(() => {
         return philosophers.map(p => ({
             ...p,
-            eraKey: getEraKey(p.era)
+            eraKey: getEraKey(p.era),
+            numericYear: parseYear(p.year)
         }));
-    }, [philosophers]);
+    }, [philosophers, getEraKey]);
 
     // Calculate visibility and opacity for each philosopher
     const filteredPhilosophers = useMemo(() => {
         const hasEraFilter = selectedEras.size > 0;
+        const hasConceptFilter = selectedConcepts.size > 0;
 
         return philosophersWithEras.map(p => {
             const passesEraFilter = !hasEraFilter || selectedEras.has(p.eraKey);
+            const passesConceptFilter = !hasConceptFilter
+                || (p.concepts || []).some(c => selectedConcepts.has(c));
+            const passesYearFilter = !yearRange
+                || (p.numericYear >= yearRange[0] && p.numericYear <= yearRange[1]);
             const passesTypeFilter = showMinor || p.type !== 'minor';
-            const isVisible = passesEraFilter && passesTypeFilter;
+            const passesDimmingFilters = passesEraFilter && passesConceptFilter && passesYearFilter;
+            const isVisible = passesDimmingFilters && passesTypeFilter;
 
             // If hidden by type filter, fully hide (opacity 0)
-            // If hidden by era filter only, dim (opacity 0.15)
+            // If hidden by era, concept or year filter only, dim (opacity 0.15)
             let opacity = 1;
             if (!passesTypeFilter) {
                 opacity = 0;
-            } else if (!passesEraFilter) {
+            } else if (!passesDimmingFilters) {
                 opacity = 0.15;
             }
 
             return {
                 ...p,
                 isVisible,
+                inYearRange: passesYearFilter,
                 opacity
             };
         });
-    }, [philosophersWithEras, selectedEras, showMinor]);
+    }, [philosophersWithEras, selectedEras, selectedConcepts, yearRange, showMinor]);
 
     // Get visible philosopher count
     const visibleCount = useMemo(() => {
@@ -95,12 +102,80 @@ export const useTimeFilter = (philosophers) => {
         setSelectedEras(new Set());
     }, []);
 
+    // Toggle a concept on/off
+    const toggleConcept = useCallback((concept) => {
+        setSelectedConcepts(prev => {
+            const next = new Set(prev);
+            if (next.has(concept)) {
+                next.delete(concept);
+            } else {
+                next.add(concept);
+            }
+            return next;
+        });
+    }, []);
+
     // Toggle major/minor visibility
     const toggleShowMinor = useCallback(() => {
         setShowMinor(prev => !prev);
     }, []);
 
-    const hasActiveFilter = selectedEras.size > 0 || !showMinor;
+    // Move the range forward one step at a time
+    useEffect(() => {
+        if (!isSweeping) return;
+        const timer = setInterval(() => {
+            setYearRange(prev => {
+                const [start, end] = prev || [timeBounds[0], timeBounds[0] + SWEEP_WINDOW];
+                const shift = Math.max(0, Math.min(SWEEP_STEP, timeBounds[1] - end));
+                return [start + shift, end + shift];
+            });
+        }, SWEEP_INTERVAL);
+        return () => clearInterval(timer);
+    }, [isSweeping, timeBounds]);
+
+    // Stop at the end of history
+    if (isSweeping && yearRange && yearRange[1] >= timeBounds[1]) {
+        setIsSweeping(false);
+    }
+
+    // Play/pause the sweep; starts from the beginning if there's nothing left to sweep
+    const toggleSweep = useCallback(() => {
+        if (isSweeping) {
+            setIsSweeping(false);
+            return;
+        }
+        setYearRange(prev => {
+            const width = prev ? Math.max(prev[1] - prev[0], SWEEP_STEP) : SWEEP_WINDOW;
+            if (prev && prev[1] < timeBounds[1]) return prev;
+            return [timeBounds[0], timeBounds[0] + width];
+        });
+        setIsSweeping(true);
+    }, [isSweeping, timeBounds]);
+
+    // Current filters as one object (for presets and links)
+    const filterState = useMemo(() => normalizeFilterState({
+        eras: [...selectedEras],
+        concepts: [...selectedConcepts],
+        yearRange,
+        showMinor
+    }), [selectedEras, selectedConcepts, yearRange, showMinor]);
+
+    // Replace every filter at once (preset, link, back/forward)
+    const applyFilterState = useCallback((state) => {
+        const next = normalizeFilterState(state || DEFAULT_FILTER_STATE);
+        setSelectedEras(new Set(next.eras));
+        setSelectedConcepts(new Set(next.concepts));
+        setYearRange(next.yearRange);
+        setShowMinor(next.showMinor);
+    }, []);
+
+    // Reset eras, concepts, year range and major/minor
+    const clearFilters = useCallback(() => {
+        setIsSweeping(false);
+        applyFilterState(DEFAULT_FILTER_STATE);
+    }, [applyFilterState]);
+
+    const hasActiveFilter = selectedEras.size > 0 || selectedConcepts.size > 0 || Boolean(yearRange) || !showMinor;
 
     return {
         selectedEras,
@@ -110,9 +185,19 @@ export const useTimeFilter = (philosophers) => {
         visibleCount,
         totalCount: philosophers.length,
         hasActiveFilter,
-        eraDefinitions: ERA_DEFINITIONS,
+        eraDefinitions,
         showMinor,
-        toggleShowMinor
+        toggleShowMinor,
+        selectedConcepts,
+        toggleConcept,
+        yearRange,
+        setYearRange,
+        timeBounds,
+        isSweeping,
+        toggleSweep,
+        filterState,
+        applyFilterState,
+        clearFilters
     };
 };
 
@@ -0,0 +1,22 @@
+/**
+ * useTimeScale Hook
+ * The time scale the user picked, fitted to the active dataset
+ */
+
+import { useMemo } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { useEras } from './useEras';
+import { createTimeScale } from '../utils/timeScale';
+
+/**
+ * Custom hook for the constellation and metro time scale
+ * @param {Array} philosophers - Philosophers laid out on the axis
+ * @returns {TimeScale} Scale from utils/timeScale (its `type` and the eras go to the layouts)
+ */
+export const useTimeScale = (philosophers) => {
+    const { timeScale } = useSettings();
+    const { eras } = useEras();
+    return useMemo(() => createTimeScale(timeScale, philosophers, { eras }), [timeScale, philosophers, eras]);
+};
+
+export default useTimeScale;
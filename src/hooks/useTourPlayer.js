@@ -0,0 +1,61 @@
+/**
+ * useTourPlayer Hook
+ * Steps through a guided tour and runs each step as it becomes current
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Custom hook for playing a guided tour
+ * @param {Function} onStep - Called with (step, index) whenever a step becomes current
+ * @returns {Object} Tour state and controls
+ */
+export const useTourPlayer = (onStep) => {
+    const [tour, setTour] = useState(null);
+    const [stepIndex, setStepIndex] = useState(0);
+
+    // Latest step handler, so running a step doesn't depend on its identity
+    const onStepRef = useRef(onStep);
+    useEffect(() => {
+        onStepRef.current = onStep;
+    }, [onStep]);
+
+    useEffect(() => {
+        if (tour) onStepRef.current?.(tour.steps[stepIndex], stepIndex);
+    }, [tour, stepIndex]);
+
+    const stepCount = tour ? tour.steps.length : 0;
+
+    // Start a resolved tour from its first step
+    const start = useCallback((nextTour) => {
+        setTour(nextTour);
+        setStepIndex(0);
+    }, []);
+
+    const stop = useCallback(() => {
+        setTour(null);
+        setStepIndex(0);
+    }, []);
+
+    const goTo = useCallback((index) => {
+        setStepIndex(Math.min(Math.max(index, 0), Math.max(stepCount - 1, 0)));
+    }, [stepCount]);
+
+    const next = useCallback(() => goTo(stepIndex + 1), [goTo, stepIndex]);
+    const back = useCallback(() => goTo(stepIndex - 1), [goTo, stepIndex]);
+
+    return {
+        tour,
+        isActive: Boolean(tour),
+        step: tour ? tour.steps[stepIndex] : null,
+        stepIndex,
+        stepCount,
+        start,
+        stop,
+        next,
+        back,
+        goTo
+    };
+};
+
+export default useTourPlayer;
@@ -0,0 +1,25 @@
+/**
+ * useYearFormat Hook
+ * Year formatters bound to the user's era notation and locale
+ */
+
+import { useMemo } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { formatYear, formatHistoricalDate, formatYearText } from '../utils/yearParser';
+
+/**
+ * Custom hook for formatting years the way the user chose
+ * @returns {Object} { yearFormat, formatYear, formatHistoricalDate, formatYearText }
+ */
+export const useYearFormat = () => {
+    const { yearFormat } = useSettings();
+
+    return useMemo(() => ({
+        yearFormat,
+        formatYear: (year) => formatYear(year, yearFormat),
+        formatHistoricalDate: (date) => formatHistoricalDate(date, yearFormat),
+        formatYearText: (text) => formatYearText(text, yearFormat)
+    }), [yearFormat]);
+};
+
+export default useYearFormat;
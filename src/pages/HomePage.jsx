@@ -1,79 +1,21 @@
 import React, { useState, useEffect, useRef, useLayoutEffect, useMemo, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import '../css/HomePage.css';
-import timelineEvents from './timelineEvents.json';
-import philosophyConcepts from './philosophyConcepts.json';
-
-// Data validation
-const validateTimelineEvents = (events) => {
-    if (!Array.isArray(events)) {
-        console.error('Timeline events must be an array');
-        return [];
-    }
-    return events.filter(event => {
-        const isValid = event.id && event.title && event.year && event.summary && Array.isArray(event.concepts);
-        if (!isValid) {
-            console.warn('Invalid timeline event:', event);
-        }
-        return isValid;
-    });
-};
-
-const validatePhilosophyConcepts = (concepts) => {
-    if (!Array.isArray(concepts)) {
-        console.error('Philosophy concepts must be an array');
-        return [];
-    }
-    return concepts.filter(concept => {
-        const isValid = concept.concept && concept.category && concept.simple && concept.detailed;
-        if (!isValid) {
-            console.warn('Invalid philosophy concept:', concept);
-        }
-        return isValid;
-    });
-};
-
-// Safely validate data with error handling
-let validatedTimelineEvents = [];
-let validatedPhilosophyConcepts = [];
-let conceptsMap = new Map();
-
-try {
-    validatedTimelineEvents = validateTimelineEvents(timelineEvents);
-    validatedPhilosophyConcepts = validatePhilosophyConcepts(philosophyConcepts);
-    conceptsMap = new Map(validatedPhilosophyConcepts.map(c => [c.concept, c]));
-} catch (error) {
-    console.error('Failed to load timeline data:', error);
-}
-
-// Calculate concept frequency across all events
-const conceptFrequency = validatedTimelineEvents.reduce((acc, event) => {
-    event.concepts.forEach(concept => {
-        acc[concept] = (acc[concept] || 0) + 1;
-    });
-    return acc;
-}, {});
-
-const maxFrequency = Math.max(...Object.values(conceptFrequency), 1);
-
-// Get events that contain a specific concept
-const getEventsWithConcept = (concept) => {
-    return validatedTimelineEvents.filter(event => event.concepts.includes(concept));
-};
-
-// Era mapping for styling
-const eraMapping = {
-    'Ancient & Classical Thought': 'ancient',
-    'Medieval & Renaissance Philosophy': 'medieval',
-    'The Age of Reason & Enlightenment': 'enlightenment',
-    '19th Century Philosophy': '19th',
-    'Contemporary Thought': 'contemporary'
-};
-
-// Get era key for CSS class
-const getEraKey = (eraName) => eraMapping[eraName] || 'default';
-
-function HomePage() {
+import { useDataset } from '../context/DatasetContext';
+import { useSearchIndex } from '../hooks/useSearchIndex';
+import { useYearFormat } from '../hooks/useYearFormat';
+import { useEras } from '../hooks/useEras';
+import { hexToRgb, isLightColor } from '../utils/eras';
+import HighlightedText from '../components/shared/HighlightedText';
+
+// CSS variables the era-colored elements are styled with (see HomePage.css)
+const getEraStyle = (color) => ({
+    '--era-primary': color,
+    '--era-rgb': hexToRgb(color),
+    '--era-contrast': isLightColor(color) ? 'var(--background-color)' : 'white'
+});
+
+function HomePage({ selectedPhilosopher = null, onPhilosopherSelect, selectedConcept = null, onConceptSelect }) {
     const [eventModal, setEventModal] = useState(null);
     const [conceptPanel, setConceptPanel] = useState(null);
     const [focusedIndex, setFocusedIndex] = useState(null);
@@ -97,8 +39,41 @@ function HomePage() {
     const [hoveredCard, setHoveredCard] = useState(null);
     const [viewMode, setViewMode] = useState('flow'); // 'flow' or 'compact'
 
+    // Active dataset (already validated by the dataset loader)
+    const {
+        philosophers: validatedTimelineEvents,
+        concepts: validatedPhilosophyConcepts
+    } = useDataset();
+    const { formatYearText } = useYearFormat();
+    const { eras, findEra, getEraKey, getEraColor } = useEras();
+
+    const conceptsMap = useMemo(() => {
+        return new Map(validatedPhilosophyConcepts.map(c => [c.concept, c]));
+    }, [validatedPhilosophyConcepts]);
+
+    // Calculate concept frequency across all events
+    const conceptFrequency = useMemo(() => {
+        return validatedTimelineEvents.reduce((acc, event) => {
+            event.concepts.forEach(concept => {
+                acc[concept] = (acc[concept] || 0) + 1;
+            });
+            return acc;
+        }, {});
+    }, [validatedTimelineEvents]);
+
+    const maxFrequency = Math.max(...Object.values(conceptFrequency), 1);
+
+    // Get events that contain a specific concept
+    const getEventsWithConcept = useCallback((concept) => {
+        return validatedTimelineEvents.filter(event => event.concepts.includes(concept));
+    }, [validatedTimelineEvents]);
+
     const timelineRef = useRef(null);
-    const itemRefs = useRef(validatedTimelineEvents.map(() => React.createRef()));
+    // One ref per event, rebuilt when the dataset changes
+    const itemRefs = useMemo(
+        () => ({ current: validatedTimelineEvents.map(() => React.createRef()) }),
+        [validatedTimelineEvents]
+    );
     const eraRefs = useRef({});
     const ctaRef = useRef(null);
     const searchInputRef = useRef(null);
@@ -122,7 +97,7 @@ function HomePage() {
             acc[era].push(event);
             return acc;
         }, {});
-    }, []);
+    }, [validatedTimelineEvents]);
 
     // Constellation dots for parallax background
     const constellationDots = useMemo(() => {
@@ -139,35 +114,12 @@ function HomePage() {
     }, []);
 
     // Search functionality
+    const search = useSearchIndex(validatedTimelineEvents, validatedPhilosophyConcepts);
+
     const handleSearch = useCallback((query) => {
         setSearchQuery(query);
-        if (!query.trim()) {
-            setSearchResults([]);
-            return;
-        }
-
-        const lowerQuery = query.toLowerCase();
-        const results = [];
-
-        // Search events
-        validatedTimelineEvents.forEach(event => {
-            if (event.title.toLowerCase().includes(lowerQuery) ||
-                event.summary.toLowerCase().includes(lowerQuery) ||
-                event.description.toLowerCase().includes(lowerQuery)) {
-                results.push({ type: 'event', data: event });
-            }
-        });
-
-        // Search concepts
-        validatedPhilosophyConcepts.forEach(concept => {
-            if (concept.concept.toLowerCase().includes(lowerQuery) ||
-                concept.simple.toLowerCase().includes(lowerQuery)) {
-                results.push({ type: 'concept', data: concept });
-            }
-        });
-
-        setSearchResults(results.slice(0, 8));
-    }, []);
+        setSearchResults(search(query, { limit: 8 }));
+    }, [search]);
 
     // Navigate to event from search
     const navigateToEvent = useCallback((event) => {
@@ -181,19 +133,7 @@ function HomePage() {
             setSearchResults([]);
             setShowSearch(false);
         }
-    }, []);
-
-    // Highlight text in search results
-    const highlightText = (text, query) => {
-        if (!query.trim()) return text;
-        const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const parts = text.split(new RegExp(`(${escaped})`, 'gi'));
-        return parts.map((part, i) =>
-            part.toLowerCase() === query.toLowerCase()
-                ? <span key={i} className="search-highlight">{part}</span>
-                : part
-        );
-    };
+    }, [validatedTimelineEvents, itemRefs]);
 
     // Function to draw the SVG path connecting timeline items - River of Ideas style
     const drawVortexPath = useCallback(() => {
@@ -230,7 +170,7 @@ function HomePage() {
         });
 
         setVortexPath(pathData);
-    }, []);
+    }, [itemRefs]);
 
     // Create particle trail effect
     const createParticle = useCallback((x, y, size = 'medium') => {
@@ -280,7 +220,7 @@ function HomePage() {
         }
 
         setConnectionLines(lines);
-    }, []);
+    }, [validatedTimelineEvents, itemRefs, getEventsWithConcept]);
 
     // Set loading to false after component mounts
     useEffect(() => {
@@ -385,7 +325,7 @@ function HomePage() {
             window.removeEventListener('scroll', handleScroll);
             if (animationFrameId) cancelAnimationFrame(animationFrameId);
         };
-    }, [createParticle]);
+    }, [createParticle, validatedTimelineEvents.length, itemRefs]);
 
     // Clean up old particles
     useEffect(() => {
@@ -396,15 +336,33 @@ function HomePage() {
         return () => clearInterval(interval);
     }, []);
 
+    const openEventModal = useCallback((data) => {
+        setEventModal(data);
+        onPhilosopherSelect?.(data, { keepConcept: true });
+    }, [onPhilosopherSelect]);
+
+    const closeEventModal = useCallback(() => {
+        setEventModal(null);
+        onPhilosopherSelect?.(null, { keepConcept: true });
+    }, [onPhilosopherSelect]);
+
+    // Filter locally and share the concept selection with the other views
+    const applyConceptFilter = useCallback((concept) => {
+        setFilterConcept(concept);
+        onConceptSelect?.(concept);
+    }, [onConceptSelect]);
+
     // Effect to handle keyboard shortcuts
     useEffect(() => {
         const handleKeyDown = (e) => {
             if (e.key === 'Escape') {
                 closeEventModal();
                 setConceptPanel(null);
-                setFilterConcept(null);
+                applyConceptFilter(null);
                 setShowSearch(false);
             }
+            // Leave typed characters to focused fields (e.g. the dataset URL)
+            if (e.target.closest?.('input, textarea, select')) return;
             if (e.key === '/' && !showSearch && !eventModal && !conceptPanel) {
                 e.preventDefault();
                 setShowSearch(true);
@@ -413,7 +371,22 @@ function HomePage() {
         };
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [showSearch, eventModal, conceptPanel]);
+    }, [showSearch, eventModal, conceptPanel, closeEventModal, applyConceptFilter]);
+
+    // Sync selected philosopher from prop (deep links, back/forward)
+    useEffect(() => {
+        if (isLoading) return;
+        setEventModal(selectedPhilosopher);
+        if (selectedPhilosopher) {
+            const index = validatedTimelineEvents.findIndex(e => e.id === selectedPhilosopher.id);
+            itemRefs.current[index]?.current?.scrollIntoView({ block: 'center' });
+        }
+    }, [isLoading, selectedPhilosopher, validatedTimelineEvents, itemRefs]);
+
+    // Sync concept filter from prop
+    useEffect(() => {
+        setFilterConcept(selectedConcept);
+    }, [selectedConcept]);
 
     const navigateToNextEvent = useCallback(() => {
         const current = focusedIndexRef.current;
@@ -426,7 +399,7 @@ function HomePage() {
                 block: 'center'
             });
         }
-    }, []);
+    }, [validatedTimelineEvents.length, itemRefs]);
 
     const navigateToPrevEvent = useCallback(() => {
         const current = focusedIndexRef.current;
@@ -441,7 +414,7 @@ function HomePage() {
                 block: 'center'
             });
         }
-    }, []);
+    }, [validatedTimelineEvents.length, itemRefs]);
 
     // Touch/swipe handlers for mobile
     useEffect(() => {
@@ -499,12 +472,6 @@ function HomePage() {
         }
     };
 
-    const openEventModal = (data) => {
-        setEventModal(data);
-    };
-    const closeEventModal = () => {
-        setEventModal(null);
-    };
 
     const openConceptPanel = (data) => {
         setConceptPanel(data);
@@ -518,9 +485,9 @@ function HomePage() {
 
     const toggleConceptFilter = (concept) => {
         if (filterConcept === concept) {
-            setFilterConcept(null);
+            applyConceptFilter(null);
         } else {
-            setFilterConcept(concept);
+            applyConceptFilter(concept);
         }
     };
 
@@ -651,7 +618,10 @@ function HomePage() {
             <div className="reading-progress-container">
                 <div
                     className="reading-progress-bar"
-                    style={{ width: `${scrollProgress}%` }}
+                    style={{
+                        width: `${scrollProgress}%`,
+                        background: `linear-gradient(90deg, ${eras.map(era => era.color).join(', ')})`
+                    }}
                 />
                 <div className="reading-progress-text">
                     {focusedIndex !== null ? `${focusedIndex + 1} / ${validatedTimelineEvents.length}` : ''}
@@ -699,7 +669,6 @@ function HomePage() {
             <nav className={`era-selector ${showEraSelector ? 'visible' : ''}`}>
                 <div className="era-selector-inner">
                     {Object.keys(eventsByEra).map((era, index) => {
-                        const eraKey = getEraKey(era);
                         const eraEvents = eventsByEra[era];
                         const firstEventIndex = validatedTimelineEvents.findIndex(e => e.era === era);
                         const lastEventIndex = firstEventIndex + eraEvents.length - 1;
@@ -709,12 +678,14 @@ function HomePage() {
                         return (
                             <button
                                 key={era}
-                                className={`era-pill era-pill--${eraKey} ${isCurrentEra ? 'active' : ''} ${isPastEra ? 'completed' : ''}`}
+                                className={`era-pill ${isCurrentEra ? 'active' : ''} ${isPastEra ? 'completed' : ''}`}
+                                data-era={getEraKey(era)}
+                                style={getEraStyle(getEraColor(era))}
                                 onClick={() => navigateToEra(era)}
                                 title={era}
                             >
                                 <span className="era-pill-icon">{index + 1}</span>
-                                <span className="era-pill-label">{era.split(' ')[0]}</span>
+                                <span className="era-pill-label">{findEra(era)?.label || era.split(' ')[0]}</span>
                                 {isPastEra && (
                                     <svg className="era-check" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
@@ -767,10 +738,10 @@ function HomePage() {
                     <div className={`search-results ${searchResults.length > 0 && showSearch ? 'active' : ''}`}>
                         {searchResults.map((result) => (
                             <div
-                                key={`${result.type}-${result.data.id || result.data.concept}`}
+                                key={`${result.type}-${result.id}`}
                                 className={`search-result-item ${filterConcept === result.data.concept ? 'highlighted' : ''}`}
                                 onClick={() => {
-                                    if (result.type === 'event') {
+                                    if (result.type === 'philosopher') {
                                         navigateToEvent(result.data);
                                     } else {
                                         openConceptPanel(result.data);
@@ -780,11 +751,16 @@ function HomePage() {
                                 }}
                             >
                                 <div className="search-result-title">
-                                    {highlightText(result.data.title || result.data.concept, searchQuery)}
+                                    <HighlightedText text={result.title} ranges={result.titleRanges} />
                                 </div>
                                 <div className="search-result-type">
-                                    {result.type === 'event' ? result.data.year : result.data.category}
+                                    {result.type === 'philosopher' ? formatYearText(result.data.year) : result.data.category}
                                 </div>
+                                {result.snippet && (
+                                    <div className="search-result-snippet">
+                                        <HighlightedText text={result.snippet.text} ranges={result.snippet.ranges} />
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
@@ -794,7 +770,7 @@ function HomePage() {
             {/* Filter Indicator */}
             <div className={`filter-indicator ${filterConcept ? 'visible' : ''}`}>
                 <span className="filter-indicator-text">Filtering: #{filterConcept}</span>
-                <button className="filter-clear-btn" onClick={() => setFilterConcept(null)}>
+                <button className="filter-clear-btn" onClick={() => applyConceptFilter(null)}>
                     <svg fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
                     </svg>
@@ -827,11 +803,14 @@ function HomePage() {
                 <svg className="timeline-vortex" aria-hidden="true">
                     <defs>
                         <linearGradient id="flowGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                            <stop offset="0%" stopColor="var(--era-ancient-primary)" stopOpacity="0.6" />
-                            <stop offset="25%" stopColor="var(--era-medieval-primary)" stopOpacity="0.6" />
-                            <stop offset="50%" stopColor="var(--era-enlightenment-primary)" stopOpacity="0.6" />
-                            <stop offset="75%" stopColor="var(--era-19th-primary)" stopOpacity="0.6" />
-                            <stop offset="100%" stopColor="var(--era-contemporary-primary)" stopOpacity="0.6" />
+                            {eras.map((era, index) => (
+                                <stop
+                                    key={era.key}
+                                    offset={`${eras.length > 1 ? (index / (eras.length - 1)) * 100 : 0}%`}
+                                    stopColor={era.color}
+                                    stopOpacity="0.6"
+                                />
+                            ))}
                         </linearGradient>
                         <filter id="flowGlow" x="-50%" y="-50%" width="200%" height="200%">
                             <feGaussianBlur stdDeviation="4" result="blur" />
@@ -889,6 +868,7 @@ function HomePage() {
                             <h2
                                 className="era-title"
                                 data-era={getEraKey(era)}
+                                style={getEraStyle(getEraColor(era))}
                                 ref={el => eraRefs.current[era] = el}
                             >
                                 {era}
@@ -904,6 +884,7 @@ function HomePage() {
                                         key={event.id}
                                         className={`timeline-item-wrapper ${isFocused ? 'focused' : ''} ${isFiltered ? 'filtered-out' : ''} ${isHovered ? 'hovered' : ''}`}
                                         data-era={getEraKey(event.era)}
+                                        style={getEraStyle(getEraColor(event.era))}
                                         data-index={currentIndex}
                                         ref={itemRefs.current[currentIndex]}
                                         onClick={() => isFocused && openEventModal(event)}
@@ -922,7 +903,7 @@ function HomePage() {
                                         {/* Year column with flow node */}
                                         <div className="timeline-year-column">
                                             <div className="year-display">
-                                                <span className="year-text">{event.year}</span>
+                                                <span className="year-text">{formatYearText(event.year)}</span>
                                             </div>
                                             <div className={`flow-node ${isFocused ? 'active' : ''}`}>
                                                 <div className="flow-node-inner" />
@@ -972,7 +953,7 @@ function HomePage() {
                 <div className="modal-overlay" onClick={closeEventModal}>
                     <div className="modal-content" onClick={(e) => e.stopPropagation()}>
                         <h2 className="modal-title">{eventModal.title || 'No Title'}</h2>
-                        <p className="modal-year">{eventModal.fullYear || eventModal.year || 'No Year'}</p>
+                        <p className="modal-year">{formatYearText(eventModal.fullYear || eventModal.year) || 'No Year'}</p>
                         <p className="modal-description">{eventModal.description || 'No Description'}</p>
                         <div className="concepts-container">
                             {eventModal.concepts && eventModal.concepts.map(c => <ConceptTag key={c} concept={c} inModal={true} />)}
@@ -1048,7 +1029,7 @@ function HomePage() {
                                             }}
                                         >
                                             <div className="concept-related-event-title">{event.title}</div>
-                                            <div className="concept-related-event-year">{event.year}</div>
+                                            <div className="concept-related-event-year">{formatYearText(event.year)}</div>
                                         </div>
                                     ))}
                                 </div>
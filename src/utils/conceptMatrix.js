@@ -0,0 +1,117 @@
+/**
+ * Concept Matrix Utility
+ * Concept × concept co-occurrence: how often two concepts are held by the
+ * same philosopher
+ */
+
+import { buildConceptMap } from './constellationLayout.js';
+import { CATEGORY_COLORS } from './connectionBuilder.js';
+
+/**
+ * Ways to order the matrix rows/columns
+ */
+export const MATRIX_ORDERS = {
+    category: 'Category',
+    frequency: 'Frequency',
+    alphabetical: 'A–Z'
+};
+
+/**
+ * Build the co-occurrence matrix
+ * Only concepts held by at least one philosopher are included; concepts
+ * without a definition fall into the 'Other' category.
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Array} concepts - Array of concept objects ({ concept, category })
+ * @returns {Object} { concepts: [{ name, category, count }], counts: number[][], holders: Map concept → Set of ids }
+ */
+export const buildCoOccurrenceMatrix = (philosophers, concepts) => {
+    const conceptMap = buildConceptMap(philosophers);
+    const categories = new Map(concepts.map(c => [c.concept, c.category]));
+
+    const rows = [...conceptMap.keys()].map(name => ({
+        name,
+        category: categories.get(name) || 'Other',
+        count: new Set(conceptMap.get(name)).size
+    }));
+    const index = new Map(rows.map((row, i) => [row.name, i]));
+    const counts = rows.map(() => new Array(rows.length).fill(0));
+
+    philosophers.forEach(philosopher => {
+        const held = [...new Set(philosopher.concepts || [])].map(name => index.get(name));
+        held.forEach(a => {
+            held.forEach(b => {
+                counts[a][b]++;
+            });
+        });
+    });
+
+    const holders = new Map([...conceptMap].map(([name, ids]) => [name, new Set(ids)]));
+
+    return { concepts: rows, counts, holders };
+};
+
+/**
+ * Jaccard similarity of two concepts: shared holders / holders of either
+ * @param {Object} matrix - buildCoOccurrenceMatrix result
+ * @param {number} a - Row index
+ * @param {number} b - Column index
+ * @returns {number} 0-1
+ */
+export const normalizedCoOccurrence = (matrix, a, b) => {
+    const shared = matrix.counts[a][b];
+    const either = matrix.concepts[a].count + matrix.concepts[b].count - shared;
+    return either > 0 ? shared / either : 0;
+};
+
+// Known categories in CATEGORY_COLORS order, then unknown ones, 'Other' last
+const categoryRank = (category) => {
+    const known = Object.keys(CATEGORY_COLORS).filter(name => name !== 'Other');
+    const position = known.indexOf(category);
+    if (position >= 0) return position;
+    return category === 'Other' ? known.length + 1 : known.length;
+};
+
+/**
+ * Order matrix rows
+ * @param {Array} concepts - matrix.concepts
+ * @param {string} order - Key of MATRIX_ORDERS
+ * @returns {Array} Row indices in display order
+ */
+export const sortMatrixConcepts = (concepts, order = 'category') => {
+    const indices = concepts.map((_, i) => i);
+    const byName = (a, b) => concepts[a].name.localeCompare(concepts[b].name);
+
+    if (order === 'alphabetical') return indices.sort(byName);
+    if (order === 'frequency') {
+        return indices.sort((a, b) => concepts[b].count - concepts[a].count || byName(a, b));
+    }
+    return indices.sort((a, b) => {
+        const ca = concepts[a].category;
+        const cb = concepts[b].category;
+        return categoryRank(ca) - categoryRank(cb)
+            || ca.localeCompare(cb)
+            || concepts[b].count - concepts[a].count
+            || byName(a, b);
+    });
+};
+
+/**
+ * Philosophers who hold both concepts
+ * @param {Object} matrix - buildCoOccurrenceMatrix result
+ * @param {string} a - First concept
+ * @param {string} b - Second concept
+ * @returns {Array} Philosopher ids
+ */
+export const getCoHolders = (matrix, a, b) => {
+    const first = matrix.holders.get(a) || new Set();
+    const second = matrix.holders.get(b) || new Set();
+    return [...first].filter(id => second.has(id));
+};
+
+export default {
+    MATRIX_ORDERS,
+    buildCoOccurrenceMatrix,
+    normalizedCoOccurrence,
+    sortMatrixConcepts,
+    getCoHolders
+};
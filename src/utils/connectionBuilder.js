@@ -109,6 +109,27 @@ export const getConnectionStrength = (connections, id1, id2) => {
     ).length;
 };
 
+/**
+ * Connection strength for every connected pair in one pass
+ * Same count as getConnectionStrength, without rescanning all connections per pair
+ * @param {Array} connections - All connections
+ * @returns {Array} Array of { from, to, strength } (one entry per pair)
+ */
+export const buildConnectionStrengths = (connections) => {
+    const pairs = new Map();
+
+    connections.forEach(c => {
+        const [from, to] = c.from < c.to ? [c.from, c.to] : [c.to, c.from];
+        const key = `${from}-${to}`;
+        if (!pairs.has(key)) {
+            pairs.set(key, { from, to, strength: 0 });
+        }
+        pairs.get(key).strength++;
+    });
+
+    return [...pairs.values()];
+};
+
 /**
  * Group connections by category
  * @param {Array} connections - All connections
@@ -182,6 +203,7 @@ export default {
     getConnectionsByPhilosopher,
     getConceptsFromConnections,
     getConnectionStrength,
+    buildConnectionStrengths,
     groupConnectionsByCategory,
     getConnectionColor,
     CATEGORY_COLORS
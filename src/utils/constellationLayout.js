@@ -3,43 +3,52 @@
  * Computes star positions for the constellation map view
  *
  * X-axis: Based on historical time (earlier left, later right)
- * Y-axis: Based on conceptual clustering (shared concepts pull stars closer)
+ * Y-axis: Based on conceptual clustering (shared concepts pull stars closer),
+ *         settled by the force simulation in forceLayout.js
  */
 
-import { parseYear, normalizeYear } from './yearParser.js';
+import { parseHistoricalDate } from './yearParser.js';
+import { createTimeScale, DEFAULT_TIME_SCALE } from './timeScale.js';
+import { getEraKey } from './eras.js';
+import { buildConstellations, buildConnectionStrengths } from './connectionBuilder.js';
+import { runForceSimulation } from './forceLayout.js';
 
 /**
- * Era mapping for color/styling
+ * Space left of the earliest and right of the latest year on the canvas
  */
-const ERA_MAPPING = {
-    'Ancient & Classical Thought': 'ancient',
-    'Medieval & Renaissance Philosophy': 'medieval',
-    'The Age of Reason & Enlightenment': 'enlightenment',
-    '19th Century Philosophy': '19th',
-    'Contemporary Thought': 'contemporary'
-};
+export const CANVAS_PADDING = 100;
 
 /**
- * Get era key from era name
+ * X coordinate of a year on the constellation canvas
+ * @param {TimeScale} scale - Scale from utils/timeScale
+ * @param {number} year - Year (negative for BC)
+ * @param {number} width - Canvas width
+ * @returns {number}
  */
-export const getEraKey = (eraName) => ERA_MAPPING[eraName] || 'ancient';
+export const yearToX = (scale, year, width) => {
+    return CANVAS_PADDING + scale.toPosition(year) * (width - CANVAS_PADDING * 2);
+};
 
 /**
  * Compute initial star positions based on time
  * @param {Array} philosophers - Array of philosopher objects from timelineEvents
  * @param {Object} canvasSize - { width, height }
- * @returns {Array} Array of position objects { id, x, y, philosopher, era, type }
+ * @param {Object} options - { timeScale: key of TIME_SCALES used for the X axis, eras: era definitions }
+ * @returns {Array} Array of position objects { id, x, y, philosopher, era, type, year, uncertainty }
  */
-export const computeInitialPositions = (philosophers, canvasSize) => {
+export const computeInitialPositions = (philosophers, canvasSize, { timeScale = DEFAULT_TIME_SCALE, eras = [] } = {}) => {
     const { width, height } = canvasSize;
-    const padding = 100; // Edge padding
+    const scale = createTimeScale(timeScale, philosophers, { eras });
+
+    // Without a readable year a philosopher has no place on the time axis
+    const dated = philosophers.filter(philosopher => parseHistoricalDate(philosopher.year));
 
-    return philosophers.map((philosopher) => {
-        const year = parseYear(philosopher.year);
-        const normalizedX = normalizeYear(year);
+    return dated.map((philosopher) => {
+        const date = parseHistoricalDate(philosopher.year);
+        const year = date.year;
 
         // X position based on time
-        const x = padding + normalizedX * (width - padding * 2);
+        const x = yearToX(scale, year, width);
 
         // Initial Y position: staggered to avoid overlap, with some randomness
         // Use a seeded "random" based on id for consistency
@@ -52,9 +61,11 @@ export const computeInitialPositions = (philosophers, canvasSize) => {
             x,
             y: baseY,
             philosopher,
-            era: getEraKey(philosopher.era),
+            era: getEraKey(eras, philosopher.era),
             type: philosopher.type || 'major',
             year,
+            // How far either side of x the date could lie (drawn as the star's halo)
+            uncertainty: (yearToX(scale, date.latest, width) - yearToX(scale, date.earliest, width)) / 2,
             concepts: philosopher.concepts || []
         };
     });
@@ -81,131 +92,51 @@ export const buildConceptMap = (philosophers) => {
 };
 
 /**
- * Apply concept gravity - pull philosophers with shared concepts closer on Y-axis
- * @param {Array} positions - Current positions array
- * @param {Map} conceptMap - Map of concept -> philosopherIds
- * @param {number} strength - Gravity strength (0-1)
- * @returns {Array} Updated positions
+ * Collision radius per star type: the glow radius drawn by StarNode plus some breathing room
  */
-const applyConceptGravity = (positions, conceptMap, strength = 0.1) => {
-    const positionMap = new Map(positions.map(p => [p.id, p]));
-
-    return positions.map(pos => {
-        // Find all philosophers that share concepts with this one
-        const sharedWith = new Set();
-        pos.concepts.forEach(concept => {
-            const others = conceptMap.get(concept) || [];
-            others.forEach(id => {
-                if (id !== pos.id) sharedWith.add(id);
-            });
-        });
-
-        if (sharedWith.size === 0) return pos;
-
-        // Calculate average Y of connected philosophers
-        let sumY = 0;
-        let count = 0;
-        sharedWith.forEach(id => {
-            const other = positionMap.get(id);
-            if (other) {
-                sumY += other.y;
-                count++;
-            }
-        });
-
-        if (count === 0) return pos;
-
-        const avgY = sumY / count;
-        // Pull toward average Y
-        const newY = pos.y + (avgY - pos.y) * strength;
-
-        return { ...pos, y: newY };
-    });
+const COLLISION_RADIUS = {
+    major: 8 * 2.5 + 6,
+    minor: 5 * 1.8 + 6
 };
 
 /**
- * Apply repulsion between nearby stars to prevent overlap
- * @param {Array} positions - Current positions array
- * @param {number} minDistance - Minimum distance between stars
- * @param {number} strength - Repulsion strength
- * @returns {Array} Updated positions
- */
-const applyRepulsion = (positions, minDistance = 60, strength = 0.5) => {
-    return positions.map((pos, i) => {
-        let dx = 0;
-        let dy = 0;
-
-        positions.forEach((other, j) => {
-            if (i === j) return;
-
-            const distX = pos.x - other.x;
-            const distY = pos.y - other.y;
-            const distance = Math.sqrt(distX * distX + distY * distY);
-
-            if (distance < minDistance && distance > 0) {
-                // Push away
-                const force = (minDistance - distance) / minDistance * strength;
-                dx += (distX / distance) * force * minDistance;
-                dy += (distY / distance) * force * minDistance;
-            }
-        });
-
-        return {
-            ...pos,
-            x: pos.x + dx * 0.1,
-            y: pos.y + dy
-        };
-    });
-};
-
-/**
- * Apply boundary constraints to keep stars within canvas
- * @param {Array} positions - Current positions array
- * @param {Object} canvasSize - { width, height }
- * @param {number} padding - Edge padding
- * @returns {Array} Updated positions with boundary constraints
- */
-const applyBoundaryConstraints = (positions, canvasSize, padding = 60) => {
-    const { width, height } = canvasSize;
-
-    return positions.map(pos => ({
-        ...pos,
-        x: Math.max(padding, Math.min(width - padding, pos.x)),
-        y: Math.max(padding, Math.min(height - padding, pos.y))
-    }));
-};
-
-/**
- * Main function: Compute final star positions with clustering
+ * Main function: Compute final star positions with a force simulation
+ * Time stays pinned on X; repulsion, concept links (weighted by connection
+ * strength) and collisions settle the Y positions. See forceLayout.js.
  * @param {Array} philosophers - Array of philosopher objects from timelineEvents
  * @param {Object} canvasSize - { width, height }
- * @param {number} iterations - Number of simulation iterations
+ * @param {Object} options - { timeScale, eras } plus overrides for DEFAULT_FORCE_OPTIONS
  * @returns {Array} Final position objects
  */
-export const computeStarPositions = (philosophers, canvasSize, iterations = 15) => {
+export const computeStarPositions = (philosophers, canvasSize, { timeScale, eras, ...options } = {}) => {
     if (!philosophers || philosophers.length === 0) {
         return [];
     }
 
     // Start with time-based positions
-    let positions = computeInitialPositions(philosophers, canvasSize);
-
-    // Build concept relationship map
-    const conceptMap = buildConceptMap(philosophers);
-
-    // Run simulation iterations
-    for (let i = 0; i < iterations; i++) {
-        // Apply forces with decreasing strength over iterations
-        const iterationProgress = i / iterations;
-        const gravityStrength = 0.15 * (1 - iterationProgress * 0.5);
-        const repulsionStrength = 0.3 * (1 - iterationProgress * 0.3);
+    const positions = computeInitialPositions(philosophers, canvasSize, { timeScale, eras });
+    const indexById = new Map(positions.map((pos, i) => [pos.id, i]));
+
+    // Shared concepts become weighted links
+    const strengths = buildConnectionStrengths(buildConstellations(philosophers, []));
+    const maxStrength = Math.max(1, ...strengths.map(s => s.strength));
+    const links = strengths
+        .filter(({ from, to }) => indexById.has(from) && indexById.has(to))
+        .map(({ from, to, strength }) => ({
+            source: indexById.get(from),
+            target: indexById.get(to),
+            weight: strength / maxStrength
+        }));
+
+    const nodes = positions.map(pos => ({
+        x: pos.x,
+        y: pos.y,
+        radius: COLLISION_RADIUS[pos.type] || COLLISION_RADIUS.major
+    }));
 
-        positions = applyConceptGravity(positions, conceptMap, gravityStrength);
-        positions = applyRepulsion(positions, 60, repulsionStrength);
-        positions = applyBoundaryConstraints(positions, canvasSize);
-    }
+    runForceSimulation(nodes, links, canvasSize, options);
 
-    return positions;
+    return positions.map((pos, i) => ({ ...pos, y: nodes[i].y }));
 };
 
 /**
@@ -228,9 +159,10 @@ export const scalePositions = (currentPositions, oldSize, newSize) => {
 };
 
 export default {
+    CANVAS_PADDING,
+    yearToX,
     computeStarPositions,
     computeInitialPositions,
     buildConceptMap,
-    scalePositions,
-    getEraKey
+    scalePositions
 };
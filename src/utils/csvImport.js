@@ -0,0 +1,299 @@
+/**
+ * CSV Import Utility
+ * Turns spreadsheet exports (CSV/TSV) into timelineEvents entries
+ *
+ * Steps:
+ * 1. parseCsv          → headers + rows
+ * 2. guessColumnMapping → column index for each philosopher field
+ * 3. buildImport       → entries ready to merge + a conflict report
+ */
+
+import { findPhilosopherBySlug, findConceptName, slugify } from './routeState';
+import { foldText } from './searchIndex';
+import { validatePhilosopher, isParseableYear } from './datasetValidator';
+
+/**
+ * Philosopher fields a column can be mapped to
+ * "aliases" are header names recognised automatically (compared slugified)
+ */
+export const IMPORT_FIELDS = [
+    { key: 'id', label: 'Id (to update a philosopher)', aliases: ['id'] },
+    { key: 'title', label: 'Name', required: true, aliases: ['name', 'philosopher', 'title', 'author'] },
+    { key: 'year', label: 'Year (floruit)', aliases: ['year', 'date', 'floruit', 'active'] },
+    { key: 'fullYear', label: 'Lifespan label', aliases: ['full-year', 'fullyear', 'lifespan', 'dates', 'life'] },
+    { key: 'birth_year', label: 'Born', aliases: ['birth-year', 'born', 'birth', 'birthyear'] },
+    { key: 'death_year', label: 'Died', aliases: ['death-year', 'died', 'death', 'deathyear'] },
+    { key: 'era', label: 'Era', aliases: ['era', 'period', 'epoch'] },
+    { key: 'type', label: 'Type (major/minor)', aliases: ['type', 'importance', 'rank'] },
+    { key: 'summary', label: 'Summary', required: true, aliases: ['summary', 'tagline', 'short-description'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'notes', 'bio', 'biography', 'abstract'] },
+    { key: 'concepts', label: 'Concepts (list)', list: true, aliases: ['concepts', 'keywords', 'topics', 'tags'] },
+    { key: 'influenced_by', label: 'Influenced by (names)', list: true, aliases: ['influenced-by', 'influences', 'influencedby'] },
+    { key: 'quote', label: 'Quote', aliases: ['quote', 'quotation'] },
+    { key: 'quote_source', label: 'Quote source', aliases: ['quote-source', 'source'] }
+];
+
+/**
+ * Conflict kinds reported by buildImport
+ */
+export const CONFLICT_TYPES = {
+    EXISTING: 'existing',
+    DUPLICATE_ROW: 'duplicate-row',
+    INVALID_ROW: 'invalid-row',
+    UNRESOLVED_INFLUENCE: 'unresolved-influence',
+    UNKNOWN_CONCEPT: 'unknown-concept'
+};
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting, "," ";" or tab delimited)
+ * @param {string} text - File contents
+ * @param {Object} options - { delimiter } (auto-detected by default)
+ * @returns {{ headers: string[], rows: string[][], delimiter: string }}
+ */
+export const parseCsv = (text, { delimiter = detectDelimiter(text) } = {}) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(cell => cell.trim()));
+    const [headers = [], ...rows] = nonEmpty;
+    return { headers: headers.map(h => h.trim()), rows, delimiter };
+};
+
+/**
+ * Guess which column feeds each field from the header names
+ * @param {string[]} headers - Header row
+ * @returns {Object} Map of field key → column index (or -1)
+ */
+export const guessColumnMapping = (headers) => {
+    const slugs = headers.map(h => slugify(h));
+    const used = new Set();
+
+    return IMPORT_FIELDS.reduce((mapping, field) => {
+        const index = slugs.findIndex((slug, i) => !used.has(i) && field.aliases.includes(slug));
+        if (index !== -1) used.add(index);
+        mapping[field.key] = index;
+        return mapping;
+    }, {});
+};
+
+/**
+ * Split a list cell like "Ethics; Logic", "Plato | Aristotle" or a quoted
+ * "Ethics, Utilitarianism"
+ */
+export const splitList = (value = '') => {
+    return value
+        .split(/[;,|\n]/)
+        .map(item => item.trim())
+        .filter(Boolean);
+};
+
+// Case, accents and spacing don't tell two titles apart ("Søren  Kierkegaard")
+const normalizeTitle = (title) => foldText(title).trim().replace(/\s+/g, ' ');
+
+/**
+ * Find the existing philosopher a row updates: same id, or else the same
+ * title (never a partial match, so "James" is not William James)
+ */
+const findExisting = (philosophers, id, title) => {
+    const wanted = normalizeTitle(title);
+    return (id && philosophers.find(p => String(p.id) === id))
+        || philosophers.find(p => normalizeTitle(p.title) === wanted)
+        || null;
+};
+
+/**
+ * Find a philosopher by name among existing and imported entries
+ * Accepts full titles, last names and slugs ("Kant", "immanuel-kant")
+ */
+const resolveName = (name, candidates) => {
+    const wanted = name.trim().toLowerCase();
+    return candidates.find(p => p.title.toLowerCase() === wanted)
+        || findPhilosopherBySlug(candidates, name);
+};
+
+/**
+ * Convert parsed rows into timelineEvents entries and report conflicts
+ * @param {string[][]} rows - Data rows from parseCsv
+ * @param {Object} mapping - Field key → column index
+ * @param {Object} dataset - { philosophers, concepts } currently loaded
+ * @returns {{ entries: Array, conflicts: Array }}
+ *   entries:   { row, philosopher, existingId } (existingId set when the id or name matches)
+ *   conflicts: { type, row, message, existingId? }
+ */
+export const buildImport = (rows, mapping, { philosophers, concepts }) => {
+    const conflicts = [];
+    const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+    let nextId = Math.max(0, ...philosophers.map(p => p.id)) + 1;
+
+    // First pass: fields that don't depend on other rows
+    const seenTitles = new Set();
+    const drafts = [];
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // 1-based, after the header line
+        const title = cell(row, 'title');
+        if (!title) return;
+
+        const key = normalizeTitle(title);
+        if (seenTitles.has(key)) {
+            conflicts.push({
+                type: CONFLICT_TYPES.DUPLICATE_ROW,
+                row: rowNumber,
+                message: `"${title}" appears more than once; only the first row is used`
+            });
+            return;
+        }
+        seenTitles.add(key);
+
+        const existing = findExisting(philosophers, cell(row, 'id'), title);
+        if (existing) {
+            conflicts.push({
+                type: CONFLICT_TYPES.EXISTING,
+                row: rowNumber,
+                existingId: existing.id,
+                message: `"${title}" matches existing philosopher "${existing.title}" (#${existing.id})`
+            });
+        }
+
+        // Concepts without a definition are reported and left out
+        const conceptNames = splitList(cell(row, 'concepts')).map(name => {
+            const known = findConceptName(concepts, name);
+            if (!known) {
+                conflicts.push({
+                    type: CONFLICT_TYPES.UNKNOWN_CONCEPT,
+                    row: rowNumber,
+                    message: `${title}: concept "${name}" is not defined in philosophyConcepts and is left out`
+                });
+            }
+            return known;
+        }).filter(Boolean);
+
+        const type = cell(row, 'type').toLowerCase();
+        const quote = cell(row, 'quote');
+        const birthYear = cell(row, 'birth_year');
+
+        drafts.push({
+            rowNumber,
+            influenceNames: splitList(cell(row, 'influenced_by')),
+            existingId: existing?.id ?? null,
+            philosopher: {
+                ...(existing || {}),
+                id: existing ? existing.id : nextId++,
+                type: type === 'major' || type === 'minor' ? type : (existing?.type || 'minor'),
+                ...(cell(row, 'era') && { era: cell(row, 'era') }),
+                title: existing ? existing.title : title,
+                year: cell(row, 'year') || existing?.year || (isParseableYear(birthYear) ? birthYear : ''),
+                ...(cell(row, 'fullYear') && { fullYear: cell(row, 'fullYear') }),
+                summary: cell(row, 'summary') || existing?.summary || '',
+                ...(cell(row, 'description') && { description: cell(row, 'description') }),
+                concepts: [...new Set(conceptNames.length > 0 ? conceptNames : existing?.concepts || [])],
+                miniEvents: existing?.miniEvents || [],
+                ...(birthYear && { birth_year: birthYear }),
+                ...(cell(row, 'death_year') && { death_year: cell(row, 'death_year') }),
+                influenced_by: existing?.influenced_by || [],
+                quotes: quote
+                    ? [...(existing?.quotes || []), { text: quote, ...(cell(row, 'quote_source') && { source: cell(row, 'quote_source') }) }]
+                    : existing?.quotes || []
+            }
+        });
+    });
+
+    // Second pass: resolve influence names against existing and imported philosophers
+    const candidates = [
+        ...philosophers.filter(p => !drafts.some(d => d.existingId === p.id)),
+        ...drafts.map(d => d.philosopher)
+    ];
+
+    const entries = [];
+    drafts.forEach(({ rowNumber, influenceNames, existingId, philosopher }) => {
+        if (influenceNames.length > 0) {
+            const ids = influenceNames.map(name => {
+                const match = resolveName(name, candidates);
+                if (!match || match.id === philosopher.id) {
+                    conflicts.push({
+                        type: CONFLICT_TYPES.UNRESOLVED_INFLUENCE,
+                        row: rowNumber,
+                        message: `${philosopher.title}: influence "${name}" does not match any philosopher`
+                    });
+                    return null;
+                }
+                return match.id;
+            });
+            philosopher.influenced_by = [...new Set(ids.filter(id => id !== null))];
+        }
+
+        const errors = validatePhilosopher(philosopher);
+        ['year', 'birth_year', 'death_year'].forEach(field => {
+            const hasSchemaError = errors.some(e => e.path === field);
+            if (philosopher[field] && !hasSchemaError && !isParseableYear(philosopher[field])) {
+                errors.push({ path: field, message: `"${philosopher[field]}" cannot be parsed as a year` });
+            }
+        });
+        if (errors.length > 0) {
+            conflicts.push({
+                type: CONFLICT_TYPES.INVALID_ROW,
+                row: rowNumber,
+                message: `${philosopher.title} is skipped: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`
+            });
+            return;
+        }
+
+        entries.push({ row: rowNumber, philosopher, existingId });
+    });
+
+    conflicts.sort((a, b) => a.row - b.row);
+    return { entries, conflicts };
+};
+
+export default {
+    IMPORT_FIELDS,
+    CONFLICT_TYPES,
+    parseCsv,
+    guessColumnMapping,
+    splitList,
+    buildImport
+};
@@ -0,0 +1,71 @@
+/**
+ * CSV Import Tests
+ * List cells split on every separator, undefined concepts are reported
+ * rather than merged, and rows only update exact matches
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseCsv, guessColumnMapping, buildImport, splitList, CONFLICT_TYPES } from './csvImport';
+
+const concepts = [
+    { concept: 'Ethics', category: 'Core Branches', simple: 'How to live.', detailed: 'How to live well.' },
+    { concept: 'Utilitarianism', category: 'Ethics', simple: 'The greatest good.', detailed: 'The greatest good for the greatest number.' }
+];
+
+const importCsv = (text, philosophers = []) => {
+    const { headers, rows } = parseCsv(text);
+    return buildImport(rows, guessColumnMapping(headers), { philosophers, concepts });
+};
+
+describe('splitList', () => {
+    it.each([
+        ['Ethics; Utilitarianism'],
+        ['Ethics | Utilitarianism'],
+        ['Ethics, Utilitarianism'],
+        ['Ethics\nUtilitarianism']
+    ])('splits "%s"', (value) => {
+        expect(splitList(value)).toEqual(['Ethics', 'Utilitarianism']);
+    });
+});
+
+describe('buildImport', () => {
+    it('reads a quoted comma-separated concept cell as several concepts', () => {
+        const { entries } = importCsv('Name,Year,Summary,Concepts\nJeremy Bentham,1789,Greatest happiness.,"Ethics, Utilitarianism"');
+
+        expect(entries[0].philosopher.concepts).toEqual(['Ethics', 'Utilitarianism']);
+    });
+
+    it('reports undefined concepts and leaves them out', () => {
+        const { entries, conflicts } = importCsv('Name,Year,Summary,Concepts\nJeremy Bentham,1789,Greatest happiness.,"Ethics, Panopticism"');
+
+        expect(entries[0].philosopher.concepts).toEqual(['Ethics']);
+        expect(conflicts.map(conflict => conflict.type)).toEqual([CONFLICT_TYPES.UNKNOWN_CONCEPT]);
+        expect(conflicts[0].message).toContain('"Panopticism"');
+    });
+});
+
+describe('matching existing philosophers', () => {
+    const philosophers = [
+        { id: 7, type: 'major', era: 'Contemporary Thought', title: 'William James', year: '1890', summary: 'Pragmatism.', concepts: ['Ethics'] },
+        { id: 8, type: 'major', era: 'Contemporary Thought', title: 'Søren Kierkegaard', year: '1843', summary: 'Existence.', concepts: ['Ethics'] }
+    ];
+
+    it('adds a row whose title only partly matches as a new philosopher', () => {
+        const { entries, conflicts } = importCsv('Name,Year,Summary\nJames,1900,Someone else.', philosophers);
+
+        expect(entries[0].existingId).toBeNull();
+        expect(conflicts).toEqual([]);
+    });
+
+    it('updates the philosopher with the same title, ignoring case, accents and spacing', () => {
+        const { entries } = importCsv('Name,Year,Summary\nsoren  kierkegaard,1843,Either/Or.', philosophers);
+
+        expect(entries[0].existingId).toBe(8);
+    });
+
+    it('updates the philosopher with the same id', () => {
+        const { entries } = importCsv('Id,Name,Year,Summary\n7,W. James,1890,Pragmatism.', philosophers);
+
+        expect(entries[0].existingId).toBe(7);
+    });
+});
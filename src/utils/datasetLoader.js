@@ -0,0 +1,193 @@
+/**
+ * Dataset Loader Utility
+ * Loads philosopher/concept/era datasets from a URL, a local file or plain
+ * objects and normalizes them to the shape the views expect
+ *
+ * Accepted dataset shapes:
+ * { "name": "...", "timelineEvents": [...], "philosophyConcepts": [...], "eras": [...] }
+ * { "name": "...", "philosophers": [...], "concepts": [...], "eras": [...] }
+ * [ ...philosophers ]   (concepts and eras fall back to the bundled sets)
+ *
+ * Entries that do not match the JSON Schemas in src/schemas are skipped;
+ * the full validation report is attached to the normalized dataset.
+ */
+
+import { validatePhilosopher, validateConcept, validateEra, validateDataset } from './datasetValidator';
+
+/**
+ * Keep only philosophers that match the timelineEvents schema
+ * @param {Array} events - Raw philosopher objects
+ * @returns {Array} Valid philosophers
+ */
+export const validateTimelineEvents = (events) => {
+    if (!Array.isArray(events)) {
+        console.error('Timeline events must be an array');
+        return [];
+    }
+    return events.filter(event => {
+        const errors = validatePhilosopher(event);
+        if (errors.length > 0) {
+            console.warn('Invalid timeline event:', event, errors);
+        }
+        return errors.length === 0;
+    });
+};
+
+/**
+ * Keep only concepts that match the philosophyConcepts schema
+ * @param {Array} concepts - Raw concept objects
+ * @returns {Array} Valid concepts
+ */
+export const validatePhilosophyConcepts = (concepts) => {
+    if (!Array.isArray(concepts)) {
+        console.error('Philosophy concepts must be an array');
+        return [];
+    }
+    return concepts.filter(concept => {
+        const errors = validateConcept(concept);
+        if (errors.length > 0) {
+            console.warn('Invalid philosophy concept:', concept, errors);
+        }
+        return errors.length === 0;
+    });
+};
+
+/**
+ * Keep only eras that match the eras schema
+ * @param {Array} eras - Raw era objects
+ * @returns {Array} Valid eras
+ */
+export const validateEras = (eras) => {
+    if (!Array.isArray(eras)) {
+        console.error('Eras must be an array');
+        return [];
+    }
+    return eras.filter(era => {
+        const errors = validateEra(era);
+        if (errors.length > 0) {
+            console.warn('Invalid era:', era, errors);
+        }
+        return errors.length === 0;
+    });
+};
+
+/**
+ * Normalize raw dataset JSON into { name, philosophers, concepts, eras, validation }
+ * @param {Object|Array} raw - Parsed dataset JSON
+ * @param {Object} options - { name, fallbackConcepts, fallbackEras }
+ * @returns {Object} Normalized dataset
+ * @throws {Error} If the data has no usable philosophers
+ */
+export const normalizeDataset = (raw, { name = 'Custom dataset', fallbackConcepts = [], fallbackEras = [] } = {}) => {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Dataset must be a JSON object or array');
+    }
+
+    const rawPhilosophers = Array.isArray(raw) ? raw : (raw.timelineEvents || raw.philosophers);
+    const rawConcepts = Array.isArray(raw) ? null : (raw.philosophyConcepts || raw.concepts);
+    const rawEras = Array.isArray(raw) ? null : raw.eras;
+
+    if (!Array.isArray(rawPhilosophers)) {
+        throw new Error('Dataset is missing a "timelineEvents" (or "philosophers") array');
+    }
+
+    const philosophers = validateTimelineEvents(rawPhilosophers);
+    if (philosophers.length === 0) {
+        throw new Error('Dataset contains no valid philosophers');
+    }
+
+    const concepts = rawConcepts ? validatePhilosophyConcepts(rawConcepts) : fallbackConcepts;
+    const eras = rawEras ? validateEras(rawEras) : fallbackEras;
+
+    const validation = validateDataset({ philosophers, concepts, eras });
+    validation.skipped = (rawPhilosophers.length - philosophers.length)
+        + (rawConcepts ? rawConcepts.length - concepts.length : 0)
+        + (rawEras ? rawEras.length - eras.length : 0);
+
+    return {
+        name: (!Array.isArray(raw) && raw.name) || name,
+        philosophers,
+        concepts,
+        eras,
+        validation
+    };
+};
+
+/**
+ * Fetch and normalize a dataset from a URL
+ * @param {string} url - Dataset URL (absolute or relative to the site)
+ * @param {Object} options - Passed through to normalizeDataset
+ * @returns {Promise<Object>} Normalized dataset
+ */
+export const fetchDataset = async (url, options = {}) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load dataset (${response.status} ${response.statusText})`);
+    }
+    const raw = await response.json();
+    const fileName = url.split('/').pop().split('?')[0];
+    return normalizeDataset(raw, { name: fileName, ...options });
+};
+
+/**
+ * Read and normalize a dataset from a local File (e.g. an <input type="file">)
+ * @param {File} file - JSON file chosen by the user
+ * @param {Object} options - Passed through to normalizeDataset
+ * @returns {Promise<Object>} Normalized dataset
+ */
+export const readDatasetFile = async (file, options = {}) => {
+    const text = await file.text();
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+    }
+    return normalizeDataset(raw, { name: file.name, ...options });
+};
+
+const INDENT = '    ';
+
+// JSON.stringify(value, null, 4), except that arrays of numbers stay on one line
+const serializeValue = (value, indent) => {
+    const inner = indent + INDENT;
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        if (value.every(item => typeof item === 'number')) {
+            return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        }
+        const items = value.map(item => serializeValue(item, inner) ?? 'null');
+        return `[\n${items.map(item => inner + item).join(',\n')}\n${indent}]`;
+    }
+
+    if (value !== null && typeof value === 'object' && typeof value.toJSON !== 'function') {
+        const members = Object.entries(value)
+            .map(([key, item]) => [key, serializeValue(item, inner)])
+            .filter(([, item]) => item !== undefined)
+            .map(([key, item]) => `${inner}${JSON.stringify(key)}: ${item}`);
+        return members.length === 0 ? '{}' : `{\n${members.join(',\n')}\n${indent}}`;
+    }
+
+    return JSON.stringify(value);
+};
+
+/**
+ * Serialize philosophers in the same layout as src/pages/timelineEvents.json
+ * (4-space indent, id lists kept on one line) so exports diff cleanly
+ * @param {Array} philosophers - Philosopher objects
+ * @returns {string} JSON text ending with a newline
+ */
+export const serializeTimelineEvents = (philosophers) => {
+    return `${serializeValue(philosophers, '')}\n`;
+};
+
+export default {
+    validateTimelineEvents,
+    validatePhilosophyConcepts,
+    validateEras,
+    normalizeDataset,
+    fetchDataset,
+    readDatasetFile,
+    serializeTimelineEvents
+};
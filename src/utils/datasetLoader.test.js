@@ -0,0 +1,28 @@
+/**
+ * Dataset Loader Tests
+ * Exports keep the layout of src/pages/timelineEvents.json
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { serializeTimelineEvents } from './datasetLoader';
+
+const bundledText = readFileSync(new URL('../pages/timelineEvents.json', import.meta.url), 'utf8');
+
+describe('serializeTimelineEvents', () => {
+    it('reproduces the bundled file exactly', () => {
+        expect(serializeTimelineEvents(JSON.parse(bundledText))).toBe(bundledText);
+    });
+
+    it('keeps id lists on one line', () => {
+        expect(serializeTimelineEvents([{ id: 2, influenced_by: [1, 3], concepts: [] }])).toBe(
+            '[\n    {\n        "id": 2,\n        "influenced_by": [1, 3],\n        "concepts": []\n    }\n]\n'
+        );
+    });
+
+    it('leaves text that looks like an array alone', () => {
+        const philosophers = [{ id: 1, summary: 'Wrote [ 1, 2 ] and\n[\n  3\n]' }];
+
+        expect(JSON.parse(serializeTimelineEvents(philosophers))).toEqual(philosophers);
+    });
+});
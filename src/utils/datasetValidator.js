@@ -0,0 +1,310 @@
+/**
+ * Dataset Validator Utility
+ * Checks philosopher, concept and era data against the JSON Schemas in
+ * src/schemas and reports problems a schema cannot express
+ * (cross references, duplicates, unparseable years)
+ *
+ * Errors make a dataset unusable or misleading; warnings are reported
+ * but the data still renders.
+ */
+
+import timelineEventsSchema from '../schemas/timelineEvents.schema.json';
+import philosophyConceptsSchema from '../schemas/philosophyConcepts.schema.json';
+import erasSchema from '../schemas/eras.schema.json';
+import { parseYear } from './yearParser';
+
+/**
+ * Issue codes reported by validateDataset
+ */
+export const ISSUE_CODES = {
+    SCHEMA: 'schema',
+    DUPLICATE_ID: 'duplicate-id',
+    DUPLICATE_CONCEPT: 'duplicate-concept',
+    DUPLICATE_ERA: 'duplicate-era',
+    UNKNOWN_ERA: 'unknown-era',
+    ERA_ORDER: 'era-order',
+    DANGLING_INFLUENCE: 'dangling-influence',
+    SELF_INFLUENCE: 'self-influence',
+    MISSING_CONCEPT: 'missing-concept',
+    UNPARSEABLE_YEAR: 'unparseable-year',
+    BIRTH_AFTER_DEATH: 'birth-after-death'
+};
+
+const WARNING_CODES = new Set([
+    ISSUE_CODES.SELF_INFLUENCE,
+    ISSUE_CODES.MISSING_CONCEPT,
+    ISSUE_CODES.UNKNOWN_ERA,
+    ISSUE_CODES.ERA_ORDER,
+    ISSUE_CODES.BIRTH_AFTER_DEATH
+]);
+
+const YEAR_FIELDS = ['year', 'birth_year', 'death_year'];
+
+// Entries the cross-reference checks can read (the schema pass reports the rest)
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Resolve a local "$ref" like "#/$defs/philosopher"
+ */
+const resolveRef = (ref, rootSchema) => {
+    return ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, key) => node?.[key], rootSchema);
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+const getType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = getType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the keywords used in src/schemas: $ref, type, enum, required,
+ * properties, additionalProperties, items, minItems, uniqueItems,
+ * minLength, pattern and minimum
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema) to check against
+ * @param {Object} options - { rootSchema, path }
+ * @returns {Array<{ path: string, message: string }>} Violations
+ */
+export const validateAgainstSchema = (value, schema, { rootSchema = schema, path = '' } = {}) => {
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveRef(schema.$ref, rootSchema), { rootSchema, path });
+    }
+
+    const errors = [];
+    const at = path || '(root)';
+    const child = (subValue, subSchema, subPath) =>
+        errors.push(...validateAgainstSchema(subValue, subSchema, { rootSchema, path: subPath }));
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `should be ${types.join(' or ')}, got ${getType(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: 'should not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `"${value}" does not match the expected format` });
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: at, message: `should be at least ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `should have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+            errors.push({ path: at, message: 'should not contain duplicates' });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => child(item, schema.items, `${path}[${i}]`));
+        }
+    }
+
+    if (getType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: at, message: `is missing required field "${key}"` });
+            }
+        });
+        Object.entries(value).forEach(([key, subValue]) => {
+            const subPath = path ? `${path}.${key}` : key;
+            if (schema.properties?.[key]) {
+                child(subValue, schema.properties[key], subPath);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: subPath, message: 'is not an allowed field' });
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Schema errors for a single philosopher
+ * @param {Object} philosopher - Philosopher object
+ * @returns {Array} Violations
+ */
+export const validatePhilosopher = (philosopher) => {
+    return validateAgainstSchema(philosopher, timelineEventsSchema.items, { rootSchema: timelineEventsSchema });
+};
+
+/**
+ * Schema errors for a single concept
+ * @param {Object} concept - Concept object
+ * @returns {Array} Violations
+ */
+export const validateConcept = (concept) => {
+    return validateAgainstSchema(concept, philosophyConceptsSchema.items, { rootSchema: philosophyConceptsSchema });
+};
+
+/**
+ * Schema errors for a single era definition
+ * @param {Object} era - Era object
+ * @returns {Array} Violations
+ */
+export const validateEra = (era) => {
+    return validateAgainstSchema(era, erasSchema.items, { rootSchema: erasSchema });
+};
+
+/**
+ * Check whether a year string can be turned into a number by parseYear
+ * @param {string} yearStr - Year string
+ * @returns {boolean}
+ */
+export const isParseableYear = (yearStr) => {
+    return parseYear(yearStr) !== null;
+};
+
+/**
+ * Validate a complete dataset
+ * @param {Object} dataset - { philosophers, concepts, eras }
+ * @returns {Object} { valid, errors, warnings } where each issue is
+ *                   { code, message, path, id }
+ */
+export const validateDataset = ({ philosophers = [], concepts = [], eras = [] }) => {
+    const issues = [];
+    const report = (code, message, path, id = null) => issues.push({ code, message, path, id });
+
+    // Schema checks
+    validateAgainstSchema(philosophers, timelineEventsSchema, { path: 'timelineEvents' })
+        .forEach(({ path, message }) => report(ISSUE_CODES.SCHEMA, `${path} ${message}`, path));
+    validateAgainstSchema(concepts, philosophyConceptsSchema, { path: 'philosophyConcepts' })
+        .forEach(({ path, message }) => report(ISSUE_CODES.SCHEMA, `${path} ${message}`, path));
+    validateAgainstSchema(eras, erasSchema, { path: 'eras' })
+        .forEach(({ path, message }) => report(ISSUE_CODES.SCHEMA, `${path} ${message}`, path));
+
+    if (!Array.isArray(philosophers) || !Array.isArray(concepts) || !Array.isArray(eras)) {
+        return { valid: false, errors: issues, warnings: [] };
+    }
+
+    // Duplicate philosopher ids
+    const idCounts = new Map();
+    philosophers.filter(isRecord).forEach(p => idCounts.set(p.id, (idCounts.get(p.id) || 0) + 1));
+    idCounts.forEach((count, id) => {
+        if (count > 1) {
+            report(ISSUE_CODES.DUPLICATE_ID, `Philosopher id ${id} is used ${count} times`, 'timelineEvents', id);
+        }
+    });
+
+    // Duplicate concept names
+    const conceptNames = new Set();
+    concepts.forEach((c, i) => {
+        if (!isRecord(c)) return;
+        if (conceptNames.has(c.concept)) {
+            report(ISSUE_CODES.DUPLICATE_CONCEPT, `Concept "${c.concept}" is defined more than once`, `philosophyConcepts[${i}]`);
+        }
+        conceptNames.add(c.concept);
+    });
+
+    // Era keys and names must be unique; eras run in chronological order
+    const eraNames = new Set();
+    const eraKeys = new Set();
+    eras.forEach((era, i) => {
+        if (!isRecord(era)) return;
+        const path = `eras[${i}]`;
+        if (eraKeys.has(era.key) || eraNames.has(era.name)) {
+            report(ISSUE_CODES.DUPLICATE_ERA, `Era "${era.name}" (${era.key}) is defined more than once`, path);
+        }
+        eraKeys.add(era.key);
+        eraNames.add(era.name);
+
+        const previous = eras[i - 1];
+        if (era.end !== undefined && era.end <= era.start) {
+            report(ISSUE_CODES.ERA_ORDER, `Era "${era.name}" ends before it starts`, path);
+        } else if (isRecord(previous) && era.start < previous.start) {
+            report(ISSUE_CODES.ERA_ORDER, `Era "${era.name}" starts before the era listed ahead of it`, path);
+        }
+    });
+
+    philosophers.forEach((p, i) => {
+        if (!isRecord(p)) return;
+        const path = `timelineEvents[${i}]`;
+        const name = p.title || `#${p.id}`;
+
+        // influenced_by must point at philosophers in the dataset
+        (p.influenced_by || []).forEach(influenceId => {
+            if (influenceId === p.id) {
+                report(ISSUE_CODES.SELF_INFLUENCE, `${name} lists itself in influenced_by`, `${path}.influenced_by`, p.id);
+            } else if (!idCounts.has(influenceId)) {
+                report(ISSUE_CODES.DANGLING_INFLUENCE, `${name} is influenced_by unknown id ${influenceId}`, `${path}.influenced_by`, p.id);
+            }
+        });
+
+        // Concepts should have a definition
+        (Array.isArray(p.concepts) ? p.concepts : []).forEach(concept => {
+            if (!conceptNames.has(concept)) {
+                report(ISSUE_CODES.MISSING_CONCEPT, `${name} references concept "${concept}" which is not defined`, `${path}.concepts`, p.id);
+            }
+        });
+
+        // Eras should have a definition (an empty list means the dataset declares none)
+        if (p.era && eras.length > 0 && !eraNames.has(p.era)) {
+            report(ISSUE_CODES.UNKNOWN_ERA, `${name} belongs to era "${p.era}" which is not defined`, `${path}.era`, p.id);
+        }
+
+        // Years must be readable by the layout code
+        YEAR_FIELDS.forEach(field => {
+            if (p[field] !== undefined && !isParseableYear(p[field])) {
+                report(ISSUE_CODES.UNPARSEABLE_YEAR, `${name} has an unparseable ${field} "${p[field]}"`, `${path}.${field}`, p.id);
+            }
+        });
+
+        if (isParseableYear(p.birth_year) && isParseableYear(p.death_year)
+            && parseYear(p.birth_year) > parseYear(p.death_year)) {
+            report(ISSUE_CODES.BIRTH_AFTER_DEATH, `${name} has birth_year after death_year`, path, p.id);
+        }
+    });
+
+    const errors = issues.filter(issue => !WARNING_CODES.has(issue.code));
+    const warnings = issues.filter(issue => WARNING_CODES.has(issue.code));
+
+    return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Format a validation result as readable lines (for console or build output)
+ * @param {Object} result - Result of validateDataset
+ * @returns {string} One issue per line
+ */
+export const formatValidationResult = ({ errors, warnings }) => {
+    return [
+        ...errors.map(issue => `error   [${issue.code}] ${issue.message}`),
+        ...warnings.map(issue => `warning [${issue.code}] ${issue.message}`)
+    ].join('\n');
+};
+
+export default {
+    ISSUE_CODES,
+    validateAgainstSchema,
+    validatePhilosopher,
+    validateConcept,
+    validateEra,
+    isParseableYear,
+    validateDataset,
+    formatValidationResult
+};
@@ -0,0 +1,98 @@
+/**
+ * Dataset Validator Tests
+ * The bundled dataset must pass, and each kind of broken data must be reported
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateDataset, ISSUE_CODES } from './datasetValidator';
+import { normalizeDataset } from './datasetLoader';
+import timelineEvents from '../pages/timelineEvents.json';
+import philosophyConcepts from '../pages/philosophyConcepts.json';
+import eras from '../pages/eras.json';
+
+const concepts = [{ concept: 'Ethics', category: 'Core Branches', simple: 'How to live.', detailed: 'How to live well.' }];
+
+const philosopher = (overrides = {}) => ({
+    id: 1,
+    type: 'major',
+    era: 'Ancient & Classical Thought',
+    title: 'Zeno of Citium',
+    year: 'c. 300 BC',
+    summary: 'Founder of Stoicism.',
+    concepts: ['Ethics'],
+    ...overrides
+});
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+describe('validateDataset', () => {
+    it('accepts the bundled dataset without errors or warnings', () => {
+        const result = validateDataset({ philosophers: timelineEvents, concepts: philosophyConcepts, eras });
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+        expect(result.valid).toBe(true);
+    });
+
+    it('reports influenced_by ids that do not exist', () => {
+        const result = validateDataset({
+            philosophers: [philosopher({ influenced_by: [99] })],
+            concepts
+        });
+
+        expect(result.valid).toBe(false);
+        expect(codes(result.errors)).toEqual([ISSUE_CODES.DANGLING_INFLUENCE]);
+        expect(result.errors[0].id).toBe(1);
+    });
+
+    it('warns about concepts without a definition', () => {
+        const result = validateDataset({
+            philosophers: [philosopher({ concepts: ['Ethics', 'Logic'] })],
+            concepts
+        });
+
+        expect(result.valid).toBe(true);
+        expect(codes(result.warnings)).toEqual([ISSUE_CODES.MISSING_CONCEPT]);
+        expect(result.warnings[0].message).toContain('"Logic"');
+    });
+
+    it('reports duplicate ids', () => {
+        const result = validateDataset({
+            philosophers: [philosopher(), philosopher({ title: 'Cleanthes' })],
+            concepts
+        });
+
+        expect(result.valid).toBe(false);
+        expect(codes(result.errors)).toEqual([ISSUE_CODES.DUPLICATE_ID]);
+    });
+
+    it('reports years that cannot be parsed', () => {
+        const result = validateDataset({
+            philosophers: [philosopher({ year: 'around the Stoa' })],
+            concepts
+        });
+
+        expect(result.valid).toBe(false);
+        // The schema's year pattern rejects it too
+        const issue = result.errors.find(error => error.code === ISSUE_CODES.UNPARSEABLE_YEAR);
+        expect(issue?.path).toBe('timelineEvents[0].year');
+    });
+
+    it.each([null, 42, 'Plato', []])('reports a %j entry instead of throwing', (entry) => {
+        const result = validateDataset({
+            philosophers: [philosopher(), entry],
+            concepts: [...concepts, entry],
+            eras: [...eras, entry]
+        });
+
+        expect(result.valid).toBe(false);
+        expect(codes(result.errors)).toContain(ISSUE_CODES.SCHEMA);
+    });
+
+    it('skips non-object entries when loading a dataset', () => {
+        const dataset = normalizeDataset({ timelineEvents: [philosopher(), null, 42], philosophyConcepts: concepts, eras });
+
+        expect(dataset.philosophers).toHaveLength(1);
+        expect(dataset.validation.skipped).toBe(2);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Era Chord Utility
+ * Aggregates influence links by era and lays them out as a directed chord diagram
+ *
+ * matrix[i][j] counts links where a philosopher of era i was influenced by
+ * one of era j ("era i draws on era j").
+ */
+
+import { buildInfluenceConnections } from './connectionBuilder.js';
+import { getEraKey } from './eras.js';
+
+/**
+ * Count influence links between eras
+ * @param {Array} philosophers - Array of philosopher objects with influenced_by[]
+ * @param {Array} eras - Era definitions in display order
+ * @returns {Object} { eras, matrix, links } where eras are the era keys and
+ *                   links is a Map "i-j" → influence connections
+ */
+export const buildEraInfluenceMatrix = (philosophers, eras) => {
+    const eraKeys = eras.map(era => era.key);
+    const eraIndex = new Map(eraKeys.map((key, i) => [key, i]));
+    const eraOf = new Map(philosophers.map(p => [p.id, eraIndex.get(getEraKey(eras, p.era))]));
+    const matrix = eraKeys.map(() => new Array(eraKeys.length).fill(0));
+    const links = new Map();
+
+    buildInfluenceConnections(philosophers).forEach(connection => {
+        const drawing = eraOf.get(connection.to);
+        const source = eraOf.get(connection.from);
+        if (drawing === undefined || source === undefined) return;
+
+        matrix[drawing][source]++;
+        const key = `${drawing}-${source}`;
+        if (!links.has(key)) links.set(key, []);
+        links.get(key).push(connection);
+    });
+
+    return { eras: eraKeys, matrix, links };
+};
+
+/**
+ * Directed chord layout
+ * Each era's arc is as long as its links in both directions. Every non-zero
+ * cell becomes one chord from the source era's arc to the drawing era's arc.
+ * @param {Array} matrix - buildEraInfluenceMatrix matrix
+ * @param {Object} options - { padAngle: radians between arcs }
+ * @returns {Object} { groups: [{ index, startAngle, endAngle, value }], chords: [{ drawing, source, value, sourceArc, targetArc }] }
+ */
+export const computeChordLayout = (matrix, { padAngle = 0.04 } = {}) => {
+    const n = matrix.length;
+    const outgoing = matrix.map((_, j) => matrix.reduce((sum, row) => sum + row[j], 0));
+    const incoming = matrix.map(row => row.reduce((sum, value) => sum + value, 0));
+    const totals = outgoing.map((value, i) => value + incoming[i]);
+    const total = totals.reduce((sum, value) => sum + value, 0);
+
+    if (total === 0) return { groups: [], chords: [] };
+
+    const scale = Math.max(0, 2 * Math.PI - padAngle * n) / total;
+    const groups = [];
+    const sourceArcs = new Map();
+    const targetArcs = new Map();
+    let angle = 0;
+
+    for (let i = 0; i < n; i++) {
+        const startAngle = angle;
+
+        // First the links this era gave, then the ones it drew
+        for (let j = 0; j < n; j++) {
+            const value = matrix[j][i];
+            if (value === 0) continue;
+            sourceArcs.set(`${j}-${i}`, { startAngle: angle, endAngle: angle + value * scale });
+            angle += value * scale;
+        }
+        for (let j = 0; j < n; j++) {
+            const value = matrix[i][j];
+            if (value === 0) continue;
+            targetArcs.set(`${i}-${j}`, { startAngle: angle, endAngle: angle + value * scale });
+            angle += value * scale;
+        }
+
+        groups.push({ index: i, startAngle, endAngle: angle, value: totals[i] });
+        angle += padAngle;
+    }
+
+    const chords = [];
+    matrix.forEach((row, drawing) => {
+        row.forEach((value, source) => {
+            if (value === 0) return;
+            const key = `${drawing}-${source}`;
+            chords.push({ drawing, source, value, sourceArc: sourceArcs.get(key), targetArc: targetArcs.get(key) });
+        });
+    });
+
+    return { groups, chords };
+};
+
+// Angle 0 at 12 o'clock, clockwise
+const point = (angle, radius) => {
+    const x = Math.sin(angle) * radius;
+    const y = -Math.cos(angle) * radius;
+    return `${x.toFixed(2)} ${y.toFixed(2)}`;
+};
+
+/**
+ * SVG path for a ring segment
+ * @param {Object} arc - { startAngle, endAngle }
+ * @param {number} innerRadius - Inner radius
+ * @param {number} outerRadius - Outer radius
+ * @returns {string} Path data (centred on 0,0)
+ */
+export const arcPath = ({ startAngle, endAngle }, innerRadius, outerRadius) => {
+    const large = endAngle - startAngle > Math.PI ? 1 : 0;
+    return `M ${point(startAngle, outerRadius)}`
+        + ` A ${outerRadius} ${outerRadius} 0 ${large} 1 ${point(endAngle, outerRadius)}`
+        + ` L ${point(endAngle, innerRadius)}`
+        + ` A ${innerRadius} ${innerRadius} 0 ${large} 0 ${point(startAngle, innerRadius)} Z`;
+};
+
+/**
+ * SVG path for a chord with an arrowhead at the drawing era
+ * @param {Object} chord - computeChordLayout chord
+ * @param {number} radius - Inner radius of the era ring
+ * @param {number} headLength - Arrowhead length in px
+ * @returns {string} Path data (centred on 0,0)
+ */
+export const ribbonPath = ({ sourceArc, targetArc }, radius, headLength = 10) => {
+    const { startAngle: s0, endAngle: s1 } = sourceArc;
+    const { startAngle: t0, endAngle: t1 } = targetArc;
+    const headRadius = radius - headLength;
+    const sourceLarge = s1 - s0 > Math.PI ? 1 : 0;
+
+    return `M ${point(s0, radius)}`
+        + ` A ${radius} ${radius} 0 ${sourceLarge} 1 ${point(s1, radius)}`
+        + ` Q 0 0 ${point(t0, headRadius)}`
+        + ` L ${point((t0 + t1) / 2, radius)}`
+        + ` L ${point(t1, headRadius)}`
+        + ` Q 0 0 ${point(s0, radius)} Z`;
+};
+
+export default {
+    buildEraInfluenceMatrix,
+    computeChordLayout,
+    arcPath,
+    ribbonPath
+};
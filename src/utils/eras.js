@@ -0,0 +1,73 @@
+/**
+ * Era Utility
+ * Lookups on the era definitions a dataset declares (see src/pages/eras.json):
+ * { key, name, label, color, start, end } in chronological order
+ *
+ * Philosophers name their era in full ("Medieval & Renaissance Philosophy");
+ * filters, links and styling use the short key ("medieval").
+ */
+
+/**
+ * Color for philosophers whose era is not defined
+ */
+export const DEFAULT_ERA_COLOR = '#8b5cf6';
+
+/**
+ * Key for philosophers whose era is not defined
+ */
+export const UNKNOWN_ERA_KEY = 'unknown';
+
+/**
+ * Find the definition of an era by the name philosophers use
+ * @param {Array} eras - Era definitions
+ * @param {string} eraName - A philosopher's `era`
+ * @returns {Object|null} Era definition
+ */
+export const findEra = (eras, eraName) => eras.find(era => era.name === eraName) || null;
+
+/**
+ * Get the key of a philosopher's era
+ * @param {Array} eras - Era definitions
+ * @param {string} eraName - A philosopher's `era`
+ * @returns {string} Era key, or UNKNOWN_ERA_KEY
+ */
+export const getEraKey = (eras, eraName) => findEra(eras, eraName)?.key || UNKNOWN_ERA_KEY;
+
+/**
+ * Get the color of a philosopher's era
+ * @param {Array} eras - Era definitions
+ * @param {string} eraName - A philosopher's `era`
+ * @returns {string} Hex color, or DEFAULT_ERA_COLOR
+ */
+export const getEraColor = (eras, eraName) => findEra(eras, eraName)?.color || DEFAULT_ERA_COLOR;
+
+/**
+ * "#4a90d9" → "74, 144, 217", for rgba() with a custom alpha
+ * @param {string} color - Hex color (3 or 6 digits)
+ * @returns {string} Comma-separated channels
+ */
+export const hexToRgb = (color) => {
+    const hex = color.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16)).join(', ');
+};
+
+/**
+ * Whether dark text reads better than white on a color (YIQ brightness)
+ * @param {string} color - Hex color
+ * @returns {boolean}
+ */
+export const isLightColor = (color) => {
+    const [r, g, b] = hexToRgb(color).split(', ').map(Number);
+    return (r * 299 + g * 587 + b * 114) / 1000 >= 150;
+};
+
+export default {
+    DEFAULT_ERA_COLOR,
+    UNKNOWN_ERA_KEY,
+    findEra,
+    getEraKey,
+    getEraColor,
+    hexToRgb,
+    isLightColor
+};
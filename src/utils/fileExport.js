@@ -0,0 +1,36 @@
+/**
+ * File Export Utility
+ * Helpers for saving generated content (JSON, images) as browser downloads
+ */
+
+/**
+ * Trigger a download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Trigger a download for a text file
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadText = (text, filename, type = 'text/plain') => {
+    downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+};
+
+export default {
+    downloadBlob,
+    downloadText
+};
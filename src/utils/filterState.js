@@ -0,0 +1,117 @@
+/**
+ * Filter State Utility
+ * The constellation filters (eras, concepts, year range, major/minor and
+ * influence arrows) as one plain object, plus its compact URL form
+ *
+ * Examples:
+ * "eras:enlightenment;concepts:Rationalism,Empiricism" → two concepts in one era
+ * "years:-500..400;major"                              → major philosophers 500 BC-400 AD
+ * "eras:ancient,medieval;influences"                   → two eras with influence arrows
+ */
+
+/**
+ * Filters with nothing selected
+ */
+export const DEFAULT_FILTER_STATE = {
+    eras: [],
+    concepts: [],
+    yearRange: null,
+    showMinor: true,
+    showInfluences: false
+};
+
+/**
+ * Fill in missing fields and drop invalid ones
+ * @param {Object} state - Partial filter state
+ * @returns {Object} Complete filter state
+ */
+export const normalizeFilterState = (state = {}) => {
+    const range = Array.isArray(state.yearRange) && state.yearRange.length === 2
+        && state.yearRange.every(Number.isFinite)
+        ? [Math.min(...state.yearRange), Math.max(...state.yearRange)]
+        : null;
+
+    return {
+        eras: Array.isArray(state.eras) ? [...new Set(state.eras)] : [],
+        concepts: Array.isArray(state.concepts) ? [...new Set(state.concepts)] : [],
+        yearRange: range,
+        showMinor: state.showMinor !== false,
+        showInfluences: Boolean(state.showInfluences)
+    };
+};
+
+/**
+ * Format filters for the "filters" search parameter
+ * @param {Object} state - Filter state
+ * @returns {string|null} Parameter value, or null when nothing is filtered
+ */
+export const encodeFilterState = (state) => {
+    if (!state) return null;
+    const { eras, concepts, yearRange, showMinor, showInfluences } = normalizeFilterState(state);
+    const parts = [];
+
+    if (eras.length > 0) parts.push(`eras:${[...eras].sort().join(',')}`);
+    if (concepts.length > 0) parts.push(`concepts:${[...concepts].sort().join(',')}`);
+    if (yearRange) parts.push(`years:${yearRange[0]}..${yearRange[1]}`);
+    if (!showMinor) parts.push('major');
+    if (showInfluences) parts.push('influences');
+
+    return parts.length > 0 ? parts.join(';') : null;
+};
+
+/**
+ * Parse the "filters" search parameter
+ * Unknown parts are ignored so older links keep working
+ * @param {string|null} value - Parameter value
+ * @returns {Object|null} Filter state, or null when nothing is filtered
+ */
+export const parseFilterState = (value) => {
+    if (!value) return null;
+    const state = { ...DEFAULT_FILTER_STATE };
+
+    value.split(';').forEach(part => {
+        const [key, ...rest] = part.split(':');
+        const list = rest.join(':').split(',').map(item => item.trim()).filter(Boolean);
+
+        switch (key.trim()) {
+            case 'eras':
+                state.eras = list;
+                break;
+            case 'concepts':
+                state.concepts = list;
+                break;
+            case 'years': {
+                const match = rest.join(':').match(/^(-?\d+)\.\.(-?\d+)$/);
+                if (match) state.yearRange = [Number(match[1]), Number(match[2])];
+                break;
+            }
+            case 'major':
+                state.showMinor = false;
+                break;
+            case 'influences':
+                state.showInfluences = true;
+                break;
+            default:
+                break;
+        }
+    });
+
+    const normalized = normalizeFilterState(state);
+    return encodeFilterState(normalized) ? normalized : null;
+};
+
+/**
+ * Whether two filter states select the same thing
+ * @param {Object|null} a - Filter state
+ * @param {Object|null} b - Filter state
+ * @returns {boolean}
+ */
+export const isSameFilterState = (a, b) => encodeFilterState(a) === encodeFilterState(b);
+
+export default {
+    DEFAULT_FILTER_STATE,
+    normalizeFilterState,
+    encodeFilterState,
+    parseFilterState,
+    isSameFilterState
+};
@@ -0,0 +1,194 @@
+/**
+ * Force Layout Engine
+ * Deterministic force simulation for the constellation map
+ *
+ * X is pinned (it encodes time), so every force only moves nodes vertically:
+ * - Many-body repulsion, approximated with Barnes-Hut over a quadtree
+ * - Link attraction between connected nodes, weighted per link
+ * - Collision, keeping star radii from overlapping
+ * - A weak centering pull towards the middle of the canvas
+ *
+ * There is no randomness: the same input always settles on the same layout.
+ */
+
+import { buildQuadtree, visitQuadtree } from './quadtree.js';
+
+/**
+ * Default simulation parameters
+ */
+export const DEFAULT_FORCE_OPTIONS = {
+    maxIterations: 300,
+    alphaMin: 0.001,
+    velocityDecay: 0.4,
+    chargeStrength: -100,
+    chargeDistanceMax: 300,
+    theta: 0.9,
+    linkStrength: 0.4,
+    centerStrength: 0.02,
+    collisionStrength: 1,
+    padding: 60,
+    // Stop early once no node moves more than this many px in a tick
+    convergenceThreshold: 0.01
+};
+
+// Tie-breaker for nodes at exactly the same height
+const nudge = (a, b) => (a < b ? -1e-3 : 1e-3);
+
+const applyManyBody = (nodes, tree, alpha, { chargeStrength, chargeDistanceMax, theta }) => {
+    const theta2 = theta * theta;
+    const distanceMax2 = chargeDistanceMax * chargeDistanceMax;
+
+    nodes.forEach(node => {
+        visitQuadtree(tree, quad => {
+            const dx = quad.cx - node.x;
+            let dy = quad.cy - node.y;
+            const width = quad.x1 - quad.x0;
+            const l = dx * dx + dy * dy;
+
+            // Far enough away: treat the whole cell as one body
+            if (width * width / theta2 < l) {
+                if (l < distanceMax2) {
+                    node.vy += dy * chargeStrength * alpha * quad.count / l;
+                }
+                return true;
+            }
+            if (quad.children) return false;
+
+            quad.points.forEach(other => {
+                if (other === node) return;
+                const ox = other.x - node.x;
+                dy = other.y - node.y;
+                if (dy === 0) dy = nudge(other.index, node.index);
+                const ol = Math.max(ox * ox + dy * dy, 1);
+                if (ol < distanceMax2) {
+                    node.vy += dy * chargeStrength * alpha / ol;
+                }
+            });
+            return true;
+        });
+    });
+};
+
+const applyLinks = (nodes, links, degrees, alpha, { linkStrength }) => {
+    links.forEach(({ source, target, weight }) => {
+        const s = nodes[source];
+        const t = nodes[target];
+        const dy = (t.y + t.vy) - (s.y + s.vy);
+        const bias = degrees[source] / (degrees[source] + degrees[target]);
+        const k = linkStrength * weight * alpha / Math.min(degrees[source], degrees[target]);
+
+        t.vy -= dy * k * bias;
+        s.vy += dy * k * (1 - bias);
+    });
+};
+
+const applyCenter = (nodes, centerY, alpha, { centerStrength }) => {
+    nodes.forEach(node => {
+        node.vy += (centerY - node.y) * centerStrength * alpha;
+    });
+};
+
+const applyCollision = (nodes, { collisionStrength }) => {
+    // Index where the nodes are heading this tick, not where they are
+    const predicted = nodes.map(node => ({ x: node.x, y: node.y + node.vy, radius: node.radius, node }));
+    const tree = buildQuadtree(predicted);
+
+    predicted.forEach(({ y: yi, node }) => {
+        visitQuadtree(tree, quad => {
+            const reach = node.radius + quad.maxRadius;
+            if (quad.x0 > node.x + reach || quad.x1 < node.x - reach
+                || quad.y0 > yi + reach || quad.y1 < yi - reach) {
+                return true;
+            }
+            if (quad.children) return false;
+
+            quad.points.forEach(({ y: yo, node: other }) => {
+                // Each pair once
+                if (other.index <= node.index) return;
+
+                const dx = node.x - other.x;
+                const minDistance = node.radius + other.radius;
+                if (dx * dx >= minDistance * minDistance) return;
+
+                // X is fixed, so separate vertically by what's still missing
+                const needed = Math.sqrt(minDistance * minDistance - dx * dx);
+                let dy = yi - yo;
+                if (dy === 0) dy = nudge(node.index, other.index);
+                const gap = needed - Math.abs(dy);
+                if (gap <= 0) return;
+
+                const push = Math.sign(dy) * gap * collisionStrength / 2;
+                node.vy += push;
+                other.vy -= push;
+            });
+            return true;
+        });
+    });
+};
+
+/**
+ * Run the simulation until it settles
+ * Node y positions are updated in place.
+ * @param {Array} nodes - { x, y, radius } (x stays where it is)
+ * @param {Array} links - { source, target, weight } with node indices and weight in 0-1
+ * @param {Object} bounds - { width, height } of the canvas
+ * @param {Object} options - Overrides for DEFAULT_FORCE_OPTIONS
+ * @returns {{ iterations: number, converged: boolean }}
+ */
+export const runForceSimulation = (nodes, links, bounds, options = {}) => {
+    const settings = { ...DEFAULT_FORCE_OPTIONS, ...options };
+    const { maxIterations, alphaMin, velocityDecay, padding, convergenceThreshold } = settings;
+    const alphaDecay = 1 - Math.pow(alphaMin, 1 / maxIterations);
+    const minY = padding;
+    const maxY = bounds.height - padding;
+    const centerY = bounds.height / 2;
+
+    nodes.forEach((node, index) => {
+        node.index = index;
+        node.vy = 0;
+    });
+
+    const degrees = new Array(nodes.length).fill(0);
+    links.forEach(({ source, target }) => {
+        degrees[source]++;
+        degrees[target]++;
+    });
+
+    let alpha = 1;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && alpha >= alphaMin) {
+        alpha += -alpha * alphaDecay;
+        iterations++;
+
+        const tree = buildQuadtree(nodes);
+        applyManyBody(nodes, tree, alpha, settings);
+        applyLinks(nodes, links, degrees, alpha, settings);
+        applyCenter(nodes, centerY, alpha, settings);
+        applyCollision(nodes, settings);
+
+        let maxMove = 0;
+        nodes.forEach(node => {
+            node.vy *= 1 - velocityDecay;
+            node.y += node.vy;
+            if (node.y < minY || node.y > maxY) {
+                node.y = Math.max(minY, Math.min(maxY, node.y));
+                node.vy = 0;
+            }
+            maxMove = Math.max(maxMove, Math.abs(node.vy));
+        });
+
+        if (maxMove < convergenceThreshold && iterations > 1) {
+            converged = true;
+            break;
+        }
+    }
+
+    return { iterations, converged };
+};
+
+export default {
+    DEFAULT_FORCE_OPTIONS,
+    runForceSimulation
+};
@@ -0,0 +1,409 @@
+/**
+ * Graph Metrics Utility
+ * Centrality, components and communities for the philosopher networks
+ *
+ * Two networks are supported:
+ * - Influence: directed, from `influenced_by`. Edges point from a philosopher
+ *   to the people who influenced them (like citations), so PageRank flows
+ *   towards the influential.
+ * - Shared concepts: undirected, from buildConstellations, weighted by the
+ *   number of concepts a pair is linked through.
+ */
+
+import { buildConstellations, buildConnectionStrengths } from './connectionBuilder.js';
+
+/**
+ * Network types
+ */
+export const GRAPH_NETWORKS = {
+    INFLUENCE: 'influence',
+    CONCEPTS: 'concepts'
+};
+
+/**
+ * Per-node metrics, with display labels
+ */
+export const GRAPH_METRICS = {
+    pageRank: 'PageRank',
+    betweenness: 'Betweenness',
+    degree: 'Degree'
+};
+
+/**
+ * Build an index-based graph
+ * @param {Array} ids - Node ids
+ * @param {Array} edges - { from, to, weight? } using node ids (unknown ids are skipped)
+ * @param {boolean} directed - Whether edges have a direction
+ * @returns {Object} { ids, index, directed, out, in } where out/in are Arrays of Map(index → weight)
+ */
+export const createGraph = (ids, edges, directed = false) => {
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const out = ids.map(() => new Map());
+    const inbound = directed ? ids.map(() => new Map()) : out;
+
+    edges.forEach(({ from, to, weight = 1 }) => {
+        const a = index.get(from);
+        const b = index.get(to);
+        if (a === undefined || b === undefined || a === b) return;
+        out[a].set(b, (out[a].get(b) || 0) + weight);
+        inbound[b].set(a, (inbound[b].get(a) || 0) + weight);
+    });
+
+    return { ids, index, directed, out, in: inbound };
+};
+
+/**
+ * Directed influence graph (philosopher → influencer)
+ * @param {Array} philosophers - Array of philosopher objects with influenced_by[]
+ * @returns {Object} Graph
+ */
+export const createInfluenceGraph = (philosophers) => {
+    const edges = [];
+    philosophers.forEach(philosopher => {
+        (philosopher.influenced_by || []).forEach(influencerId => {
+            edges.push({ from: philosopher.id, to: influencerId });
+        });
+    });
+    return createGraph(philosophers.map(p => p.id), edges, true);
+};
+
+/**
+ * Undirected shared-concept graph, weighted by connection strength
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Array} concepts - Array of concept objects
+ * @returns {Object} Graph
+ */
+export const createConceptGraph = (philosophers, concepts) => {
+    const strengths = buildConnectionStrengths(buildConstellations(philosophers, concepts));
+    const edges = strengths.map(({ from, to, strength }) => ({ from, to, weight: strength }));
+    return createGraph(philosophers.map(p => p.id), edges, false);
+};
+
+// Neighbours ignoring direction
+const undirectedNeighbors = (graph, i) => {
+    if (!graph.directed) return graph.out[i].keys();
+    return new Set([...graph.out[i].keys(), ...graph.in[i].keys()]).values();
+};
+
+/**
+ * Degree centrality: number of distinct neighbours (in either direction)
+ * @param {Object} graph - createGraph result
+ * @returns {Array} Degree per node index
+ */
+export const degreeCentrality = (graph) => {
+    return graph.ids.map((_, i) => [...undirectedNeighbors(graph, i)].length);
+};
+
+/**
+ * Betweenness centrality (Brandes, unweighted shortest paths)
+ * Normalised to 0-1 by the number of node pairs.
+ * @param {Object} graph - createGraph result
+ * @returns {Array} Betweenness per node index
+ */
+export const betweennessCentrality = (graph) => {
+    const n = graph.ids.length;
+    const centrality = new Array(n).fill(0);
+
+    for (let s = 0; s < n; s++) {
+        const stack = [];
+        const predecessors = Array.from({ length: n }, () => []);
+        const sigma = new Array(n).fill(0);
+        const distance = new Array(n).fill(-1);
+        sigma[s] = 1;
+        distance[s] = 0;
+
+        const queue = [s];
+        for (let q = 0; q < queue.length; q++) {
+            const v = queue[q];
+            stack.push(v);
+            graph.out[v].forEach((_, w) => {
+                if (distance[w] < 0) {
+                    distance[w] = distance[v] + 1;
+                    queue.push(w);
+                }
+                if (distance[w] === distance[v] + 1) {
+                    sigma[w] += sigma[v];
+                    predecessors[w].push(v);
+                }
+            });
+        }
+
+        const delta = new Array(n).fill(0);
+        while (stack.length > 0) {
+            const w = stack.pop();
+            predecessors[w].forEach(v => {
+                delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+            });
+            if (w !== s) centrality[w] += delta[w];
+        }
+    }
+
+    // Undirected paths were counted from both ends
+    const pairs = (n - 1) * (n - 2) / (graph.directed ? 1 : 2);
+    const scale = graph.directed ? 1 : 0.5;
+    return centrality.map(value => (pairs > 0 ? value * scale / pairs : 0));
+};
+
+/**
+ * Weighted PageRank (power iteration)
+ * Nodes without outgoing edges share their rank with everyone.
+ * @param {Object} graph - createGraph result
+ * @param {Object} options - { damping, tolerance, maxIterations }
+ * @returns {Array} Rank per node index (sums to 1)
+ */
+export const pageRank = (graph, { damping = 0.85, tolerance = 1e-8, maxIterations = 100 } = {}) => {
+    const n = graph.ids.length;
+    if (n === 0) return [];
+
+    const outWeight = graph.out.map(edges => {
+        let total = 0;
+        edges.forEach(weight => { total += weight; });
+        return total;
+    });
+
+    let rank = new Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let dangling = 0;
+        for (let i = 0; i < n; i++) {
+            if (outWeight[i] === 0) dangling += rank[i];
+        }
+
+        const base = (1 - damping) / n + damping * dangling / n;
+        const next = new Array(n).fill(base);
+        for (let i = 0; i < n; i++) {
+            if (outWeight[i] === 0) continue;
+            const share = damping * rank[i] / outWeight[i];
+            graph.out[i].forEach((weight, j) => {
+                next[j] += share * weight;
+            });
+        }
+
+        let change = 0;
+        for (let i = 0; i < n; i++) change += Math.abs(next[i] - rank[i]);
+        rank = next;
+        if (change < tolerance) break;
+    }
+
+    return rank;
+};
+
+/**
+ * Connected components (weakly connected for directed graphs)
+ * @param {Object} graph - createGraph result
+ * @returns {Array} Components as arrays of node ids, largest first
+ */
+export const connectedComponents = (graph) => {
+    const seen = new Array(graph.ids.length).fill(false);
+    const components = [];
+
+    graph.ids.forEach((_, start) => {
+        if (seen[start]) return;
+        seen[start] = true;
+        const members = [start];
+        for (let q = 0; q < members.length; q++) {
+            for (const next of undirectedNeighbors(graph, members[q])) {
+                if (!seen[next]) {
+                    seen[next] = true;
+                    members.push(next);
+                }
+            }
+        }
+        components.push(members.map(i => graph.ids[i]));
+    });
+
+    return components.sort((a, b) => b.length - a.length);
+};
+
+// Undirected weighted edge list over node indices (directed edges merged)
+const undirectedEdges = (graph) => {
+    const weights = new Map();
+    graph.out.forEach((edges, a) => {
+        edges.forEach((weight, b) => {
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            weights.set(key, (weights.get(key) || 0) + weight);
+        });
+    });
+    return [...weights].map(([key, weight]) => {
+        const [a, b] = key.split('-').map(Number);
+        return { a, b, weight };
+    });
+};
+
+/**
+ * One Louvain pass: move nodes between communities while modularity improves
+ * @returns {Array|null} Community per node, or null if nothing moved
+ */
+const louvainLocalMoving = (adjacency, degrees, totalWeight) => {
+    const size = adjacency.length;
+    const community = Array.from({ length: size }, (_, i) => i);
+    const communityTotal = degrees.slice();
+    let improved = false;
+    let moved = true;
+
+    for (let pass = 0; moved && pass < 100; pass++) {
+        moved = false;
+        for (let i = 0; i < size; i++) {
+            const current = community[i];
+            const linksTo = new Map();
+            adjacency[i].forEach((weight, j) => {
+                if (j === i) return;
+                linksTo.set(community[j], (linksTo.get(community[j]) || 0) + weight);
+            });
+
+            communityTotal[current] -= degrees[i];
+            let best = current;
+            let bestGain = (linksTo.get(current) || 0) - communityTotal[current] * degrees[i] / totalWeight;
+            linksTo.forEach((weight, candidate) => {
+                const gain = weight - communityTotal[candidate] * degrees[i] / totalWeight;
+                if (gain > bestGain + 1e-12) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            });
+            communityTotal[best] += degrees[i];
+
+            if (best !== current) {
+                community[i] = best;
+                moved = true;
+                improved = true;
+            }
+        }
+    }
+
+    return improved ? community : null;
+};
+
+/**
+ * Community detection with the Louvain method (edge direction is ignored)
+ * Deterministic: nodes are always visited in index order.
+ * @param {Object} graph - createGraph result
+ * @returns {Object} { communities: arrays of node ids (largest first), modularity }
+ */
+export const detectCommunities = (graph) => {
+    const n = graph.ids.length;
+    const edges = undirectedEdges(graph);
+    let membership = Array.from({ length: n }, (_, i) => i);
+
+    // Current level: adjacency (self loops hold internal weight) and weighted degrees
+    let adjacency = Array.from({ length: n }, () => new Map());
+    let degrees = new Array(n).fill(0);
+    edges.forEach(({ a, b, weight }) => {
+        adjacency[a].set(b, weight);
+        adjacency[b].set(a, weight);
+        degrees[a] += weight;
+        degrees[b] += weight;
+    });
+    const totalWeight = degrees.reduce((sum, d) => sum + d, 0);
+
+    while (totalWeight > 0) {
+        const community = louvainLocalMoving(adjacency, degrees, totalWeight);
+        if (!community) break;
+
+        // Renumber communities 0..k-1 and fold them into single nodes
+        const renumber = new Map();
+        community.forEach(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+        });
+        membership = membership.map(level => renumber.get(community[level]));
+
+        const nextAdjacency = Array.from({ length: renumber.size }, () => new Map());
+        const nextDegrees = new Array(renumber.size).fill(0);
+        adjacency.forEach((links, i) => {
+            const ci = renumber.get(community[i]);
+            nextDegrees[ci] += degrees[i];
+            links.forEach((weight, j) => {
+                const cj = renumber.get(community[j]);
+                // Edges inside a community are seen from both ends, self loops once
+                const added = ci !== cj || i === j ? weight : weight / 2;
+                nextAdjacency[ci].set(cj, (nextAdjacency[ci].get(cj) || 0) + added);
+            });
+        });
+
+        if (renumber.size === adjacency.length) break;
+        adjacency = nextAdjacency;
+        degrees = nextDegrees;
+    }
+
+    // Group ids by final community
+    const groups = new Map();
+    membership.forEach((c, i) => {
+        if (!groups.has(c)) groups.set(c, []);
+        groups.get(c).push(graph.ids[i]);
+    });
+    const communities = [...groups.values()].sort((a, b) => b.length - a.length);
+
+    // Q = Σc (internal / m - (total / 2m)²)
+    let modularity = 0;
+    if (totalWeight > 0) {
+        const internal = new Map();
+        const total = new Map();
+        edges.forEach(({ a, b, weight }) => {
+            const ca = membership[a];
+            total.set(ca, (total.get(ca) || 0) + weight);
+            total.set(membership[b], (total.get(membership[b]) || 0) + weight);
+            if (ca === membership[b]) internal.set(ca, (internal.get(ca) || 0) + weight);
+        });
+        total.forEach((sum, c) => {
+            modularity += 2 * (internal.get(c) || 0) / totalWeight - Math.pow(sum / totalWeight, 2);
+        });
+    }
+
+    return { communities, modularity };
+};
+
+/**
+ * All metrics for a network
+ * @param {Object} graph - createGraph result
+ * @returns {Object} { nodes: Map id → { degree, betweenness, pageRank, component, community }, components, communities, modularity }
+ */
+export const computeGraphMetrics = (graph) => {
+    const degree = degreeCentrality(graph);
+    const betweenness = betweennessCentrality(graph);
+    const ranks = pageRank(graph);
+    const components = connectedComponents(graph);
+    const { communities, modularity } = detectCommunities(graph);
+
+    const componentOf = new Map();
+    components.forEach((members, c) => members.forEach(id => componentOf.set(id, c)));
+    const communityOf = new Map();
+    communities.forEach((members, c) => members.forEach(id => communityOf.set(id, c)));
+
+    const nodes = new Map(graph.ids.map((id, i) => [id, {
+        degree: degree[i],
+        betweenness: betweenness[i],
+        pageRank: ranks[i],
+        component: componentOf.get(id),
+        community: communityOf.get(id)
+    }]));
+
+    return { nodes, components, communities, modularity };
+};
+
+/**
+ * Metrics for one of the philosopher networks
+ * @param {string} network - GRAPH_NETWORKS value
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Array} concepts - Array of concept objects
+ * @returns {Object} computeGraphMetrics result
+ */
+export const computeNetworkMetrics = (network, philosophers, concepts) => {
+    const graph = network === GRAPH_NETWORKS.CONCEPTS
+        ? createConceptGraph(philosophers, concepts)
+        : createInfluenceGraph(philosophers);
+    return computeGraphMetrics(graph);
+};
+
+export default {
+    GRAPH_NETWORKS,
+    GRAPH_METRICS,
+    createGraph,
+    createInfluenceGraph,
+    createConceptGraph,
+    degreeCentrality,
+    betweennessCentrality,
+    pageRank,
+    connectedComponents,
+    detectCommunities,
+    computeGraphMetrics,
+    computeNetworkMetrics
+};
@@ -0,0 +1,163 @@
+/**
+ * Influence Graph Utility
+ * Queries over the directed graph from buildInfluenceConnections
+ * (edge: influencer → influenced philosopher)
+ */
+
+/**
+ * Build adjacency lists from influence connections
+ * @param {Array} influenceConnections - Output of buildInfluenceConnections
+ * @returns {Object} { successors, predecessors } Maps of id → [id, ...]
+ */
+export const buildInfluenceGraph = (influenceConnections) => {
+    const successors = new Map();
+    const predecessors = new Map();
+
+    const add = (map, key, value) => {
+        if (!map.has(key)) map.set(key, []);
+        if (!map.get(key).includes(value)) map.get(key).push(value);
+    };
+
+    influenceConnections.forEach(({ from, to }) => {
+        add(successors, from, to);
+        add(predecessors, to, from);
+    });
+
+    return { successors, predecessors };
+};
+
+/**
+ * Breadth-first distances from a node
+ * @param {Map} adjacency - id → [id, ...]
+ * @param {number} start - Start id
+ * @returns {Map} id → number of edges from start
+ */
+const bfsDistances = (adjacency, start) => {
+    const distances = new Map([[start, 0]]);
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        (adjacency.get(current) || []).forEach(next => {
+            if (!distances.has(next)) {
+                distances.set(next, distances.get(current) + 1);
+                queue.push(next);
+            }
+        });
+    }
+
+    return distances;
+};
+
+/**
+ * Shortest influence chain from one philosopher to another
+ * @param {Object} graph - buildInfluenceGraph result
+ * @param {number} fromId - Earlier philosopher
+ * @param {number} toId - Later philosopher
+ * @returns {Array|null} Philosopher ids from fromId to toId, or null if unconnected
+ */
+export const findShortestInfluencePath = (graph, fromId, toId) => {
+    if (fromId === toId) return [fromId];
+
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        for (const next of graph.successors.get(current) || []) {
+            if (previous.has(next)) continue;
+            previous.set(next, current);
+            if (next === toId) {
+                const path = [toId];
+                let step = current;
+                while (step !== null) {
+                    path.unshift(step);
+                    step = previous.get(step);
+                }
+                return path;
+            }
+            queue.push(next);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * All simple influence chains up to a length limit, shortest first
+ * Chains are enumerated one length at a time so the search can stop as soon
+ * as `limit` is reached; branches that can't reach the target in time are
+ * pruned using BFS distances on the reversed graph.
+ * @param {Object} graph - buildInfluenceGraph result
+ * @param {number} fromId - Earlier philosopher
+ * @param {number} toId - Later philosopher
+ * @param {Object} options - { maxLength: max edges, limit: max paths returned }
+ * @returns {Array} Paths (arrays of ids)
+ */
+export const findAllInfluencePaths = (graph, fromId, toId, { maxLength = 6, limit = 50 } = {}) => {
+    const distanceToTarget = bfsDistances(graph.predecessors, toId);
+    const shortestLength = distanceToTarget.get(fromId);
+    if (shortestLength === undefined || shortestLength > maxLength) return [];
+
+    const paths = [];
+    const path = [fromId];
+    const onPath = new Set(path);
+
+    // Depth-first search for chains of exactly `length` edges
+    const walk = (current, length) => {
+        if (paths.length >= limit) return;
+        if (current === toId) {
+            if (path.length - 1 === length) paths.push([...path]);
+            return;
+        }
+        for (const next of graph.successors.get(current) || []) {
+            const remaining = distanceToTarget.get(next);
+            if (onPath.has(next) || remaining === undefined || path.length + remaining > length) continue;
+            path.push(next);
+            onPath.add(next);
+            walk(next, length);
+            path.pop();
+            onPath.delete(next);
+        }
+    };
+
+    for (let length = shortestLength; length <= maxLength && paths.length < limit; length++) {
+        walk(fromId, length);
+    }
+
+    return paths;
+};
+
+/**
+ * Trace lineage between two philosophers in whichever direction exists
+ * @param {Array} influenceConnections - Output of buildInfluenceConnections
+ * @param {number} aId - First philosopher
+ * @param {number} bId - Second philosopher
+ * @param {Object} options - Passed to findAllInfluencePaths
+ * @returns {Object} { fromId, toId, shortest, paths } (shortest is null when unconnected)
+ */
+export const traceInfluenceLineage = (influenceConnections, aId, bId, options = {}) => {
+    const graph = buildInfluenceGraph(influenceConnections);
+
+    // Try a → b first, then b → a
+    for (const [fromId, toId] of [[aId, bId], [bId, aId]]) {
+        const shortest = findShortestInfluencePath(graph, fromId, toId);
+        if (shortest) {
+            return {
+                fromId,
+                toId,
+                shortest,
+                paths: findAllInfluencePaths(graph, fromId, toId, options)
+            };
+        }
+    }
+
+    return { fromId: aId, toId: bId, shortest: null, paths: [] };
+};
+
+export default {
+    buildInfluenceGraph,
+    findShortestInfluencePath,
+    findAllInfluencePaths,
+    traceInfluenceLineage
+};
@@ -0,0 +1,85 @@
+/**
+ * Layout Tasks
+ * The layouts that can run in the layout worker, plus helpers for moving
+ * them across the worker boundary
+ *
+ * Message protocol (see workers/layout.worker.js):
+ *   in:  { id, kind, philosophers, canvasSize, options }
+ *   out: { id, layout } or { id, error }
+ * Philosopher objects are stripped from results before posting and
+ * re-attached on the main thread, so components keep the dataset's objects.
+ */
+
+import { computeStarPositions, computeInitialPositions } from './constellationLayout.js';
+import { computeMetroLayout } from './metroLayout.js';
+
+/**
+ * Available layout kinds
+ */
+export const LAYOUT_KINDS = {
+    CONSTELLATION: 'constellation',
+    METRO: 'metro'
+};
+
+const LAYOUT_FUNCTIONS = {
+    [LAYOUT_KINDS.CONSTELLATION]: computeStarPositions,
+    [LAYOUT_KINDS.METRO]: computeMetroLayout
+};
+
+// Objects in each layout that carry a `philosopher` reference
+const getLayoutItems = (kind, layout) => (kind === LAYOUT_KINDS.METRO ? layout.stations : layout);
+
+/**
+ * Compute a layout synchronously
+ * @param {string} kind - One of LAYOUT_KINDS
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Object} canvasSize - { width, height }
+ * @param {Object} options - Layout options, e.g. { timeScale, eras }
+ * @returns {Array|Object} Star positions or metro layout
+ */
+export const computeLayout = (kind, philosophers, canvasSize, options = {}) => {
+    const compute = LAYOUT_FUNCTIONS[kind];
+    if (!compute) {
+        throw new Error(`Unknown layout kind "${kind}"`);
+    }
+    return compute(philosophers, canvasSize, options);
+};
+
+/**
+ * Cheap stand-in shown until the real layout arrives
+ * Constellation: time-based starting positions; metro: empty lines
+ */
+export const computePlaceholderLayout = (kind, philosophers, canvasSize, options = {}) => {
+    return kind === LAYOUT_KINDS.METRO
+        ? computeMetroLayout([], canvasSize, options)
+        : computeInitialPositions(philosophers, canvasSize, options);
+};
+
+/**
+ * Remove philosopher objects before posting a layout (mutates)
+ */
+export const dehydrateLayout = (kind, layout) => {
+    getLayoutItems(kind, layout).forEach(item => {
+        delete item.philosopher;
+    });
+    return layout;
+};
+
+/**
+ * Re-attach philosopher objects by id after receiving a layout (mutates)
+ */
+export const hydrateLayout = (kind, layout, philosophers) => {
+    const byId = new Map(philosophers.map(p => [p.id, p]));
+    getLayoutItems(kind, layout).forEach(item => {
+        item.philosopher = byId.get(item.id);
+    });
+    return layout;
+};
+
+export default {
+    LAYOUT_KINDS,
+    computeLayout,
+    computePlaceholderLayout,
+    dehydrateLayout,
+    hydrateLayout
+};
@@ -9,7 +9,8 @@
  * - Time flows left to right
  */
 
-import { parseYear, normalizeYear } from './yearParser.js';
+import { parseYear } from './yearParser.js';
+import { createTimeScale } from './timeScale.js';
 
 /**
  * Concept line definitions with colors and vertical positions
@@ -69,9 +70,10 @@ const getPhilosopherLines = (philosopher) => {
  * Calculate metro station positions
  * @param {Array} philosophers - Array of philosopher objects
  * @param {Object} canvasSize - { width, height }
+ * @param {Object} options - { timeScale: key of TIME_SCALES for the X axis, eras: era definitions }
  * @returns {Object} { stations, lines, interchanges }
  */
-export const computeMetroLayout = (philosophers, canvasSize) => {
+export const computeMetroLayout = (philosophers, canvasSize, { timeScale, eras } = {}) => {
     const { width, height } = canvasSize;
     const padding = { left: 120, right: 80, top: 100, bottom: 120 };
 
@@ -81,16 +83,17 @@ export const computeMetroLayout = (philosophers, canvasSize) => {
     const lineCount = Object.keys(METRO_LINES).length;
     const lineSpacing = usableHeight / (lineCount + 1);
 
-    // Sort philosophers by year
-    const sortedPhilosophers = [...philosophers].sort((a, b) => {
-        return parseYear(a.year) - parseYear(b.year);
-    });
+    const scale = createTimeScale(timeScale, philosophers, { eras });
+
+    // Sort philosophers by year; without a readable year there is no place on the line
+    const sortedPhilosophers = philosophers
+        .filter(philosopher => parseYear(philosopher.year) !== null)
+        .sort((a, b) => parseYear(a.year) - parseYear(b.year));
 
     // Calculate X positions based on time
     const stations = sortedPhilosophers.map((philosopher) => {
         const year = parseYear(philosopher.year);
-        const normalizedX = normalizeYear(year);
-        const x = padding.left + normalizedX * usableWidth;
+        const x = padding.left + scale.toPosition(year) * usableWidth;
 
         // Get primary line for Y position
         const primaryLine = getPrimaryLine(philosopher);
@@ -274,22 +277,7 @@ const buildInterchangeData = (stations) => {
     return interchanges;
 };
 
-/**
- * Get era color
- */
-export const getEraColor = (era) => {
-    const colors = {
-        'Ancient & Classical Thought': '#d4a574',
-        'Medieval & Renaissance Philosophy': '#4a90d9',
-        'The Age of Reason & Enlightenment': '#f5a623',
-        '19th Century Philosophy': '#e74c3c',
-        'Contemporary Thought': '#9b59b6'
-    };
-    return colors[era] || '#8b5cf6';
-};
-
 export default {
     computeMetroLayout,
-    METRO_LINES,
-    getEraColor
+    METRO_LINES
 };
@@ -0,0 +1,62 @@
+/**
+ * Poster Layout Utility
+ * Paper sizes and page tiling for printing a large map across several sheets
+ *
+ * All measurements are in millimetres, landscape orientation.
+ */
+
+/**
+ * Standard paper sizes (landscape)
+ */
+export const PAPER_SIZES = {
+    A0: { label: 'A0', width: 1189, height: 841 },
+    A1: { label: 'A1', width: 841, height: 594 },
+    A2: { label: 'A2', width: 594, height: 420 },
+    A3: { label: 'A3', width: 420, height: 297 },
+    A4: { label: 'A4', width: 297, height: 210 },
+    Letter: { label: 'US Letter', width: 279.4, height: 215.9 }
+};
+
+// CSS reference pixels per millimetre (96 dpi)
+export const PX_PER_MM = 96 / 25.4;
+
+/**
+ * Split a poster into printable page tiles
+ * Neighbouring tiles share `overlap` mm so the sheets can be trimmed and glued.
+ * @param {Object} posterSize - { width, height } in mm
+ * @param {Object} pageSize - { width, height } of one sheet in mm
+ * @param {Object} options - { margin, overlap } in mm
+ * @returns {{ columns: number, rows: number, tiles: Array }}
+ *   tiles: { row, column, x, y, width, height } — the poster area printed on each sheet
+ */
+export const computePosterTiles = (posterSize, pageSize, { margin = 10, overlap = 10 } = {}) => {
+    const printableWidth = pageSize.width - margin * 2;
+    const printableHeight = pageSize.height - margin * 2;
+    const stepX = printableWidth - overlap;
+    const stepY = printableHeight - overlap;
+
+    const columns = Math.max(1, Math.ceil((posterSize.width - overlap) / stepX));
+    const rows = Math.max(1, Math.ceil((posterSize.height - overlap) / stepY));
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            tiles.push({
+                row,
+                column,
+                x: column * stepX,
+                y: row * stepY,
+                width: printableWidth,
+                height: printableHeight
+            });
+        }
+    }
+
+    return { columns, rows, tiles };
+};
+
+export default {
+    PAPER_SIZES,
+    PX_PER_MM,
+    computePosterTiles
+};
@@ -0,0 +1,137 @@
+/**
+ * Quadtree Utility
+ * Spatial index over { x, y, radius } points, used by the force layout for
+ * Barnes-Hut repulsion and collision lookups in O(n log n)
+ *
+ * Each node keeps aggregates of everything below it:
+ *   count    - number of points
+ *   cx, cy   - centre of mass
+ *   maxRadius - largest point radius (for collision pruning)
+ */
+
+// Points per leaf before it splits
+const LEAF_CAPACITY = 4;
+// Stops coincident points from splitting forever
+const MAX_DEPTH = 20;
+
+const createNode = (x0, y0, x1, y1, depth) => ({
+    x0, y0, x1, y1,
+    depth,
+    points: [],
+    children: null,
+    count: 0,
+    cx: 0,
+    cy: 0,
+    maxRadius: 0
+});
+
+const childIndex = (node, point) => {
+    const midX = (node.x0 + node.x1) / 2;
+    const midY = (node.y0 + node.y1) / 2;
+    return (point.x >= midX ? 1 : 0) + (point.y >= midY ? 2 : 0);
+};
+
+const split = (node) => {
+    const { x0, y0, x1, y1, depth } = node;
+    const midX = (x0 + x1) / 2;
+    const midY = (y0 + y1) / 2;
+    node.children = [
+        createNode(x0, y0, midX, midY, depth + 1),
+        createNode(midX, y0, x1, midY, depth + 1),
+        createNode(x0, midY, midX, y1, depth + 1),
+        createNode(midX, midY, x1, y1, depth + 1)
+    ];
+    node.points.forEach(point => insert(node.children[childIndex(node, point)], point));
+    node.points = null;
+};
+
+const insert = (node, point) => {
+    if (node.children) {
+        insert(node.children[childIndex(node, point)], point);
+        return;
+    }
+    node.points.push(point);
+    if (node.points.length > LEAF_CAPACITY && node.depth < MAX_DEPTH) {
+        split(node);
+    }
+};
+
+// Fill in count / centre of mass / maxRadius bottom-up
+const accumulate = (node) => {
+    let count = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let maxRadius = 0;
+
+    if (node.children) {
+        node.children.forEach(child => {
+            accumulate(child);
+            if (child.count === 0) return;
+            count += child.count;
+            sumX += child.cx * child.count;
+            sumY += child.cy * child.count;
+            maxRadius = Math.max(maxRadius, child.maxRadius);
+        });
+    } else {
+        node.points.forEach(point => {
+            count++;
+            sumX += point.x;
+            sumY += point.y;
+            maxRadius = Math.max(maxRadius, point.radius || 0);
+        });
+    }
+
+    node.count = count;
+    node.cx = count > 0 ? sumX / count : 0;
+    node.cy = count > 0 ? sumY / count : 0;
+    node.maxRadius = maxRadius;
+};
+
+/**
+ * Build a quadtree over a set of points
+ * @param {Array} points - Objects with x, y and optional radius
+ * @returns {Object} Root node
+ */
+export const buildQuadtree = (points) => {
+    let x0 = Infinity;
+    let y0 = Infinity;
+    let x1 = -Infinity;
+    let y1 = -Infinity;
+    points.forEach(({ x, y }) => {
+        x0 = Math.min(x0, x);
+        y0 = Math.min(y0, y);
+        x1 = Math.max(x1, x);
+        y1 = Math.max(y1, y);
+    });
+
+    if (points.length === 0) {
+        return createNode(0, 0, 0, 0, 0);
+    }
+
+    // Square bounds keep cells square, which Barnes-Hut's size/distance test assumes
+    const size = Math.max(x1 - x0, y1 - y0, 1);
+    const root = createNode(x0, y0, x0 + size + 1e-6, y0 + size + 1e-6, 0);
+    points.forEach(point => insert(root, point));
+    accumulate(root);
+    return root;
+};
+
+/**
+ * Visit nodes depth-first; return true from the callback to skip a node's children
+ * @param {Object} root - Quadtree root
+ * @param {Function} callback - (node) => boolean
+ */
+export const visitQuadtree = (root, callback) => {
+    const stack = [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.count === 0) continue;
+        if (callback(node) || !node.children) continue;
+        for (let i = 3; i >= 0; i--) stack.push(node.children[i]);
+    }
+};
+
+export default {
+    buildQuadtree,
+    visitQuadtree
+};
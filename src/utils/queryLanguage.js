@@ -0,0 +1,355 @@
+/**
+ * Query Language Utility
+ * Structured queries for the telescope search, e.g.
+ *   era:medieval concept:Ethics influenced-by:aristotle born<1300
+ *   (concept:Ethics OR concept:Logic) NOT era:ancient
+ *
+ * - field:value filters (values with spaces in quotes: name:"de beauvoir")
+ * - year comparisons with < <= > >= = on year, born and died (parsed with parseYear)
+ * - AND (implicit between terms), OR, NOT or a leading "-" (also before a group: -(...)), parentheses
+ * - anything else is free text, matched through the full-text search index
+ */
+
+import { parseYear, parseYearInput, parseBirthDeath } from './yearParser.js';
+import { getEraKey } from './eras.js';
+import { foldText, formatConceptName } from './searchIndex.js';
+
+/**
+ * Supported fields
+ */
+export const QUERY_FIELDS = {
+    era: { kind: 'era', description: 'Era, e.g. era:medieval' },
+    concept: { kind: 'concept', description: 'Holds a concept, e.g. concept:Ethics' },
+    'influenced-by': { kind: 'philosopher', description: 'Was influenced by, e.g. influenced-by:aristotle' },
+    influenced: { kind: 'philosopher', description: 'Influenced someone, e.g. influenced:kant' },
+    type: { kind: 'type', description: 'major or minor' },
+    name: { kind: 'text', description: 'Name contains' },
+    year: { kind: 'year', description: 'Main year, e.g. year>=1600' },
+    born: { kind: 'year', description: 'Birth year, e.g. born<1300' },
+    died: { kind: 'year', description: 'Death year, e.g. died>500BC' }
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const FIELD_PATTERN = /^(-?)([a-z][a-z-]*)(<=|>=|<|>|=|:)("[^"]*"?|[^\s()]*)/i;
+
+// Lower-case, accent-free, without spaces ("Political Philosophy" → "politicalphilosophy")
+const normalizeValue = (value) => foldText(value).replace(/\s+/g, '');
+
+const unquote = (value) => value.replace(/^"/, '').replace(/"$/, '');
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array} { type: 'paren'|'keyword'|'field'|'text', ... , start, end }
+ */
+export const tokenizeQuery = (text) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: 'paren', value: ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const rest = text.slice(i);
+        const field = rest.match(FIELD_PATTERN);
+        if (field && QUERY_FIELDS[field[2].toLowerCase()]) {
+            tokens.push({
+                type: 'field',
+                negated: field[1] === '-',
+                field: field[2].toLowerCase(),
+                op: field[3] === '=' ? ':' : field[3],
+                value: unquote(field[4]),
+                start: i,
+                end: i + field[0].length
+            });
+            i += field[0].length;
+            continue;
+        }
+
+        // "-(...)" negates the whole group
+        if (ch === '-' && rest[1] === '(') {
+            tokens.push({ type: 'keyword', value: 'NOT', start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const negated = ch === '-' && rest.length > 1 && !/[\s)]/.test(rest[1]);
+        const body = negated ? rest.slice(1) : rest;
+        const match = body.startsWith('"')
+            ? body.match(/^"[^"]*"?/)
+            : body.match(/^[^\s()]+/);
+        const word = match ? match[0] : ch;
+        const length = word.length + (negated ? 1 : 0);
+
+        if (!negated && KEYWORDS.includes(word)) {
+            tokens.push({ type: 'keyword', value: word, start: i, end: i + length });
+        } else {
+            tokens.push({ type: 'text', negated, value: unquote(word), start: i, end: i + length });
+        }
+        i += length;
+    }
+
+    return tokens;
+};
+
+/**
+ * Whether the input uses any query syntax (otherwise it's a plain search)
+ * @param {string} text - Query text
+ * @returns {boolean}
+ */
+export const isStructuredQuery = (text) => {
+    return tokenizeQuery(text).some(token => token.type !== 'text' || token.negated);
+};
+
+/**
+ * Parse a query into a syntax tree
+ * Throws an Error with a readable message for malformed queries.
+ * @param {string} text - Query text
+ * @returns {Object} Node: { type: 'and'|'or', children } | { type: 'not', child } | { type: 'field', field, op, value } | { type: 'text', value }
+ */
+export const parseQuery = (text) => {
+    const tokens = tokenizeQuery(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isKeyword = (token, value) => token?.type === 'keyword' && token.value === value;
+
+    const negate = (node, negated) => (negated ? { type: 'not', child: node } : node);
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) throw new Error('Query ends too early');
+
+        if (isKeyword(token, 'NOT')) {
+            position++;
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === 'paren' && token.value === '(') {
+            position++;
+            const node = parseOr();
+            if (peek()?.value !== ')') throw new Error('Missing ")"');
+            position++;
+            return node;
+        }
+        if (token.type === 'field') {
+            position++;
+            if (!token.value) throw new Error(`"${token.field}" needs a value`);
+            const isYear = QUERY_FIELDS[token.field].kind === 'year';
+            if (!isYear && token.op !== ':') {
+                throw new Error(`"${token.field}" can't be compared with ${token.op}`);
+            }
+            return negate({ type: 'field', field: token.field, op: token.op, value: token.value }, token.negated);
+        }
+        if (token.type === 'text') {
+            position++;
+            return negate({ type: 'text', value: token.value }, token.negated);
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        while (peek() && !isKeyword(peek(), 'OR') && peek().value !== ')') {
+            if (isKeyword(peek(), 'AND')) position++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (isKeyword(peek(), 'OR')) {
+            position++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    if (tokens.length === 0) throw new Error('Empty query');
+    const tree = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+    return tree;
+};
+
+const compare = (a, op, b) => {
+    if (a === null || a === undefined || Number.isNaN(a)) return false;
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return a === b;
+    }
+};
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} tree - parseQuery result
+ * @param {Object} context - { philosophers, eras, search } where eras are the dataset's
+ *   era definitions and search(text) returns full-text results
+ * @returns {Set} Matching philosopher ids
+ */
+export const evaluateQuery = (tree, { philosophers, eras = [], search }) => {
+    const all = new Set(philosophers.map(p => p.id));
+    const allConcepts = [...new Set(philosophers.flatMap(p => p.concepts || []))];
+    const byYears = new Map(philosophers.map(p => [p.id, { year: parseYear(p.year), ...parseBirthDeath(p) }]));
+
+    // Philosophers whose name contains the value
+    const namedIds = (value) => {
+        const wanted = foldText(value);
+        return new Set(philosophers.filter(p => foldText(p.title).includes(wanted)).map(p => p.id));
+    };
+
+    const matchField = ({ field, op, value }) => {
+        const normalized = normalizeValue(value);
+
+        switch (QUERY_FIELDS[field].kind) {
+            case 'era':
+                return new Set(philosophers.filter(p => {
+                    return getEraKey(eras, p.era).startsWith(normalized) || normalizeValue(p.era || '').includes(normalized);
+                }).map(p => p.id));
+            case 'concept': {
+                // Exact concept name, or every concept starting with the value
+                const exact = allConcepts.filter(c => normalizeValue(c) === normalized);
+                const matching = new Set(exact.length > 0
+                    ? exact
+                    : allConcepts.filter(c => normalizeValue(c).startsWith(normalized)));
+                return new Set(philosophers.filter(p => (p.concepts || []).some(c => matching.has(c))).map(p => p.id));
+            }
+            case 'philosopher': {
+                const targets = namedIds(value);
+                if (field === 'influenced-by') {
+                    return new Set(philosophers
+                        .filter(p => (p.influenced_by || []).some(id => targets.has(id)))
+                        .map(p => p.id));
+                }
+                const influencers = new Set(philosophers
+                    .filter(p => targets.has(p.id))
+                    .flatMap(p => p.influenced_by || []));
+                return new Set([...all].filter(id => influencers.has(id)));
+            }
+            case 'type':
+                return new Set(philosophers.filter(p => (p.type || 'major') === normalized).map(p => p.id));
+            case 'year': {
+                const year = parseYearInput(value);
+                if (year === null) throw new Error(`"${value}" is not a year`);
+                const key = field === 'born' ? 'birth' : field === 'died' ? 'death' : 'year';
+                return new Set([...all].filter(id => compare(byYears.get(id)[key], op, year)));
+            }
+            default:
+                return namedIds(value);
+        }
+    };
+
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'and':
+                return node.children.map(evaluate).reduce((acc, set) => new Set([...acc].filter(id => set.has(id))));
+            case 'or':
+                return node.children.map(evaluate).reduce((acc, set) => new Set([...acc, ...set]));
+            case 'not': {
+                const excluded = evaluate(node.child);
+                return new Set([...all].filter(id => !excluded.has(id)));
+            }
+            case 'field':
+                return matchField(node);
+            default:
+                return new Set(search(node.value)
+                    .filter(result => result.type === 'philosopher')
+                    .map(result => result.id));
+        }
+    };
+
+    return evaluate(tree);
+};
+
+/**
+ * Parse and evaluate a query
+ * @param {string} text - Query text
+ * @param {Object} context - See evaluateQuery
+ * @returns {Object} { ids: Set, error: string|null }
+ */
+export const runQuery = (text, context) => {
+    try {
+        return { ids: evaluateQuery(parseQuery(text), context), error: null };
+    } catch (error) {
+        return { ids: new Set(), error: error.message };
+    }
+};
+
+/**
+ * Autocomplete for the word being typed
+ * @param {string} text - Query text (cursor assumed at the end)
+ * @param {Object} context - { philosophers, concepts, eraKeys }
+ * @returns {Array} { label, description, text } where text is the completed query
+ */
+export const getQuerySuggestions = (text, { philosophers, concepts, eraKeys }) => {
+    const current = text.match(/(?:^|[\s(])(-?[^\s(]*(?:"[^"]*)?)$/);
+    const word = current ? current[1] : '';
+    const before = text.slice(0, text.length - word.length);
+    if (!word) return [];
+
+    const negation = word.startsWith('-') ? '-' : '';
+    const body = word.slice(negation.length);
+    const field = body.match(/^([a-z-]+)(<=|>=|<|>|=|:)(.*)$/i);
+
+    // Field names
+    if (!field) {
+        const prefix = body.toLowerCase();
+        return Object.entries(QUERY_FIELDS)
+            .filter(([name]) => name.startsWith(prefix) && name !== prefix)
+            .map(([name, { kind, description }]) => ({
+                label: `${name}${kind === 'year' ? '<' : ':'}`,
+                description,
+                text: `${before}${negation}${name}${kind === 'year' ? '<' : ':'}`
+            }));
+    }
+
+    const [, name, op] = field;
+    const definition = QUERY_FIELDS[name.toLowerCase()];
+    if (!definition) return [];
+
+    const partial = normalizeValue(unquote(field[3]));
+    let values = [];
+    if (definition.kind === 'era') values = eraKeys;
+    if (definition.kind === 'type') values = ['major', 'minor'];
+    if (definition.kind === 'concept') {
+        values = [...new Set([...concepts.map(c => c.concept), ...philosophers.flatMap(p => p.concepts || [])])];
+    }
+    if (definition.kind === 'philosopher' || definition.kind === 'text') {
+        values = philosophers.map(p => p.title);
+    }
+
+    return values
+        .filter(value => normalizeValue(value).includes(partial) && normalizeValue(value) !== partial)
+        .sort((a, b) => Number(!normalizeValue(a).startsWith(partial)) - Number(!normalizeValue(b).startsWith(partial))
+            || a.localeCompare(b))
+        .slice(0, 8)
+        .map(value => {
+            const formatted = definition.kind === 'concept' ? formatConceptName(value) : value;
+            const inserted = /\s/.test(value) ? `"${value}"` : value;
+            return {
+                label: formatted,
+                description: `${name}${op}`,
+                text: `${before}${negation}${name}${op}${inserted} `
+            };
+        });
+};
+
+export default {
+    QUERY_FIELDS,
+    tokenizeQuery,
+    isStructuredQuery,
+    parseQuery,
+    evaluateQuery,
+    runQuery,
+    getQuerySuggestions
+};
@@ -0,0 +1,34 @@
+/**
+ * Query Language Tests
+ * A leading "-" negates a single term or a whole parenthesized group
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isStructuredQuery, parseQuery, runQuery } from './queryLanguage';
+import eras from '../pages/eras.json';
+
+const philosophers = [
+    { id: 1, title: 'Plato', era: 'Ancient & Classical Thought', type: 'major', year: '400 BC', concepts: ['Idealism'] },
+    { id: 2, title: 'Thomas Aquinas', era: 'Medieval & Renaissance Philosophy', type: 'major', year: '1260', concepts: ['Ethics'] },
+    { id: 3, title: 'Immanuel Kant', era: 'The Age of Reason & Enlightenment', type: 'major', year: '1781', concepts: ['Ethics'] }
+];
+
+describe('negated groups', () => {
+    it('reads "-(" as NOT applied to the group', () => {
+        expect(parseQuery('-(era:ancient)')).toEqual({
+            type: 'not',
+            child: { type: 'field', field: 'era', op: ':', value: 'ancient' }
+        });
+    });
+
+    it.each(['-(era:ancient)', 'plato -(x)', '-(', '-)'])('does not throw on "%s"', (text) => {
+        expect(() => isStructuredQuery(text)).not.toThrow();
+    });
+
+    it('excludes everyone the group matches', () => {
+        const { ids, error } = runQuery('concept:Ethics -(era:medieval OR type:minor)', { philosophers, eras });
+
+        expect(error).toBeNull();
+        expect([...ids]).toEqual([3]);
+    });
+});
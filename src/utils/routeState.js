@@ -0,0 +1,211 @@
+/**
+ * Route State Utility
+ * Converts between URLs and the shared explorer state (view mode,
+ * selected philosopher, selected concept, constellation viewport and filters)
+ *
+ * Examples:
+ * "/"                                → constellation view, nothing selected
+ * "/metro"                           → metro view
+ * "/philosopher/immanuel-kant"       → constellation view with Kant open
+ * "/timeline/philosopher/kant"       → timeline view with Kant open
+ * "/concept/Ethics?zoom=2,-300,-120" → constellation view, Ethics highlighted, zoomed in
+ * "/?dataset=/data/stoics.json"      → constellation view of a custom dataset
+ * "/?filters=eras:enlightenment;major&preset=Rationalists" → filtered, with the preset's name
+ */
+
+import { matchPath } from 'react-router-dom';
+import { encodeFilterState, parseFilterState } from './filterState.js';
+
+/**
+ * Available view modes, in toggle order
+ */
+export const VIEW_MODES = ['timeline', 'constellation', 'metro'];
+
+/**
+ * View shown when the URL does not name one
+ */
+export const DEFAULT_VIEW_MODE = 'constellation';
+
+/**
+ * Route patterns understood by the explorer (most specific first)
+ */
+export const ROUTE_PATTERNS = [
+    '/',
+    '/:view',
+    '/philosopher/:slug',
+    '/concept/:name',
+    '/:view/philosopher/:slug',
+    '/:view/concept/:name'
+];
+
+/**
+ * Turn a philosopher title into a URL slug
+ * "G.W.F. Hegel" → "g-w-f-hegel", "Søren Kierkegaard" → "soren-kierkegaard"
+ * @param {string} title - Philosopher title
+ * @returns {string} Lowercase, dash-separated slug
+ */
+export const slugify = (title = '') => {
+    return title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/ø/gi, 'o')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Get the URL slug for a philosopher
+ * @param {Object} philosopher - Philosopher object
+ * @returns {string} Slug
+ */
+export const getPhilosopherSlug = (philosopher) => slugify(philosopher?.title);
+
+/**
+ * Find a philosopher by URL slug
+ * Accepts the full slug ("immanuel-kant"), its last or first part
+ * ("kant", "plato") or the numeric id ("27")
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|null} Matching philosopher
+ */
+export const findPhilosopherBySlug = (philosophers, slug) => {
+    if (!slug) return null;
+    const wanted = slugify(slug);
+
+    return philosophers.find(p => getPhilosopherSlug(p) === wanted)
+        || philosophers.find(p => getPhilosopherSlug(p).endsWith(`-${wanted}`))
+        || philosophers.find(p => getPhilosopherSlug(p).startsWith(`${wanted}-`))
+        || philosophers.find(p => String(p.id) === slug)
+        || null;
+};
+
+// "Political Philosophy", "political_philosophy", "political-philosophy" → "politicalphilosophy"
+const normalizeConceptName = (name) => name.toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Find a concept name from a URL segment (case-insensitive, ignoring
+ * spaces, underscores and dashes)
+ * @param {Array} concepts - Array of concept objects
+ * @param {string} name - Concept name from the URL
+ * @returns {string|null} Canonical concept name
+ */
+export const findConceptName = (concepts, name) => {
+    if (!name) return null;
+    const wanted = normalizeConceptName(name);
+    const match = concepts.find(c => normalizeConceptName(c.concept) === wanted);
+    return match ? match.concept : null;
+};
+
+/**
+ * Parse the "zoom" search parameter
+ * @param {string|null} value - Parameter like "2,-300,-120"
+ * @returns {{ scale: number, x: number, y: number }|null} Viewport transform
+ */
+export const parseViewport = (value) => {
+    if (!value) return null;
+    const [scale, x, y] = value.split(',').map(Number);
+    if (![scale, x, y].every(Number.isFinite) || scale <= 0) return null;
+    return { scale, x, y };
+};
+
+/**
+ * Format a viewport transform for the "zoom" search parameter
+ * Values are rounded so that small float drift does not create new URLs
+ * @param {{ scale: number, x: number, y: number }|null} viewport - Transform
+ * @returns {string|null} Parameter value, or null for the default view
+ */
+export const formatViewport = (viewport) => {
+    if (!viewport) return null;
+    const scale = Math.round(viewport.scale * 100) / 100;
+    const x = Math.round(viewport.x);
+    const y = Math.round(viewport.y);
+    if (scale === 1 && x === 0 && y === 0) return null;
+    return `${scale},${x},${y}`;
+};
+
+// Path params arrive still percent-encoded ("Political%20Philosophy")
+const decodeParam = (value) => {
+    if (!value) return null;
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Parse a location into explorer state
+ * @param {{ pathname: string, search: string }} location - Router location
+ * @returns {Object} { viewMode, philosopherSlug, conceptName, viewport, filters, presetName, datasetUrl, isKnownRoute }
+ */
+export const parseLocation = ({ pathname, search }) => {
+    const params = new URLSearchParams(search);
+    const match = ROUTE_PATTERNS
+        .map(pattern => matchPath(pattern, pathname))
+        .find(Boolean);
+
+    const view = match?.params.view;
+    const isKnownView = !view || VIEW_MODES.includes(view);
+
+    return {
+        viewMode: isKnownView && view ? view : DEFAULT_VIEW_MODE,
+        philosopherSlug: decodeParam(match?.params.slug),
+        conceptName: decodeParam(match?.params.name) || params.get('concept'),
+        viewport: parseViewport(params.get('zoom')),
+        filters: parseFilterState(params.get('filters')),
+        presetName: params.get('preset'),
+        datasetUrl: params.get('dataset'),
+        isKnownRoute: Boolean(match) && isKnownView
+    };
+};
+
+/**
+ * Build a URL (path + search) from explorer state
+ * @param {Object} state - { viewMode, philosopherSlug, conceptName, viewport, filters, presetName, datasetUrl }
+ * @returns {string} URL relative to the router basename
+ */
+export const buildLocation = ({ viewMode, philosopherSlug, conceptName, viewport, filters, presetName, datasetUrl }) => {
+    const prefix = viewMode && viewMode !== DEFAULT_VIEW_MODE ? `/${viewMode}` : '';
+    const params = new URLSearchParams();
+
+    let path;
+    if (philosopherSlug) {
+        path = `${prefix}/philosopher/${encodeURIComponent(philosopherSlug)}`;
+        if (conceptName) params.set('concept', conceptName);
+    } else if (conceptName) {
+        path = `${prefix}/concept/${encodeURIComponent(conceptName)}`;
+    } else {
+        path = prefix || '/';
+    }
+
+    const zoom = formatViewport(viewport);
+    if (zoom) params.set('zoom', zoom);
+    const filterParam = encodeFilterState(filters);
+    if (filterParam) {
+        params.set('filters', filterParam);
+        if (presetName) params.set('preset', presetName);
+    }
+    if (datasetUrl) params.set('dataset', datasetUrl);
+
+    // Keep the viewport and filters readable: "zoom=2,-300,-120" rather than "%2C"
+    const query = params.toString()
+        .replace(/%2C/g, ',')
+        .replace(/%3A/g, ':')
+        .replace(/%3B/g, ';');
+    return query ? `${path}?${query}` : path;
+};
+
+export default {
+    VIEW_MODES,
+    DEFAULT_VIEW_MODE,
+    ROUTE_PATTERNS,
+    slugify,
+    getPhilosopherSlug,
+    findPhilosopherBySlug,
+    findConceptName,
+    parseViewport,
+    formatViewport,
+    parseLocation,
+    buildLocation
+};
@@ -0,0 +1,26 @@
+/**
+ * Route State Tests
+ * Concept names in URLs match however their spaces were written
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findConceptName, buildLocation, parseLocation } from './routeState';
+
+const concepts = [{ concept: 'Ethics' }, { concept: 'Political Philosophy' }];
+
+describe('findConceptName', () => {
+    it.each(['Political Philosophy', 'political-philosophy', 'political_philosophy', 'politicalphilosophy'])('finds "%s"', (name) => {
+        expect(findConceptName(concepts, name)).toBe('Political Philosophy');
+    });
+
+    it('finds a concept with a space after a round trip through the URL', () => {
+        const url = new URL(buildLocation({ viewMode: 'timeline', conceptName: 'Political Philosophy' }), 'http://localhost');
+        const { conceptName } = parseLocation({ pathname: url.pathname, search: url.search });
+
+        expect(findConceptName(concepts, conceptName)).toBe('Political Philosophy');
+    });
+
+    it('returns null for unknown concepts', () => {
+        expect(findConceptName(concepts, 'Aesthetics')).toBeNull();
+    });
+});
@@ -0,0 +1,312 @@
+/**
+ * Search Index Utility
+ * Shared full-text index for the timeline and constellation search
+ *
+ * - Indexes titles, summaries, descriptions, quotes, quote sources,
+ *   mini-events and concept definitions, each field with its own weight
+ * - Folds case and diacritics ("Kierkegård" → "kierkegard")
+ * - Matches prefixes as you type, and tolerates typos (1 edit from 4
+ *   letters, 2 from 8) for words that match nothing exactly or as a prefix
+ * - Returns highlight ranges for the title and a snippet of the best
+ *   matching field
+ */
+
+// Letters that don't decompose under NFKD
+const SPECIAL_FOLDS = { æ: 'ae', œ: 'oe', ø: 'o', ß: 'ss', ł: 'l', đ: 'd', þ: 'th', ð: 'd' };
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 140;
+const SNIPPET_LEAD = 40;
+
+/**
+ * Relative weight of each field (title matches count most)
+ */
+export const FIELD_WEIGHTS = {
+    title: 10,
+    concepts: 4,
+    summary: 4,
+    miniEvents: 2,
+    description: 2,
+    quotes: 2,
+    definition: 3,
+    details: 2,
+    category: 1,
+    quoteSources: 1
+};
+
+/**
+ * Label shown with a snippet from each field
+ */
+export const FIELD_LABELS = {
+    title: 'Title',
+    concepts: 'Concepts',
+    summary: 'Summary',
+    miniEvents: 'Related event',
+    description: 'Description',
+    quotes: 'Quote',
+    definition: 'Definition',
+    details: 'Definition',
+    category: 'Category',
+    quoteSources: 'Quote source'
+};
+
+/**
+ * Lower-case and strip accents
+ * @param {string} text - Any text
+ * @returns {string} Folded text
+ */
+export const foldText = (text) => {
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[æœøßłđþð]/g, ch => SPECIAL_FOLDS[ch]);
+};
+
+/**
+ * "PoliticalPhilosophy" → "Political Philosophy"
+ */
+export const formatConceptName = (name) => name.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+/**
+ * Split text into folded terms, keeping their offsets in the original text
+ * @param {string} text - Text to tokenize
+ * @returns {Array} { term, start, end }
+ */
+export const tokenize = (text) => {
+    const tokens = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        tokens.push({ term: foldText(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+// Typos allowed for a query term of this length
+const maxEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance (with transpositions), giving up once it exceeds `limit`
+ */
+const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// Philosopher → searchable fields ({ name, texts })
+const philosopherFields = (philosopher) => [
+    { name: 'title', texts: [philosopher.title || ''] },
+    { name: 'summary', texts: [philosopher.summary || ''] },
+    { name: 'description', texts: [philosopher.description || ''] },
+    { name: 'concepts', texts: [(philosopher.concepts || []).map(formatConceptName).join(', ')] },
+    { name: 'quotes', texts: (philosopher.quotes || []).map(q => q.text || '') },
+    { name: 'quoteSources', texts: (philosopher.quotes || []).map(q => q.source || '') },
+    {
+        name: 'miniEvents',
+        texts: (philosopher.miniEvents || []).map(e => [e.title, e.summary].filter(Boolean).join(': '))
+    }
+];
+
+// Concept → searchable fields
+const conceptFields = (concept) => [
+    { name: 'title', texts: [formatConceptName(concept.concept)] },
+    { name: 'definition', texts: [concept.simple || ''] },
+    { name: 'details', texts: [concept.detailed || ''] },
+    { name: 'category', texts: [concept.category || ''] }
+];
+
+/**
+ * Build the index
+ * @param {Array} philosophers - Array of philosopher objects
+ * @param {Array} concepts - Array of concept objects
+ * @returns {Object} { documents, terms: Map term → postings }
+ */
+export const createSearchIndex = (philosophers, concepts) => {
+    const documents = [
+        ...philosophers.map(p => ({ type: 'philosopher', id: p.id, data: p, fields: philosopherFields(p) })),
+        ...concepts.map(c => ({ type: 'concept', id: c.concept, data: c, fields: conceptFields(c) }))
+    ];
+    const terms = new Map();
+
+    documents.forEach((doc, docIndex) => {
+        doc.title = doc.fields[0].texts[0];
+        doc.foldedTitle = foldText(doc.title);
+        doc.fields.forEach(field => {
+            field.texts.forEach((text, segment) => {
+                tokenize(text).forEach(({ term, start, end }) => {
+                    if (!terms.has(term)) terms.set(term, []);
+                    terms.get(term).push({ doc: docIndex, field: field.name, segment, start, end });
+                });
+            });
+        });
+    });
+
+    return { documents, terms };
+};
+
+/**
+ * Index terms matching one query term, with a match quality in 0-1
+ * Typo matches are only used when there is no exact or prefix match, so a
+ * near miss in a heavy field can't outrank the word itself in a light one
+ * @returns {Array} [term, quality]
+ */
+const matchTerms = (index, queryTerm) => {
+    const matches = [];
+    const fuzzyMatches = [];
+    const edits = maxEdits(queryTerm.length);
+
+    index.terms.forEach((_, term) => {
+        if (term === queryTerm) {
+            matches.push([term, 1]);
+        } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+            matches.push([term, 0.85]);
+        } else if (edits > 0) {
+            const distance = editDistance(queryTerm, term, edits);
+            if (distance <= edits) fuzzyMatches.push([term, distance === 1 ? 0.7 : 0.55]);
+        }
+    });
+
+    return matches.length > 0 ? matches : fuzzyMatches;
+};
+
+// Excerpt of a field around its first highlighted range
+const buildSnippet = (text, ranges) => {
+    const first = ranges[0];
+    let start = Math.max(0, first.start - SNIPPET_LEAD);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first.start) start = space + 1;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > first.end) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+        text: prefix + text.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(range => range.start >= start && range.end <= end)
+            .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+    };
+};
+
+// Sorted, de-duplicated ranges
+const mergeRanges = (ranges) => {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    return sorted.filter((range, i) => i === 0 || range.start >= sorted[i - 1].end);
+};
+
+/**
+ * Search the index
+ * Every query term has to match somewhere in a document.
+ * @param {Object} index - createSearchIndex result
+ * @param {string} query - User input
+ * @param {Object} options - { limit, types: ['philosopher', 'concept'] }
+ * @returns {Array} { type, id, title, data, score, titleRanges, snippet: { field, label, text, ranges } | null }
+ */
+export const searchIndex = (index, query, { limit = 10, types = null } = {}) => {
+    const queryTerms = [...new Set(tokenize(query).map(t => t.term))];
+    if (queryTerms.length === 0) return [];
+
+    // doc → { score, termsMatched, postings }
+    const hits = new Map();
+
+    queryTerms.forEach((queryTerm, termIndex) => {
+        const bestPerDoc = new Map();
+        matchTerms(index, queryTerm).forEach(([term, quality]) => {
+            index.terms.get(term).forEach(posting => {
+                const score = FIELD_WEIGHTS[posting.field] * quality;
+                const entry = bestPerDoc.get(posting.doc) || { score: 0, postings: [] };
+                entry.score = Math.max(entry.score, score);
+                entry.postings.push({ ...posting, score });
+                bestPerDoc.set(posting.doc, entry);
+            });
+        });
+
+        bestPerDoc.forEach(({ score, postings }, doc) => {
+            const hit = hits.get(doc) || { score: 0, termsMatched: 0, postings: [] };
+            if (hit.termsMatched !== termIndex) return;
+            hit.score += score;
+            hit.termsMatched++;
+            hit.postings.push(...postings);
+            hits.set(doc, hit);
+        });
+    });
+
+    const foldedQuery = foldText(query.trim());
+    const results = [];
+
+    hits.forEach((hit, docIndex) => {
+        if (hit.termsMatched !== queryTerms.length) return;
+        const doc = index.documents[docIndex];
+        if (types && !types.includes(doc.type)) return;
+
+        // Whole query at the start of / inside the title
+        let score = hit.score;
+        if (doc.foldedTitle.startsWith(foldedQuery)) score += 8;
+        else if (doc.foldedTitle.includes(foldedQuery)) score += 4;
+
+        const titleRanges = mergeRanges(hit.postings.filter(p => p.field === 'title'));
+
+        // Snippet from the strongest non-title field
+        let snippet = null;
+        const best = hit.postings
+            .filter(p => p.field !== 'title')
+            .sort((a, b) => b.score - a.score || a.start - b.start)[0];
+        if (best) {
+            const field = doc.fields.find(f => f.name === best.field);
+            const ranges = mergeRanges(hit.postings.filter(p => p.field === best.field && p.segment === best.segment));
+            snippet = {
+                field: best.field,
+                label: FIELD_LABELS[best.field],
+                ...buildSnippet(field.texts[best.segment], ranges)
+            };
+        }
+
+        results.push({
+            type: doc.type,
+            id: doc.id,
+            title: doc.title,
+            data: doc.data,
+            score,
+            titleRanges: titleRanges.map(({ start, end }) => ({ start, end })),
+            snippet
+        });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+        .slice(0, limit);
+};
+
+export default {
+    FIELD_WEIGHTS,
+    FIELD_LABELS,
+    foldText,
+    formatConceptName,
+    tokenize,
+    createSearchIndex,
+    searchIndex
+};
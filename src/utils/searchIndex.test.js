@@ -0,0 +1,26 @@
+/**
+ * Search Index Tests
+ * Exact and prefix hits always rank above typo-tolerant ones
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSearchIndex, searchIndex } from './searchIndex';
+import timelineEvents from '../pages/timelineEvents.json';
+import philosophyConcepts from '../pages/philosophyConcepts.json';
+
+const index = createSearchIndex(timelineEvents, philosophyConcepts);
+const titles = (query, options) => searchIndex(index, query, options).map(result => result.title);
+
+describe('searchIndex ranking', () => {
+    it('ranks an exact hit in a light field above a typo hit in a heavy one', () => {
+        const results = titles('cave', { types: ['philosopher'] });
+
+        expect(results[0]).toMatch(/Plato/);
+        expect(results).not.toContain('Karl Marx');
+    });
+
+    it('still tolerates typos when nothing matches exactly', () => {
+        expect(titles('Nietzche')[0]).toBe('Friedrich Nietzsche');
+        expect(titles('Kierkegård')[0]).toMatch(/Kierkegaard/);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * SVG Export Utility
+ * Turns an on-screen <svg> into a standalone file: computed CSS is inlined
+ * as attributes so the file looks the same outside the app, and the result
+ * can be rasterized to PNG
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Presentation properties copied from computed styles, with the value that
+ * can be left out because it is already the SVG default
+ */
+const INLINED_PROPERTIES = {
+    'fill': null,
+    'fill-opacity': '1',
+    'stroke': 'none',
+    'stroke-width': '1px',
+    'stroke-opacity': '1',
+    'stroke-dasharray': 'none',
+    'stroke-dashoffset': '0px',
+    'stroke-linecap': 'butt',
+    'stroke-linejoin': 'miter',
+    'opacity': '1',
+    'filter': 'none',
+    'visibility': 'visible',
+    'font-family': null,
+    'font-size': null,
+    'font-weight': '400',
+    'font-style': 'normal',
+    'letter-spacing': 'normal',
+    'text-transform': 'none',
+    'text-anchor': 'start',
+    'dominant-baseline': 'auto',
+    'mix-blend-mode': 'normal'
+};
+
+// Font properties only matter on text elements
+const TEXT_ELEMENTS = new Set(['text', 'tspan', 'textPath']);
+const isTextProperty = (property) => property.startsWith('font-') || property.startsWith('text-')
+    || property === 'letter-spacing' || property === 'dominant-baseline';
+
+/**
+ * Copy computed styles from every element of `source` onto the matching
+ * element of `target` (a deep clone of source)
+ */
+const inlineComputedStyles = (source, target) => {
+    const sourceNodes = [source, ...source.querySelectorAll('*')];
+    const targetNodes = [target, ...target.querySelectorAll('*')];
+
+    sourceNodes.forEach((node, i) => {
+        const clone = targetNodes[i];
+        const computed = window.getComputedStyle(node);
+        const isText = TEXT_ELEMENTS.has(node.tagName);
+        const declarations = Object.keys(INLINED_PROPERTIES)
+            .filter(property => isText || !isTextProperty(property))
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([property, value]) => value && value !== INLINED_PROPERTIES[property])
+            .map(([property, value]) => `${property}: ${value}`);
+
+        clone.removeAttribute('class');
+        if (declarations.length > 0) {
+            const existing = clone.getAttribute('style');
+            clone.setAttribute('style', [existing, ...declarations].filter(Boolean).join('; '));
+        }
+    });
+};
+
+/**
+ * Create a standalone copy of an <svg> element
+ * @param {SVGSVGElement} svg - Rendered SVG element
+ * @param {Object} options
+ * @param {Object} options.size - { width, height } of the output (defaults to the viewBox)
+ * @param {string|Array} options.background - Fill color, or gradient stops [[offset, color], ...]
+ * @param {Function} options.transformClone - Hook to adjust the clone (must not add or remove elements)
+ * @returns {SVGSVGElement} Detached clone with inlined styles
+ */
+export const createStandaloneSvg = (svg, { size, background, transformClone } = {}) => {
+    const clone = svg.cloneNode(true);
+    // Adjust before inlining, while class names can still be used to find elements
+    transformClone?.(clone);
+    inlineComputedStyles(svg, clone);
+
+    const viewBox = svg.viewBox.baseVal;
+    const width = size?.width || viewBox.width;
+    const height = size?.height || viewBox.height;
+
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.removeAttribute('style');
+
+    if (background) {
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', viewBox.x);
+        rect.setAttribute('y', viewBox.y);
+        rect.setAttribute('width', viewBox.width);
+        rect.setAttribute('height', viewBox.height);
+
+        if (Array.isArray(background)) {
+            const gradient = document.createElementNS(SVG_NS, 'linearGradient');
+            gradient.setAttribute('id', 'export-background');
+            gradient.setAttribute('x1', '0');
+            gradient.setAttribute('y1', '0');
+            gradient.setAttribute('x2', '0');
+            gradient.setAttribute('y2', '1');
+            background.forEach(([offset, color]) => {
+                const stop = document.createElementNS(SVG_NS, 'stop');
+                stop.setAttribute('offset', offset);
+                stop.setAttribute('stop-color', color);
+                gradient.appendChild(stop);
+            });
+            const defs = document.createElementNS(SVG_NS, 'defs');
+            defs.appendChild(gradient);
+            clone.insertBefore(defs, clone.firstChild);
+            rect.setAttribute('fill', 'url(#export-background)');
+        } else {
+            rect.setAttribute('fill', background);
+        }
+        const firstContent = [...clone.children].find(el => el.tagName.toLowerCase() !== 'defs');
+        clone.insertBefore(rect, firstContent || null);
+    }
+
+    return clone;
+};
+
+/**
+ * Serialize an SVG element to file contents
+ * @param {SVGSVGElement} svg - Standalone SVG (see createStandaloneSvg)
+ * @returns {string} SVG document text
+ */
+export const serializeSvg = (svg) => {
+    const markup = new XMLSerializer().serializeToString(svg);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}\n`;
+};
+
+/**
+ * Rasterize SVG text to a PNG
+ * @param {string} svgText - SVG document text
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Promise<Blob>} PNG image
+ */
+export const svgToPngBlob = (svgText, width, height) => {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+        const image = new Image();
+
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not render the SVG for PNG export'));
+        };
+        image.src = url;
+    });
+};
+
+export default {
+    createStandaloneSvg,
+    serializeSvg,
+    svgToPngBlob
+};
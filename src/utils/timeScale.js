@@ -0,0 +1,172 @@
+/**
+ * Time Scale Utility
+ * Maps years to horizontal positions (0-1) for the constellation, the metro
+ * map and their time axes, so stars, stations and ticks always agree
+ *
+ * Scales:
+ * - linear: equal space per year
+ * - era: equal space per era (the dataset's era definitions), linear within each era
+ * - density: space follows how many philosophers lived then, blended
+ *   half-and-half with linear so empty centuries don't vanish
+ *
+ * Non-linear scales are piecewise linear, so they stay monotonic and can be
+ * inverted (year brush, playhead). Every scale spans the years of the
+ * dataset it is fitted to (see getTimeDomain).
+ */
+
+import { parseYear, parseHistoricalDate, getYearTicks } from './yearParser.js';
+
+/**
+ * Scales the user can pick from
+ */
+export const TIME_SCALES = {
+    linear: { label: 'Linear', description: 'Equal space for every year' },
+    era: { label: 'By era', description: 'Equal space for every era' },
+    density: { label: 'By density', description: 'More space where more philosophers lived' }
+};
+
+export const DEFAULT_TIME_SCALE = 'linear';
+
+/**
+ * Years spanned when a dataset has no dated philosophers
+ */
+export const DEFAULT_TIME_DOMAIN = [-600, 1950];
+
+// Domain ends are rounded out to a multiple of this many years
+const DOMAIN_ROUNDING = 50;
+
+/**
+ * Years a dataset's time axis spans: every philosopher's year (with its
+ * uncertainty), rounded out to whole half-centuries
+ * @param {Array} philosophers - Array of philosopher objects
+ * @returns {number[]} [minYear, maxYear]
+ */
+export const getTimeDomain = (philosophers = []) => {
+    const dates = philosophers.map(p => parseHistoricalDate(p.year)).filter(Boolean);
+    if (dates.length === 0) return DEFAULT_TIME_DOMAIN;
+
+    const earliest = Math.min(...dates.map(date => date.earliest));
+    const latest = Math.max(...dates.map(date => date.latest));
+    const min = Math.floor(earliest / DOMAIN_ROUNDING) * DOMAIN_ROUNDING;
+    const max = Math.ceil(latest / DOMAIN_ROUNDING) * DOMAIN_ROUNDING;
+    return [min, max > min ? max : min + DOMAIN_ROUNDING];
+};
+
+// Equal-width slices the density scale counts philosophers in
+const DENSITY_BINS = 30;
+
+/**
+ * Interpolate along sorted [value, value] stops, extending the end segments
+ * for values outside them
+ */
+const interpolate = (stops, value, from, to) => {
+    let i = 1;
+    while (i < stops.length - 1 && value > stops[i][from]) i++;
+    const a = stops[i - 1];
+    const b = stops[i];
+    const span = b[from] - a[from];
+    if (span === 0) return a[to];
+    return a[to] + ((value - a[from]) / span) * (b[to] - a[to]);
+};
+
+// Era changes inside the domain, each getting an equal share (the first
+// and last era stretch to the domain ends)
+const buildEraStops = ([min, max], eras) => {
+    const years = eras
+        .slice(1)
+        .map(era => era.start)
+        .filter(year => year > min && year < max);
+    const edges = [min, ...years, max];
+    return edges.map((year, i) => [year, i / (edges.length - 1)]);
+};
+
+const buildDensityStops = ([min, max], philosophers) => {
+    const binWidth = (max - min) / DENSITY_BINS;
+    const counts = new Array(DENSITY_BINS).fill(0);
+    const years = philosophers.map(p => parseYear(p.year)).filter(year => year !== null);
+
+    years.forEach(year => {
+        const bin = Math.floor((year - min) / binWidth);
+        counts[Math.min(DENSITY_BINS - 1, Math.max(0, bin))]++;
+    });
+
+    // The same total weight again, spread evenly
+    const base = Math.max(1, years.length / DENSITY_BINS);
+    const weights = counts.map(count => count + base);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const stops = [[min, 0]];
+    let cumulative = 0;
+    weights.forEach((weight, i) => {
+        cumulative += weight;
+        stops.push([min + (i + 1) * binWidth, cumulative / total]);
+    });
+    return stops;
+};
+
+/**
+ * A time scale
+ * @typedef {Object} TimeScale
+ * @property {string} type - Key of TIME_SCALES
+ * @property {number[]} domain - [minYear, maxYear]
+ * @property {Function} toPosition - year → position (0 at minYear, 1 at maxYear)
+ * @property {Function} toYear - position → rounded year
+ */
+
+/**
+ * Create a time scale
+ * @param {string} type - Key of TIME_SCALES (unknown keys fall back to linear)
+ * @param {Array} philosophers - Dataset the scale is fitted to
+ * @param {Object} options - { eras: the dataset's era definitions (for the era
+ *   scale), domain: [minYear, maxYear] (defaults to getTimeDomain(philosophers)) }
+ * @returns {TimeScale}
+ */
+export const createTimeScale = (type = DEFAULT_TIME_SCALE, philosophers = [], { eras = [], domain = getTimeDomain(philosophers) } = {}) => {
+    const scaleType = TIME_SCALES[type] ? type : DEFAULT_TIME_SCALE;
+    const stops = scaleType === 'era'
+        ? buildEraStops(domain, eras)
+        : scaleType === 'density'
+            ? buildDensityStops(domain, philosophers)
+            : [[domain[0], 0], [domain[1], 1]];
+
+    return {
+        type: scaleType,
+        domain,
+        toPosition: (year) => interpolate(stops, year, 0, 1),
+        toYear: (position) => Math.round(interpolate(stops, position, 1, 0))
+    };
+};
+
+/**
+ * Round years for an axis drawn with a scale, no closer together than
+ * 1/maxCount of its length
+ * @param {TimeScale} scale - Scale the axis uses
+ * @param {number} maxCount - Most ticks that fit
+ * @returns {number[]} Tick years
+ */
+export const getScaleTicks = (scale, maxCount) => {
+    const [min, max] = scale.domain;
+    if (scale.type === 'linear') return getYearTicks(min, max, maxCount);
+
+    // Thin out a finer set of round years where the scale compresses time
+    const minGap = 1 / maxCount;
+    const ticks = [];
+    let lastPosition = -Infinity;
+    getYearTicks(min, max, maxCount * 2).forEach(year => {
+        const position = scale.toPosition(year);
+        if (position - lastPosition >= minGap) {
+            ticks.push(year);
+            lastPosition = position;
+        }
+    });
+    return ticks;
+};
+
+export default {
+    TIME_SCALES,
+    DEFAULT_TIME_SCALE,
+    DEFAULT_TIME_DOMAIN,
+    getTimeDomain,
+    createTimeScale,
+    getScaleTicks
+};
@@ -0,0 +1,121 @@
+/**
+ * Guided Tours Utility
+ * Loads, checks and resolves guided tours: JSON scripts (see
+ * src/schemas/tour.schema.json) whose steps select a philosopher, zoom the
+ * map, highlight a concept or open Concept Evolution, each with a caption
+ */
+
+import tourSchema from '../schemas/tour.schema.json';
+import socratesToKant from '../tours/socratesToKant.json';
+import rationalistsVsEmpiricists from '../tours/rationalistsVsEmpiricists.json';
+import { validateAgainstSchema } from './datasetValidator';
+import { findPhilosopherBySlug, findConceptName } from './routeState';
+
+/**
+ * Tours shipped with the app
+ */
+export const BUNDLED_TOURS = [socratesToKant, rationalistsVsEmpiricists];
+
+/**
+ * Issue codes reported by validateTour
+ */
+export const TOUR_ISSUE_CODES = {
+    SCHEMA: 'schema',
+    UNKNOWN_PHILOSOPHER: 'unknown-philosopher',
+    UNKNOWN_CONCEPT: 'unknown-concept'
+};
+
+// The same tour can be played on another dataset, so missing references
+// only skip that part of a step
+const WARNING_CODES = new Set([
+    TOUR_ISSUE_CODES.UNKNOWN_PHILOSOPHER,
+    TOUR_ISSUE_CODES.UNKNOWN_CONCEPT
+]);
+
+const CONCEPT_FIELDS = ['concept', 'conceptEvolution'];
+
+/**
+ * Validate a tour against the schema and the dataset it will play on
+ * @param {Object} tour - Parsed tour JSON
+ * @param {Object} dataset - { philosophers, concepts }
+ * @returns {Object} { valid, errors, warnings } where each issue is
+ *                   { code, message, path }
+ */
+export const validateTour = (tour, { philosophers = [], concepts = [] } = {}) => {
+    const issues = [];
+    const report = (code, message, path) => issues.push({ code, message, path });
+
+    validateAgainstSchema(tour, tourSchema, { path: 'tour' })
+        .forEach(({ path, message }) => report(TOUR_ISSUE_CODES.SCHEMA, `${path} ${message}`, path));
+
+    const steps = Array.isArray(tour?.steps) ? tour.steps : [];
+    steps.forEach((step, i) => {
+        const path = `tour.steps[${i}]`;
+        if (typeof step?.philosopher === 'string' && !findPhilosopherBySlug(philosophers, step.philosopher)) {
+            report(TOUR_ISSUE_CODES.UNKNOWN_PHILOSOPHER, `Step ${i + 1} selects unknown philosopher "${step.philosopher}"`, `${path}.philosopher`);
+        }
+        CONCEPT_FIELDS.forEach(field => {
+            if (typeof step?.[field] === 'string' && !findConceptName(concepts, step[field])) {
+                report(TOUR_ISSUE_CODES.UNKNOWN_CONCEPT, `Step ${i + 1} uses unknown concept "${step[field]}"`, `${path}.${field}`);
+            }
+        });
+    });
+
+    const errors = issues.filter(issue => !WARNING_CODES.has(issue.code));
+    const warnings = issues.filter(issue => WARNING_CODES.has(issue.code));
+
+    return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Resolve a valid tour's references against the active dataset
+ * Philosophers become objects and concepts canonical names; references the
+ * dataset doesn't have become null
+ * @param {Object} tour - Tour that passed validateTour
+ * @param {Object} dataset - { philosophers, concepts }
+ * @returns {Object} Tour with resolved steps
+ */
+export const resolveTour = (tour, { philosophers = [], concepts = [] } = {}) => {
+    return {
+        id: tour.id,
+        title: tour.title,
+        description: tour.description || '',
+        steps: tour.steps.map(step => ({
+            title: step.title || null,
+            caption: step.caption,
+            philosopher: findPhilosopherBySlug(philosophers, step.philosopher),
+            concept: findConceptName(concepts, step.concept),
+            conceptEvolution: findConceptName(concepts, step.conceptEvolution),
+            zoom: step.zoom ? { scale: 2, y: 0.5, ...step.zoom } : null
+        }))
+    };
+};
+
+/**
+ * Read a tour from a local File (e.g. an <input type="file">)
+ * @param {File} file - JSON file chosen by the user
+ * @returns {Promise<Object>} Parsed tour
+ * @throws {Error} If the file isn't JSON or doesn't match the schema
+ */
+export const readTourFile = async (file) => {
+    const text = await file.text();
+    let tour;
+    try {
+        tour = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+    }
+    const { valid, errors } = validateTour(tour);
+    if (!valid) {
+        throw new Error(`${file.name} is not a valid tour: ${errors[0].message}`);
+    }
+    return tour;
+};
+
+export default {
+    BUNDLED_TOURS,
+    TOUR_ISSUE_CODES,
+    validateTour,
+    resolveTour,
+    readTourFile
+};
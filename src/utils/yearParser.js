@@ -1,41 +1,140 @@
 /**
  * Year Parser Utility
- * Parses historical year strings into numeric values for positioning
+ * Parses historical date strings into numeric values for positioning,
+ * keeping how certain each date is, and formats years for display in the
+ * user's era notation (BC/AD or BCE/CE) and locale
  *
  * Examples:
- * "c. 600 BC" → -600
- * "c. 387 BC" → -387
+ * "c. 600 BC" → -600 (circa: -610 to -590)
  * "1637" → 1637
- * "c. 400 AD" → 400
- * "c. 1020 AD" → 1020
+ * "fl. 500 BC" → -500 (floruit: active then, not born)
+ * "5th century BC" → -450 (-500 to -401)
+ * "470–460 BC" → -465 (somewhere between -470 and -460)
  */
 
+// Years either side of a "c." date
+export const CIRCA_MARGIN = 10;
+
+const CENTURY_PARTS = { early: 0, mid: 1, late: 2 };
+
+const CENTURY_RE = /^(?:(early|mid|late)[\s-]*)?(\d{1,2})(?:st|nd|rd|th)\s+(?:century|cent\.?)\s*(BCE|BC|CE|AD)?$/i;
+const RANGE_RE = /^(\d{1,4})\s*(BCE|BC|CE|AD)?\s*(?:[–—/-]|to)\s*(c\.\s*)?(\d{1,4})\s*(BCE|BC|CE|AD)?$/i;
+const POINT_RE = /^(?:(BCE|BC|CE|AD)\s*)?(-?\d{1,4})\s*(BCE|BC|CE|AD)?$/i;
+
+const isBC = (era) => /^BC/i.test(era || '');
+
 /**
- * Parse a year string to a numeric value
- * BC years are negative, AD years are positive
- * @param {string} yearStr - Year string like "c. 600 BC" or "1637"
- * @returns {number} Numeric year value
+ * A parsed historical date
+ * @typedef {Object} HistoricalDate
+ * @property {number} year - Best single year (the middle of a range or century)
+ * @property {number} earliest - Earliest year the date can mean
+ * @property {number} latest - Latest year the date can mean
+ * @property {boolean} circa - Marked "c.", "ca.", "circa" or "?"
+ * @property {boolean} floruit - Marked "fl.": when the person was active
+ * @property {string} precision - 'year', 'range' or 'century'
+ * @property {number|null} century - Century number for 'century' dates (negative BC)
+ * @property {string|null} part - 'early', 'mid' or 'late' part of the century
  */
-export const parseYear = (yearStr) => {
-    if (!yearStr || typeof yearStr !== 'string') return 0;
 
-    // Remove common prefixes like "c." (circa)
-    const cleaned = yearStr.replace(/c\.\s*/i, '').trim();
+/**
+ * Parse a date string into a HistoricalDate
+ * Accepts "600 BC", "c. 600 BCE", "ca. 1020 AD", "AD 354", "-500", "1637?",
+ * "fl. 500 BC", "5th century BC", "early 12th century" and ranges such as
+ * "470–460 BC" or "c. 1287-1290"
+ * @param {string} value - Date string
+ * @returns {HistoricalDate|null} Parsed date, or null if it isn't a date
+ */
+export const parseHistoricalDate = (value) => {
+    if (typeof value !== 'string') return null;
 
-    // Match patterns: "600 BC", "400 AD", "1637", etc.
-    const match = cleaned.match(/(\d+)\s*(BC|AD|BCE|CE)?/i);
+    let text = value
+        .trim()
+        .replace(/\b([AB])\.\s*([CD])\.(?:\s*E\.)?/gi, '$1$2');
 
-    if (!match) return 0;
+    const floruitMatch = text.match(/^(?:fl\.?|floruit)\s*/i);
+    const floruit = Boolean(floruitMatch);
+    if (floruitMatch) text = text.slice(floruitMatch[0].length);
 
-    const num = parseInt(match[1], 10);
-    const era = match[2]?.toUpperCase();
+    const circaMatch = text.match(/^(?:c\.|ca\.|circa|~)\s*/i);
+    let circa = Boolean(circaMatch);
+    if (circaMatch) text = text.slice(circaMatch[0].length);
+    if (text.includes('?')) {
+        circa = true;
+        text = text.replace(/\?/g, '').trim();
+    }
 
-    // BC/BCE years are negative
-    if (era === 'BC' || era === 'BCE') {
-        return -num;
+    const make = (earliest, latest, precision, extra = {}) => {
+        const isCirca = circa || Boolean(extra.circa);
+        const margin = isCirca ? CIRCA_MARGIN : 0;
+        return {
+            year: Math.round((earliest + latest) / 2),
+            earliest: earliest - margin,
+            latest: latest + margin,
+            circa: isCirca,
+            floruit,
+            precision,
+            century: extra.century ?? null,
+            part: extra.part ?? null
+        };
+    };
+
+    const century = text.match(CENTURY_RE);
+    if (century) {
+        const number = parseInt(century[2], 10);
+        if (number < 1) return null;
+        const part = century[1]?.toLowerCase() || null;
+        // 5th century BC = 500-401 BC, 5th century AD = 401-500
+        let [start, end] = isBC(century[3])
+            ? [-number * 100, -(number - 1) * 100 - 1]
+            : [(number - 1) * 100 + 1, number * 100];
+        if (part) {
+            start += CENTURY_PARTS[part] * 33;
+            end = start + 33;
+        }
+        return make(start, end, 'century', {
+            century: isBC(century[3]) ? -number : number,
+            part
+        });
+    }
+
+    const range = text.match(RANGE_RE);
+    if (range) {
+        // "470–460 BC": an era written once applies to both ends
+        const first = parseInt(range[1], 10) * (isBC(range[2] || range[5]) ? -1 : 1);
+        const second = parseInt(range[4], 10) * (isBC(range[5] || range[2]) ? -1 : 1);
+        return make(Math.min(first, second), Math.max(first, second), 'range', { circa: range[3] });
     }
 
-    return num;
+    const point = text.match(POINT_RE);
+    if (point) {
+        const n = parseInt(point[2], 10);
+        const year = isBC(point[1] || point[3]) ? -Math.abs(n) : n;
+        return make(year, year, 'year');
+    }
+
+    return null;
+};
+
+/**
+ * Parse a year string to a numeric value
+ * BC years are negative, AD years are positive; ranges and centuries give
+ * their middle year. Loaded datasets only contain years this can read
+ * (see the yearString pattern in src/schemas/timelineEvents.schema.json).
+ * @param {string} yearStr - Year string like "c. 600 BC" or "1637"
+ * @returns {number|null} Numeric year value, or null if it isn't a year
+ */
+export const parseYear = (yearStr) => {
+    return parseHistoricalDate(yearStr)?.year ?? null;
+};
+
+/**
+ * Parse a year typed by the user
+ * Like parseYear, but also takes numbers and untrimmed input
+ * @param {string|number} value - Input like "1300", "-500" or "500 BC"
+ * @returns {number|null} Numeric year, or null if it isn't a year
+ */
+export const parseYearInput = (value) => {
+    return parseYear(String(value ?? '').trim());
 };
 
 /**
@@ -63,94 +162,234 @@ export const denormalizeYear = (normalized, minYear = -600, maxYear = 1950) => {
     return Math.round(minYear + normalized * range);
 };
 
+/**
+ * Era notations a year can be written in
+ */
+export const ERA_NOTATIONS = {
+    'bc-ad': { label: 'BC / AD', before: 'BC', after: 'AD' },
+    'bce-ce': { label: 'BCE / CE', before: 'BCE', after: 'CE' }
+};
+
+/**
+ * How years are written unless the user chooses otherwise
+ * (locale undefined = the browser's)
+ */
+export const DEFAULT_YEAR_FORMAT = { notation: 'bc-ad', locale: undefined };
+
+const getEraLabels = (notation) => ERA_NOTATIONS[notation] || ERA_NOTATIONS[DEFAULT_YEAR_FORMAT.notation];
+
+const numberFormats = new Map();
+
+// Years are never digit-grouped ("1637", not "1,637"); an unknown locale
+// falls back to plain digits
+const formatNumber = (n, locale) => {
+    const key = locale || '';
+    if (!numberFormats.has(key)) {
+        let format;
+        try {
+            format = new Intl.NumberFormat(locale, { useGrouping: false });
+        } catch {
+            format = { format: String };
+        }
+        numberFormats.set(key, format);
+    }
+    return numberFormats.get(key).format(n);
+};
+
+/**
+ * Options accepted by the year formatters
+ * @typedef {Object} YearFormat
+ * @property {string} [notation] - Key of ERA_NOTATIONS ('bc-ad' or 'bce-ce')
+ * @property {string} [locale] - BCP 47 locale for the digits (e.g. 'ar-EG')
+ */
+
 /**
  * Format a numeric year for display
  * @param {number} year - Numeric year (negative for BC)
- * @returns {string} Formatted year string like "600 BC" or "1637 AD"
+ * @param {YearFormat} [options] - Era notation and locale
+ * @returns {string} Formatted year string like "600 BC" or "1637"
  */
-export const formatYear = (year) => {
+export const formatYear = (year, { notation, locale } = {}) => {
+    const era = getEraLabels(notation);
     if (year < 0) {
-        return `${Math.abs(year)} BC`;
+        return `${formatNumber(Math.abs(year), locale)} ${era.before}`;
     } else if (year < 500) {
-        return `${year} AD`;
+        return `${formatNumber(year, locale)} ${era.after}`;
     }
-    return `${year}`;
+    return formatNumber(year, locale);
+};
+
+const ordinal = (n) => {
+    if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+    return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
 };
 
 /**
- * Get era name from year
- * @param {number} year - Numeric year
- * @returns {string} Era key for styling
+ * Format a HistoricalDate for display, keeping its uncertainty
+ * ("c. 624 BC", "fl. 500 BC", "5th century BC", "470 BC–460 BC")
+ * @param {HistoricalDate|null} date - Parsed date
+ * @param {YearFormat} [options] - Era notation and locale
+ * @returns {string} Display string ("?" for an unknown date)
  */
-export const getEraFromYear = (year) => {
-    if (year < 500) return 'ancient';
-    if (year < 1500) return 'medieval';
-    if (year < 1800) return 'enlightenment';
-    if (year < 1900) return '19th';
-    return 'contemporary';
+export const formatHistoricalDate = (date, options = {}) => {
+    if (!date) return '?';
+    const prefix = `${date.floruit ? 'fl. ' : ''}${date.circa ? 'c. ' : ''}`;
+
+    if (date.precision === 'century') {
+        const labels = getEraLabels(options.notation);
+        const part = date.part ? `${date.part} ` : '';
+        const era = date.century < 0 ? ` ${labels.before}` : date.century <= 5 ? ` ${labels.after}` : '';
+        return `${prefix}${part}${ordinal(Math.abs(date.century))} century${era}`;
+    }
+    if (date.precision === 'range') {
+        const margin = date.circa ? CIRCA_MARGIN : 0;
+        return `${prefix}${formatYear(date.earliest + margin, options)}–${formatYear(date.latest - margin, options)}`;
+    }
+    return `${prefix}${formatYear(date.year, options)}`;
 };
 
+const ERA_TOKEN_RE = /\b(?:B\.?C\.?(?:E\.?)?|A\.?D\.?|C\.?E\.?)(?![A-Za-z])/g;
+
 /**
- * Era boundaries for the time slider markers
+ * Rewrite a date as written in the dataset ("c. 470 – 399 BC") in the
+ * chosen era notation and digits, keeping the rest of the wording
+ * @param {string} text - Year or lifespan string from the dataset
+ * @param {YearFormat} [options] - Era notation and locale
+ * @returns {string} Display string
  */
-export const ERA_BOUNDARIES = [
-    { year: -600, label: '600 BC', era: 'ancient' },
-    { year: 0, label: '0', era: 'ancient' },
-    { year: 500, label: '500', era: 'medieval' },
-    { year: 1500, label: '1500', era: 'enlightenment' },
-    { year: 1800, label: '1800', era: '19th' },
-    { year: 1900, label: '1900', era: 'contemporary' },
-    { year: 1950, label: '1950', era: 'contemporary' }
-];
+export const formatYearText = (text, { notation, locale } = {}) => {
+    if (typeof text !== 'string') return text;
+    const era = getEraLabels(notation);
+    return text
+        .replace(ERA_TOKEN_RE, token => (token.startsWith('B') ? era.before : era.after))
+        .replace(/\d+/g, digits => formatNumber(Number(digits), locale));
+};
+
+// Tick spacings tried at each power of ten
+const TICK_STEPS = [1, 2, 5];
 
 /**
- * Parse birth and death years from a fullYear string
- * Handles formats like "c. 624–546 BC", "354-430 AD", "1596–1650", "c. 387 BC"
- * Falls back to birth_year / death_year fields if available
- * @param {Object} philosopher - Philosopher object
- * @returns {{ birth: number, death: number }} Numeric birth/death years
+ * Evenly spaced round years for an axis between two years
+ * @param {number} minYear - First year on the axis
+ * @param {number} maxYear - Last year on the axis
+ * @param {number} maxCount - Most ticks that fit
+ * @returns {number[]} Tick years (AD 1 stands in for the nonexistent year 0)
  */
-export const parseBirthDeath = (philosopher) => {
-    // Try explicit fields first
-    if (philosopher.birth_year && philosopher.death_year) {
-        return {
-            birth: parseYear(philosopher.birth_year),
-            death: parseYear(philosopher.death_year)
-        };
+export const getYearTicks = (minYear, maxYear, maxCount = 10) => {
+    const span = maxYear - minYear;
+    if (!(span > 0) || maxCount < 1) return [];
+
+    const rough = span / maxCount;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = Math.max(1, TICK_STEPS.map(s => s * magnitude).find(s => s >= rough) ?? 10 * magnitude);
+
+    const ticks = [];
+    for (let year = Math.ceil(minYear / step) * step; year <= maxYear; year += step) {
+        const tick = year === 0 ? 1 : year;
+        if (tick !== ticks[ticks.length - 1]) ticks.push(tick);
     }
+    return ticks;
+};
 
-    const fullYear = philosopher.fullYear || '';
-    // Try to match a range like "c. 624–546 BC" or "1596–1650" or "354-430 AD"
-    const rangeMatch = fullYear.match(/c?\.\s*(\d+)\s*(?:BC|AD|BCE|CE)?\s*[–\-]\s*c?\.\s*(\d+)\s*(BC|AD|BCE|CE)?/i);
-
-    if (rangeMatch) {
-        const num1 = parseInt(rangeMatch[1], 10);
-        const num2 = parseInt(rangeMatch[2], 10);
-        const era = rangeMatch[3]?.toUpperCase();
-
-        if (era === 'BC' || era === 'BCE') {
-            // Both are BC: "624–546 BC" → -624, -546
-            return { birth: -num1, death: -num2 };
-        } else if (era === 'AD' || era === 'CE') {
-            // Both are AD: "354-430 AD"
-            return { birth: num1, death: num2 };
-        } else {
-            // No era suffix — plain numbers like "1596–1650"
-            return { birth: num1, death: num2 };
-        }
+// "c. 624–546 BC": a birth date, a dash and a death date
+const LIFESPAN_RE = /^(.*?\d{1,4}\s*(?:BCE|BC|CE|AD)?\??)\s*(?:[–—-]|\bto\b)\s*(.*\d.*)$/i;
+const ERA_SUFFIX_RE = /\b(BCE|BC|CE|AD)\s*\??$/i;
+// "1946–present", "1946–": born then and still living
+const LIVING_RE = /^(.*\d.*?)\s*[–—-]\s*(?:present|today|now)?$/i;
+
+/**
+ * Read a fullYear string: a lifespan ("c. 624–546 BC", "1596–1650"),
+ * a living person ("1946–present"), "b. 1929", "d. 524", or a single date
+ * when the person was active
+ * An era written once applies to both ends; "c." applies to the end it is
+ * written on
+ */
+const parseFullYear = (fullYear) => {
+    const text = (fullYear || '').trim();
+    const result = { birth: null, death: null, active: null, isLiving: false };
+    if (!text) return result;
+
+    const living = text.match(LIVING_RE);
+    if (living && parseHistoricalDate(living[1])) {
+        return { ...result, birth: parseHistoricalDate(living[1]), isLiving: true };
     }
 
-    // Single year, use parseYear for a point
-    const year = parseYear(philosopher.year || fullYear);
-    return { birth: year - 30, death: year + 30 };
+    const born = text.match(/^(?:b\.|born)\s*(.+)$/i);
+    if (born) return { ...result, birth: parseHistoricalDate(born[1]) };
+    const died = text.match(/^(?:d\.|died)\s*(.+)$/i);
+    if (died) return { ...result, death: parseHistoricalDate(died[1]) };
+
+    const lifespan = !/^(?:fl\.?|floruit)/i.test(text) && text.match(LIFESPAN_RE);
+    if (lifespan) {
+        let [, birthText, deathText] = lifespan;
+        const birthEra = birthText.match(ERA_SUFFIX_RE);
+        const deathEra = deathText.match(ERA_SUFFIX_RE);
+        if (!birthEra && deathEra) birthText = `${birthText} ${deathEra[1]}`;
+        if (birthEra && !deathEra) deathText = `${deathText} ${birthEra[1]}`;
+
+        const birth = parseHistoricalDate(birthText);
+        const death = parseHistoricalDate(deathText);
+        if (birth && death) return { ...result, birth, death };
+    }
+
+    return { ...result, active: parseHistoricalDate(text) };
+};
+
+/**
+ * This year: where a living philosopher's lifetime currently ends
+ * @returns {number}
+ */
+export const getCurrentYear = () => new Date().getFullYear();
+
+/**
+ * Parse a philosopher's lifespan
+ * birth_year / death_year come first, then fullYear. Dates that aren't
+ * known stay null; "active" is the floruit from fullYear or else the
+ * philosopher's timeline year, so a partial lifespan can still be placed.
+ * A living philosopher ("1946–present") has no death date and isLiving set.
+ * @param {Object} philosopher - Philosopher object
+ * @returns {{ birth: HistoricalDate|null, death: HistoricalDate|null, active: HistoricalDate|null, isLiving: boolean }}
+ */
+export const parseLifespan = (philosopher) => {
+    const fromFullYear = parseFullYear(philosopher.fullYear);
+    const death = parseHistoricalDate(philosopher.death_year) || fromFullYear.death;
+    return {
+        birth: parseHistoricalDate(philosopher.birth_year) || fromFullYear.birth,
+        death,
+        active: fromFullYear.active || parseHistoricalDate(philosopher.year),
+        isLiving: !death && fromFullYear.isLiving
+    };
+};
+
+/**
+ * Parse numeric birth and death years
+ * @param {Object} philosopher - Philosopher object
+ * @returns {{ birth: number|null, death: number|null, isLiving: boolean }} Best years,
+ *          null when unknown (death is also null for the living)
+ */
+export const parseBirthDeath = (philosopher) => {
+    const { birth, death, isLiving } = parseLifespan(philosopher);
+    return {
+        birth: birth ? birth.year : null,
+        death: death ? death.year : null,
+        isLiving
+    };
 };
 
 export default {
+    CIRCA_MARGIN,
+    parseHistoricalDate,
     parseYear,
+    parseYearInput,
     normalizeYear,
     denormalizeYear,
+    ERA_NOTATIONS,
+    DEFAULT_YEAR_FORMAT,
     formatYear,
-    getEraFromYear,
-    parseBirthDeath,
-    ERA_BOUNDARIES
+    formatHistoricalDate,
+    formatYearText,
+    getYearTicks,
+    getCurrentYear,
+    parseLifespan,
+    parseBirthDeath
 };
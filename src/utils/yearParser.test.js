@@ -0,0 +1,56 @@
+/**
+ * Year Parser Tests
+ * Lifespans of living philosophers ("1946–present") stay open-ended
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseLifespan, parseBirthDeath } from './yearParser';
+import { validateDataset } from './datasetValidator';
+
+// A fixture, not a real person
+const livingPhilosopher = {
+    id: 1,
+    type: 'minor',
+    era: 'Contemporary Thought',
+    title: 'Living Fixture',
+    year: '1975',
+    fullYear: '1946–present',
+    birth_year: '1946',
+    summary: 'Still writing.',
+    concepts: []
+};
+
+describe('living philosophers', () => {
+    it.each(['1946–present', '1946-present', '1946 — today', '1946–'])('reads "%s" as born 1946 and living', (fullYear) => {
+        const lifespan = parseLifespan({ year: '1975', fullYear });
+
+        expect(lifespan.birth.year).toBe(1946);
+        expect(lifespan.death).toBeNull();
+        expect(lifespan.isLiving).toBe(true);
+    });
+
+    it('gives no death year', () => {
+        expect(parseBirthDeath(livingPhilosopher)).toEqual({ birth: 1946, death: null, isLiving: true });
+    });
+
+    it('is not living once a death year is known', () => {
+        const lifespan = parseLifespan({ ...livingPhilosopher, death_year: '2020' });
+
+        expect(lifespan.death.year).toBe(2020);
+        expect(lifespan.isLiving).toBe(false);
+    });
+
+    it('keeps ordinary lifespans closed', () => {
+        const lifespan = parseLifespan({ year: '1637', fullYear: '1596–1650' });
+
+        expect(lifespan.birth.year).toBe(1596);
+        expect(lifespan.death.year).toBe(1650);
+        expect(lifespan.isLiving).toBe(false);
+    });
+
+    it('passes validation without a death_year', () => {
+        const result = validateDataset({ philosophers: [livingPhilosopher] });
+
+        expect(result.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,18 @@
+/**
+ * Layout Worker
+ * Runs constellation and metro layouts off the main thread
+ * Protocol: see utils/layoutTasks.js
+ */
+
+import { computeLayout, dehydrateLayout } from '../utils/layoutTasks.js';
+
+self.onmessage = ({ data }) => {
+    const { id, kind, philosophers, canvasSize, options } = data;
+
+    try {
+        const layout = computeLayout(kind, philosophers, canvasSize, options);
+        self.postMessage({ id, layout: dehydrateLayout(kind, layout) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
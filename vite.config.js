@@ -1,8 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { validateDataset, formatValidationResult } from './src/utils/datasetValidator.js'
+import { BUNDLED_TOURS, validateTour } from './src/utils/tours.js'
+import timelineEvents from './src/pages/timelineEvents.json'
+import philosophyConcepts from './src/pages/philosophyConcepts.json'
+import eras from './src/pages/eras.json'
+
+// Check the bundled dataset and tours against the schemas on every dev start and build
+const validateBundledDataset = () => ({
+  name: 'validate-bundled-dataset',
+  buildStart() {
+    const result = validateDataset({ philosophers: timelineEvents, concepts: philosophyConcepts, eras })
+    if (result.warnings.length > 0) {
+      this.warn(`Bundled dataset warnings:\n${formatValidationResult({ errors: [], warnings: result.warnings })}`)
+    }
+    if (!result.valid) {
+      this.error(`Bundled dataset is invalid:\n${formatValidationResult(result)}`)
+    }
+
+    // Bundled tours must play in full on the bundled dataset
+    BUNDLED_TOURS.forEach(tour => {
+      const tourResult = validateTour(tour, { philosophers: timelineEvents, concepts: philosophyConcepts })
+      if (tourResult.errors.length > 0 || tourResult.warnings.length > 0) {
+        this.error(`Bundled tour "${tour.id}" is invalid:\n${formatValidationResult(tourResult)}`)
+      }
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), validateBundledDataset()],
   base: '/vqm-philosophy-explorer',
 })